@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+// bin/devtranspiler.js
+// CLI entry point; see src/cli/main.js.
+
+import { main } from "../src/cli/main.js";
+
+process.exitCode = await main(process.argv.slice(2));
@@ -26,4 +26,12 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // command line, server code and tests (node --test) run in Node
+    files: ['bin/**/*.js', 'src/cli/**/*.js', 'src/server/**/*.js', 'src/**/*.test.js'],
+    languageOptions: {
+      ecmaVersion: 'latest',
+      globals: globals.node,
+    },
+  },
 ])
@@ -1,229 +1,185 @@
 // src/App.jsx
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useRef, useMemo } from "react";
 import CodeMirror from "@uiw/react-codemirror";
-import { javascript } from "@codemirror/lang-javascript";
 import { dracula } from "@uiw/codemirror-theme-dracula";
-import { Code, Play, RotateCcw, CheckCircle, Loader2, Clipboard } from "lucide-react";
+import { Code, Play, RotateCcw, CheckCircle, Loader2, Square, History, GitCompare, TerminalSquare, FlaskConical, ScrollText, Database, Lightbulb, Columns3 } from "lucide-react";
 
 import CopyButton from "./components/CopyButton";
-import { stripFences, hasDangerousShell, truncateOutput } from "./utils/sanitize";
-
-import { python } from "@codemirror/lang-python";
-import { java } from "@codemirror/lang-java";
-import { go } from "@codemirror/lang-go";
-import { xml } from "@codemirror/lang-xml";
-import { css } from "@codemirror/lang-css";
+import ProviderSettings from "./components/ProviderSettings";
+import ProjectPanel from "./components/ProjectPanel";
+import DownloadButton from "./components/DownloadButton";
+import HistorySidebar from "./components/HistorySidebar";
+import DiffPanel, { ROUND_TRIP } from "./components/DiffPanel";
+import RoundTripReport from "./components/RoundTripReport";
+import ExplanationPanel from "./components/ExplanationPanel";
+import RunPanel from "./components/RunPanel";
+import SyntaxBadge from "./components/SyntaxBadge";
+import SecurityBadge from "./components/SecurityBadge";
+import DetectionBadge from "./components/DetectionBadge";
+import useLanguageDetection from "./hooks/useLanguageDetection.js";
+import TestHarnessPanel from "./components/TestHarnessPanel";
+import PromptPanel from "./components/PromptPanel";
+import ConversionOptions from "./components/ConversionOptions";
+import ChunkProgress from "./components/ChunkProgress";
+import CacheInspector from "./components/CacheInspector";
+import ConnectionBadge from "./components/ConnectionBadge";
+import ComparePanel from "./components/ComparePanel";
+import useHistory from "./hooks/useHistory.js";
+import useResponseCache from "./hooks/useResponseCache.js";
+import useConnection from "./hooks/useConnection.js";
+import useModelList from "./hooks/useModelList.js";
+import { createProvider, withModel } from "./providers/index.js";
+import { loadSettings, saveSettings } from "./utils/settings.js";
+import { buildConversionPrompt, convertCode, repairSyntax } from "./utils/convert.js";
+import { optionsFor } from "./utils/conversionOptions.js";
+import { splitIntoChunks, summarizeFile, describeChunk, reassembleChunks } from "./utils/chunking.js";
+import { cacheKey, normalizeInput } from "./utils/cache.js";
+import { extractCode, describeDiscarded } from "./utils/response.js";
+import { validateSyntax, syntaxLinter } from "./utils/validate.js";
+import { scanCode, scanConversion, capabilitiesOf, securityLinter, describeScan } from "./utils/security.js";
+import { verifyRoundTrip } from "./utils/roundtrip.js";
+import { explainConversion, mappingsAt, linesOf } from "./utils/explain.js";
+import { compareModels, compareModelList } from "./utils/compare.js";
+import { highlightLines, trackLines, lineTooltips } from "./utils/editorDecorations.js";
+import { EditorView } from "@codemirror/view";
+import { LANGUAGE_NAMES, extensionFor, formatComment, getExample, getLanguageExtension } from "./utils/languages.js";
+import { downloadText, downloadZip, uniquePaths } from "./utils/download.js";
+import { createFenceStripper, truncateOutput } from "./utils/sanitize";
+import { ProviderError, describeError, withRequestPolicy } from "./utils/requestPolicy.js";
 
 import { Toaster, toast } from "react-hot-toast";
 
-/* ---------------------------
-   Configuration: toggle ping
-   ---------------------------
-   NOTE (dev/prod): 
-   - For local development/testing you can set ALLOW_PING = true (will perform a single ai.chat("ping") fallback;
-     useful to quickly validate readiness but may consume provider tokens/requests).
-   - For production, set ALLOW_PING = false so the readiness check only relies on non-network signals
-     (e.g., ai.ready promise or ai.init()). You told me you'll keep this in mind — switch as needed.
-*/
-const ALLOW_PING = true; // <-- set true for dev/test; false for prod 
-
-//const ALLOW_PING = import.meta.env.MODE !== 'production';
-
-/* ---------------------------
-   CodeMirror language mapping
-   --------------------------- */
-function getLanguageExtension(target) {
-  const t = (target || "").toLowerCase();
-  if (t.includes("javascript") || t === "js") return javascript({ jsx: true });
-  if (t.includes("typescript") || t === "ts") return javascript({ typescript: true });
-  if (t.includes("python") || t === "py") return python();
-  if (t.includes("java")) return java();
-  if (t === "go" || t === "golang") return go();
-  if (t.includes("html") || t.includes("xml")) return xml();
-  if (t.includes("css") || t.includes("scss")) return css();
-  // fallback to JS highlighting so it isn't plain text
-  return javascript({ jsx: true });
-}
-
-/* ---------------------------
-   AI readiness helpers
-   --------------------------- */
-
-// Race a promise with a timeout
-function promiseWithTimeout(promise, ms = 8000) {
-  return Promise.race([
-    promise,
-    new Promise((_, reject) => setTimeout(() => reject(new Error("timeout")), ms)),
-  ]);
-}
-
-// Single attempt: try ai.ready (promise), ai.init(), then optional ai.chat('ping')
-async function checkAiReadyOnce(timeoutMs = 8000, allowPing = true) {
-  const ai = window?.puter?.ai;
-  if (!ai) return false;
-
-  try {
-    // 1) ready promise
-    if (ai.ready && typeof ai.ready.then === "function") {
-      await promiseWithTimeout(ai.ready, timeoutMs);
-      return true;
-    }
-
-    // 2) init() that returns a promise
-    if (typeof ai.init === "function") {
-      const maybePromise = ai.init();
-      if (maybePromise && typeof maybePromise.then === "function") {
-        await promiseWithTimeout(maybePromise, timeoutMs);
-        return true;
-      }
-    }
-
-    // 3) fallback ping (only if allowed)
-    if (allowPing && typeof ai.chat === "function") {
-      // Keep this ping minimal. Adjust or remove for production if you don't want provider calls.
-      await promiseWithTimeout(ai.chat("ping"), Math.min(timeoutMs, 5000));
-      return true;
-    }
-  } catch (err) {
-    // swallow; return false below
-    console.debug("checkAiReadyOnce failed:", err);
-    return false;
-  }
-
-  return false;
-}
-
-// Robust check: limited retries with exponential-ish backoff
-async function checkAiReadyWithRetries({ attempts = 3, baseTimeout = 8000, allowPing = true } = {}) {
-  for (let i = 0; i < attempts; i++) {
-    const timeoutMs = Math.round(baseTimeout * (1 + i * 0.5)); // slightly larger time on retries
-    const ok = await checkAiReadyOnce(timeoutMs, allowPing);
-    if (ok) return true;
-    // backoff between attempts (2s, 4s, 8s capped)
-    const backoff = Math.min(2000 * Math.pow(2, i), 8000);
-    await new Promise((r) => setTimeout(r, backoff));
-  }
-  return false;
-}
+// Longest output shown in the editor; the full text is kept for copy/download
+const MAX_DISPLAY_CHARS = 200_000;
 
 /* ---------------------------
    App component
    --------------------------- */
 export default function App() {
-  const languages = [
-    "JavaScript",
-    "TypeScript",
-    "Python",
-    "Java",
-    "C++",
-    "C#",
-    "Ruby",
-    "Go",
-    "PHP",
-    "Swift",
-    "Kotlin",
-    "HTML",
-    "CSS",
-  ];
-
-  const examples = {
-    JavaScript: `function helloWorld() {\n  console.log("Hello World!");\n}`,
-    TypeScript: `function helloWorld(): void {\n  console.log("Hello World!");\n}`,
-    Python: `def hello_world():\n    print("Hello World!")\n`,
-    Java: `public class Main {\n  public static void main(String[] args) {\n    System.out.println("Hello World!");\n  }\n}`,
-    "C++": `#include <iostream>\nint main() {\n  std::cout << "Hello World!" << std::endl;\n  return 0;\n}`,
-    "C#": `using System;\nclass Program {\n  static void Main() {\n    Console.WriteLine("Hello World!");\n  }\n}`,
-    Ruby: `def hello_world\n  puts "Hello World!"\nend`,
-    Go: `package main\n\nimport "fmt"\n\nfunc main() {\n    fmt.Println("Hello World!")\n}\n`,
-    PHP: `<?php\necho "Hello World!";\n?>`,
-    Swift: `import Foundation\nprint("Hello World!")`,
-    Kotlin: `fun main() {\n  println("Hello World!")\n}`,
-    HTML: `<!doctype html>\n<html>\n  <body>\n    <h1>Hello World!</h1>\n  </body>\n</html>`,
-    CSS: `body {\n  background: #111;\n  color: #fff;\n}`,
-  };
+  // persisted settings; read by the hooks below, so declared first
+  const [settings, setSettings] = useState(loadSettings);
 
   // state
   const [sourceLang, setSourceLang] = useState("JavaScript");
   const [targetLang, setTargetLang] = useState("Python");
-  const [inputCode, setInputCode] = useState(examples["JavaScript"] ?? "");
-  const [outputCode, setOutputCode] = useState("");
-  const [aiReady, setAiReady] = useState(false);
+  const [inputCode, setInputCode] = useState(getExample("JavaScript"));
+  // full (untruncated) result; the editor shows a truncated view of it
+  const [fullOutput, setFullOutput] = useState("");
+  const outputCode = useMemo(
+    () => truncateOutput(fullOutput, MAX_DISPLAY_CHARS, (note) => formatComment(targetLang, note)),
+    [fullOutput, targetLang]
+  );
+  // every successful conversion this session, for "download all"
+  const [conversions, setConversions] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
 
-  // remember last auto-inserted example so we don't overwrite user edits
-  const prevExampleRef = useRef(examples[sourceLang] ?? "");
-
-  // On mount: perform robust readiness check (no polling)
-  // Replace your existing "On mount: perform robust readiness check" useEffect with this:
-  
-useEffect(() => {
-  let mounted = true;
+  // conversion history (IndexedDB)
+  const history = useHistory();
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [diffOpen, setDiffOpen] = useState(false);
+  const [diffBase, setDiffBase] = useState("");
+  const [runOpen, setRunOpen] = useState(false);
+  const [testsOpen, setTestsOpen] = useState(false);
+  const [promptsOpen, setPromptsOpen] = useState(false);
+  // chunked conversion of large inputs: { sourceLang, targetLang, summary, chunks: [...] }
+  const [chunkRun, setChunkRun] = useState(null);
+
+  // round-trip verification (target → source) of the latest output
+  const [roundTrip, setRoundTrip] = useState({ code: "", from: "", input: "", loading: false, report: null, error: null, visible: false });
+
+  // explanation pass: source → target line mappings with rationale, for the input/output it was made from
+  const [explanation, setExplanation] = useState({ input: "", output: "", loading: false, mappings: null, error: null, visible: false });
+  // input lines under the mouse / in the selection, as { start, end }
+  const [inputHover, setInputHover] = useState(null);
+  const [inputSelection, setInputSelection] = useState(null);
+  const outputViewRef = useRef(null);
+
+  // compare mode: one conversion, several models; results[i] is null while models[i] runs
+  const [compare, setCompare] = useState({ open: false, running: false, models: [], results: [] });
+  const compareAbortRef = useRef(null);
+
+  // local source-language detection
+  const detection = useLanguageDetection(inputCode, LANGUAGE_NAMES, { enabled: settings.autoDetect !== "off" });
+  // input the user explicitly kept under a different language; don't auto-switch it again
+  const detectionOverrideRef = useRef(null);
 
-  async function initPuter() {
-    console.log("Initializing Puter...");
+  useEffect(() => {
+    if (settings.autoDetect !== "auto" || !detection || detection.lang === sourceLang) return;
+    if (detection.confidence < 0.75 || detectionOverrideRef.current === inputCode) return;
+    setSourceLang(detection.lang);
+    toast.success(`Detected ${detection.lang} — source language switched.`);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [detection]);
 
-    // Wait until window.puter is available
-    for (let i = 0; i < 20; i++) {
-      if (window.puter) break;
-      await new Promise((r) => setTimeout(r, 300));
-    }
+  function handleSourceLangChange(lang) {
+    if (detection && detection.lang !== lang) detectionOverrideRef.current = inputCode;
+    setSourceLang(lang);
+  }
 
-    if (!window.puter) {
-      console.error("Puter not found — check if script is loaded.");
-      toast.error("Puter script not loaded!");
-      return;
-    }
+  // AbortController of the in-flight conversion (Cancel button)
+  const abortRef = useRef(null);
 
-    try {
-      await window.puter.user();
-      console.log("Puter user session OK");
-    } catch (e) {
-      console.warn("Puter user() failed, continuing anyway", e);
-    }
+  // remember last auto-inserted example so we don't overwrite user edits
+  const prevExampleRef = useRef(getExample(sourceLang));
+
+  // provider selection; the model is applied per request so changing it doesn't rebuild the
+  // connection (and re-run its readiness check)
+  const { model: selectedModel = "", ...connectionConfig } = settings[settings.provider] ?? {};
+  const connectionKey = JSON.stringify([settings.provider, connectionConfig]);
+  // every request gets the timeout/retry policy; retries are announced, not silent
+  const requestPolicy = useMemo(
+    () => ({
+      timeoutSec: settings.requests.timeoutSec,
+      retries: settings.requests.retries,
+      onRetry: ({ attempt, retries, error, delayMs }) =>
+        toast(`${describeError(error)} Retrying in ${Math.ceil(delayMs / 1000)}s (${attempt}/${retries})...`, { icon: "🔁", id: "retry" }),
+    }),
+    [settings.requests.timeoutSec, settings.requests.retries]
+  );
+  const baseProvider = useMemo(
+    () => withRequestPolicy(createProvider(settings.provider, connectionConfig), requestPolicy),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [connectionKey, requestPolicy]
+  );
+  const provider = useMemo(() => withModel(baseProvider, selectedModel), [baseProvider, selectedModel]);
 
-    // ✅ Try native readiness first
-    try {
-      const ready = await window.puter.ai.ready();
-      if (ready) {
-        console.log("AI ready without ping");
-        setAiReady(true);
-        return;
-      }
-    } catch (e) {
-      console.log("AI ready() not available, continuing fallback...");
-    }
+  // the same provider with another model (compare mode)
+  function providerFor(model) {
+    return withModel(baseProvider, model);
+  }
 
-    // 🧩 Fallback (only if allowed)
-    if (ALLOW_PING) {
-      try {
-        const res = await window.puter.ai.chat("ping");
-        console.log("AI ping success:", res);
-        setAiReady(true);
-        return;
-      } catch (e) {
-        console.error("AI ping failed", e);
-      }
-    }
+  // models for the pickers; only refetched when the provider or its endpoint changes
+  const availableModels = useModelList(baseProvider);
 
-    console.warn("AI not ready — running in limited mode");
-    setAiReady(false);
+  function handleSettingsChange(next) {
+    setSettings(next);
+    saveSettings(next);
   }
 
-  initPuter();
-
-  return () => {
-    mounted = false;
-  };
-}, []);
+  // response cache (IndexedDB); "fresh" skips the lookup for one click
+  const cacheLimits = useMemo(
+    () => ({ maxEntries: settings.cache.maxEntries, maxBytes: settings.cache.maxMB * 1024 * 1024 }),
+    [settings.cache.maxEntries, settings.cache.maxMB]
+  );
+  const responseCache = useResponseCache(cacheLimits);
+  const [forceFresh, setForceFresh] = useState(false);
+  const [cacheOpen, setCacheOpen] = useState(false);
 
+  // idiom/style options are remembered per target language
+  const targetOptions = optionsFor(settings.targetOptions, targetLang);
 
+  function handleTargetOptionsChange(options) {
+    handleSettingsChange({ ...settings, targetOptions: { ...settings.targetOptions, [targetLang]: options } });
+  }
 
- // run once on mount
+  // provider connection state; re-checked when the provider or its endpoint changes, not the model
+  const connection = useConnection(baseProvider, { allowPing: settings.allowPing });
+  const aiReady = connection.ready;
 
   // seed input with example on first mount (if empty)
   useEffect(() => {
     if (!inputCode || inputCode.trim() === "") {
-      const initial = examples[sourceLang] ?? "";
+      const initial = getExample(sourceLang);
       setInputCode(initial);
       prevExampleRef.current = initial;
     }
@@ -232,7 +188,7 @@ useEffect(() => {
 
   // when sourceLang changes: auto-insert example only if user hasn't modified input
   useEffect(() => {
-    const newExample = examples[sourceLang] ?? "";
+    const newExample = getExample(sourceLang);
     const currentTrim = (inputCode || "").trim();
     const prevTrim = (prevExampleRef.current || "").trim();
 
@@ -249,68 +205,482 @@ useEffect(() => {
       toast.error("Input code cannot be empty.");
       return;
     }
+
+    // identical requests (same normalized input, prompt and model) are answered locally
+    let key = null;
+    if (settings.cache.enabled) {
+      try {
+        key = await cacheKey({
+          prompt: buildConversionPrompt({
+            sourceLang,
+            targetLang,
+            code: normalizeInput(inputCode),
+            prompts: settings.prompts,
+            options: targetOptions,
+          }),
+          sourceLang,
+          targetLang,
+          provider: provider.id,
+          model: provider.model,
+        });
+        const hit = !forceFresh && (await responseCache.lookup(key));
+        if (hit) {
+          setChunkRun(null);
+          setFullOutput(hit.output);
+          setConversions((prev) => [...prev, { path: "converted" + extensionFor(targetLang), content: hit.output }]);
+          if (settings.verifyRoundTrip) runRoundTrip(hit.output);
+          if (settings.explainConversion) runExplanation(hit.output);
+          toast.success("Loaded from cache.");
+          return;
+        }
+      } catch (err) {
+        console.warn("Cache lookup skipped", err);
+      }
+    }
+
     if (!aiReady) {
-      toast.error("AI service not ready. Please wait.");
+      toast.error(connection.status.state === "rate-limited" ? "Rate limited — wait for the cooldown." : `${provider.label} is not ready yet.`);
       return;
     }
 
     setIsLoading(true);
-    setOutputCode("");
+    setFullOutput("");
+    setChunkRun(null);
     const toastId = toast.loading(`Converting ${sourceLang} → ${targetLang}...`);
+    const startedAt = performance.now();
 
     try {
-      const prompt = `
-You are a precise code translator. Convert the following ${sourceLang} code to ${targetLang}.
-Return ONLY the converted code (raw or inside a single code block). No extra explanations.
-Preserve logic, function names, and comments where possible.
+      const controller = new AbortController();
+      abortRef.current = controller;
+
+      // big inputs go part by part so neither the prompt nor the reply outgrows the model
+      const parts =
+        settings.chunkChars > 0 && inputCode.length > settings.chunkChars
+          ? splitIntoChunks(inputCode, sourceLang, { maxChars: settings.chunkChars })
+          : [];
+
+      let cleaned;
+      let incomplete = false;
+      if (parts.length > 1) {
+        const run = await runChunks(parts, key, controller.signal, toastId);
+        incomplete = run.chunks.some((c) => c.status !== "done");
+        cleaned = assembleChunks(run);
+      } else {
+        const extracted = await streamConversion(controller.signal);
+        cleaned = extracted.code;
+        const dropped = describeDiscarded(extracted.discarded);
+        if (dropped) {
+          toast(`Dropped ${dropped} from the reply.`, { icon: "✂️" });
+        }
+      }
 
-Source code:
-${inputCode}
-      `.trim();
+      const stopped = controller.signal.aborted;
+      if (!stopped && !incomplete && cleaned) {
+        cleaned = await finalizeConversion(cleaned, {
+          sourceLang,
+          targetLang,
+          input: inputCode,
+          key,
+          startedAt,
+          signal: controller.signal,
+          toastId,
+        });
+      } else {
+        showConverted(cleaned, { sourceLang, targetLang, input: inputCode });
+      }
 
-      const res = await window.puter.ai.chat(prompt);
+      if (!stopped && !incomplete) connection.reportSuccess();
 
-      // parse common shapes
-      let reply = "";
-      if (typeof res === "string") {
-        reply = res;
-      } else if (res?.message?.content) {
-        reply = res.message.content;
-      } else if (Array.isArray(res?.message)) {
-        reply = res.message.map((m) => m.content ?? "").filter(Boolean).join("\n");
+      if (stopped) {
+        toast.success("Conversion cancelled — partial result kept.", { id: toastId });
+      } else if (incomplete) {
+        toast.error("Some parts failed to convert — retry them from the chunk list.", { id: toastId });
+      } else if (cleaned.length > MAX_DISPLAY_CHARS) {
+        toast.success("Converted (truncated for display). Full output available for download.", { id: toastId });
       } else {
-        reply = "";
+        toast.success("Conversion successful!", { id: toastId });
       }
+    } catch (err) {
+      console.error("Conversion error:", err);
+      toast.error("Conversion failed: " + describeError(err), { id: toastId });
+    } finally {
+      abortRef.current = null;
+      setIsLoading(false);
+      // "Fresh" applies to one conversion only
+      setForceFresh(false);
+    }
+  }
 
-      if (!reply.trim()) throw new Error("Empty AI response.");
+  // puts a conversion's output in the editor, warning when the security scan flags it
+  function showConverted(output, { sourceLang, targetLang, input }) {
+    const securityWarning = describeScan(scanConversion({ input, sourceLang, output, targetLang }));
+    if (securityWarning) {
+      toast(`Security scan: ${securityWarning} — review before running.`, { icon: "⚠️" });
+    }
+    setFullOutput(output);
+  }
 
-      const cleaned = stripFences(reply);
+  // what every complete conversion goes through, whether it finished in one go (handleConvert)
+  // or with its last failed chunk (handleRetryChunk): syntax repair within the retry budget,
+  // then history, cache and the round-trip/explain follow-ups. Resolves to the final output.
+  async function finalizeConversion(output, { sourceLang, targetLang, input, key, startedAt, signal, toastId }) {
+    let cleaned = output;
+    if (settings.repairRetries > 0) {
+      setFullOutput(cleaned);
+      try {
+        const repaired = await repairSyntax(provider, {
+          sourceLang,
+          targetLang,
+          source: input,
+          output: cleaned,
+          maxAttempts: settings.repairRetries,
+          signal,
+          onAttempt: (n, errors) =>
+            toast.loading(`Fixing ${errors.length} syntax error${errors.length === 1 ? "" : "s"} (attempt ${n}/${settings.repairRetries})...`, { id: toastId }),
+        });
+        cleaned = repaired.code;
+      } catch (err) {
+        // keep the unrepaired output; the diagnostics still show what's wrong
+        console.warn("Syntax repair failed", err);
+      }
+    }
 
-      if (hasDangerousShell(cleaned)) {
-        toast.warning("Conversion contains potentially dangerous shell commands — review before running.", { id: toastId });
+    showConverted(cleaned, { sourceLang, targetLang, input });
+    setConversions((prev) => [...prev, { path: "converted" + extensionFor(targetLang), content: cleaned }]);
+    history.record({
+      sourceLang,
+      targetLang,
+      input,
+      output: cleaned,
+      provider: provider.id,
+      model: provider.model,
+      durationMs: Math.round(performance.now() - startedAt),
+    });
+    if (key) {
+      responseCache.store(key, { sourceLang, targetLang, provider: provider.id, model: provider.model, input, output: cleaned });
+    }
+
+    if (settings.verifyRoundTrip) runRoundTrip(cleaned);
+    if (settings.explainConversion) runExplanation(cleaned);
+    return cleaned;
+  }
+
+  // streams a single-request conversion into the output pane; resolves with
+  // extractCode's { code, discarded } for the complete reply
+  async function streamConversion(signal) {
+    const prompt = buildConversionPrompt({
+      sourceLang,
+      targetLang,
+      code: inputCode,
+      prompts: settings.prompts,
+      options: targetOptions,
+    });
+    const stripper = createFenceStripper();
+    let raw = "";
+
+    try {
+      for await (const chunk of provider.stream(prompt, { signal })) {
+        if (signal.aborted) break;
+        raw += chunk;
+        setFullOutput(stripper.push(chunk));
+      }
+      if (!raw && !signal.aborted) throw new ProviderError("empty", "Empty AI response.");
+    } catch (err) {
+      if (!signal.aborted) {
+        // only provider failures count against the connection; local errors later in
+        // handleConvert (chunking, repair, storage) say nothing about its health
+        connection.reportFailure(err);
+        throw err;
       }
+    }
 
-      const displayed = truncateOutput(cleaned, 200_000);
-      setOutputCode(displayed);
+    return extractCode(raw, targetLang);
+  }
 
-      if (displayed.includes("// ...truncated")) {
-        toast.success("Converted (truncated for display). Full output available for download.", { id: toastId });
+  // converts one part of a chunked run; failures are recorded on the chunk instead of thrown
+  async function convertChunk(run, chunk, signal) {
+    try {
+      const { code } = await convertCode(provider, {
+        sourceLang: run.sourceLang,
+        targetLang: run.targetLang,
+        code: chunk.source,
+        prompts: settings.prompts,
+        options: optionsFor(settings.targetOptions, run.targetLang),
+        context: describeChunk({ index: chunk.index, total: run.chunks.length, sourceLang: run.sourceLang, summary: run.summary }),
+        signal,
+      });
+      connection.reportSuccess();
+      return { ...chunk, status: "done", output: code, error: null };
+    } catch (err) {
+      if (!signal.aborted) connection.reportFailure(err);
+      return { ...chunk, status: "error", output: "", error: signal.aborted ? "Cancelled" : describeError(err) };
+    }
+  }
+
+  function withChunk(run, next) {
+    return { ...run, chunks: run.chunks.map((c) => (c.index === next.index ? next : c)) };
+  }
+
+  // converted parts joined; parts that failed become a comment so the gap is visible
+  function assembleChunks(run) {
+    const outputs = run.chunks.map((c) =>
+      c.status === "done" ? c.output : formatComment(run.targetLang, `Part ${c.index + 1} (lines ${c.startLine}-${c.endLine}) was not converted.`)
+    );
+    return reassembleChunks(outputs, run.targetLang);
+  }
+
+  async function runChunks(parts, key, signal, toastId) {
+    let run = {
+      sourceLang,
+      targetLang,
+      // kept so a retry that completes the run can finish it like handleConvert does
+      input: inputCode,
+      key,
+      summary: summarizeFile(inputCode, sourceLang),
+      chunks: parts.map((part) => ({ ...part, status: "pending", output: "", error: null })),
+    };
+    setChunkRun(run);
+
+    for (const chunk of run.chunks) {
+      if (signal.aborted) break;
+      toast.loading(`Converting part ${chunk.index + 1} of ${run.chunks.length}...`, { id: toastId });
+      setChunkRun(withChunk(run, { ...chunk, status: "converting" }));
+      run = withChunk(run, await convertChunk(run, chunk, signal));
+      setChunkRun(run);
+      // show what's done so far
+      setFullOutput(reassembleChunks(run.chunks.filter((c) => c.status === "done").map((c) => c.output), run.targetLang));
+    }
+    return run;
+  }
+
+  async function handleRetryChunk(index) {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setIsLoading(true);
+    const toastId = toast.loading(`Converting part ${index + 1} again...`);
+    const startedAt = performance.now();
+
+    try {
+      const chunk = chunkRun.chunks[index];
+      setChunkRun(withChunk(chunkRun, { ...chunk, status: "converting" }));
+      const run = withChunk(chunkRun, await convertChunk(chunkRun, chunk, controller.signal));
+      setChunkRun(run);
+
+      const failed = run.chunks.filter((c) => c.status !== "done").length;
+      if (failed) {
+        setFullOutput(assembleChunks(run));
       } else {
-        toast.success("Conversion successful!", { id: toastId });
+        await finalizeConversion(assembleChunks(run), {
+          sourceLang: run.sourceLang,
+          targetLang: run.targetLang,
+          input: run.input,
+          key: run.key,
+          startedAt,
+          signal: controller.signal,
+          toastId,
+        });
       }
-    } catch (err) {
-      console.error("Conversion error:", err);
-      toast.error("Conversion failed: " + (err?.message || String(err)), { id: toastId });
+
+      if (run.chunks[index].status !== "done") toast.error(`Part ${index + 1} failed again: ${run.chunks[index].error}`, { id: toastId });
+      else if (failed) toast.success(`Part ${index + 1} converted; ${failed} still missing.`, { id: toastId });
+      else toast.success("All parts converted.", { id: toastId });
     } finally {
+      abortRef.current = null;
       setIsLoading(false);
     }
   }
 
+  function handleCancel() {
+    abortRef.current?.abort();
+  }
+
   function handleReset() {
-    const initial = examples[sourceLang] ?? "";
+    const initial = getExample(sourceLang);
     setInputCode(initial);
     prevExampleRef.current = initial;
-    setOutputCode("");
+    setFullOutput("");
+    setChunkRun(null);
+  }
+
+  async function runRoundTrip(output = fullOutput) {
+    if (!output.trim()) {
+      toast.error("Convert something first.");
+      return;
+    }
+    const original = inputCode;
+    setRoundTrip((prev) => ({ ...prev, loading: true, error: null, visible: true }));
+    try {
+      const { code } = await convertCode(provider, {
+        sourceLang: targetLang,
+        targetLang: sourceLang,
+        code: output,
+        prompts: settings.prompts,
+      });
+      const report = verifyRoundTrip(original, code, sourceLang);
+      setRoundTrip({ code, from: output, input: original, loading: false, report, error: null, visible: true });
+    } catch (err) {
+      console.error("Round-trip conversion failed", err);
+      setRoundTrip((prev) => ({ ...prev, loading: false, error: "Round-trip failed: " + describeError(err) }));
+    }
+  }
+
+  async function runExplanation(output = fullOutput) {
+    if (!output.trim()) {
+      toast.error("Convert something first.");
+      return;
+    }
+    const input = inputCode;
+    setExplanation((prev) => ({ ...prev, loading: true, error: null, visible: true }));
+    try {
+      const mappings = await explainConversion(provider, { sourceLang, targetLang, source: input, output });
+      setExplanation({ input, output, loading: false, mappings, error: null, visible: true });
+    } catch (err) {
+      console.error("Explanation failed", err);
+      setExplanation((prev) => ({ ...prev, loading: false, error: "Explanation failed: " + describeError(err) }));
+    }
+  }
+
+  const compareSlots = settings.compareModels[settings.provider] ?? [provider.model ?? "", ""];
+  const compareList = compareModelList(compareSlots);
+
+  function handleCompareModelsChange(models) {
+    handleSettingsChange({ ...settings, compareModels: { ...settings.compareModels, [settings.provider]: models } });
+  }
+
+  async function runCompare() {
+    if (!inputCode.trim()) {
+      toast.error("Input code cannot be empty.");
+      return;
+    }
+    const models = compareList;
+    const controller = new AbortController();
+    compareAbortRef.current = controller;
+    setCompare((prev) => ({ ...prev, running: true, models, results: models.map(() => null) }));
+
+    try {
+      const results = await compareModels(providerFor, models, {
+        sourceLang,
+        targetLang,
+        code: inputCode,
+        prompts: settings.prompts,
+        options: targetOptions,
+        signal: controller.signal,
+        onResult: (index, result) =>
+          setCompare((prev) => (prev.models === models ? { ...prev, results: prev.results.map((r, i) => (i === index ? result : r)) } : prev)),
+      });
+      if (controller.signal.aborted) return;
+      const failed = results.filter((r) => r.status === "error");
+      if (failed.length < results.length) connection.reportSuccess();
+      else connection.reportFailure(new Error(failed[0].error));
+      if (failed.length) toast.error(`${failed.length} of ${results.length} models failed.`);
+    } finally {
+      compareAbortRef.current = null;
+      setCompare((prev) => ({ ...prev, running: false }));
+    }
+  }
+
+  function handlePickCompare(result) {
+    setFullOutput(result.code);
+    setChunkRun(null);
+    setConversions((prev) => [...prev, { path: "converted" + extensionFor(targetLang), content: result.code }]);
+    history.record({
+      sourceLang,
+      targetLang,
+      input: inputCode,
+      output: result.code,
+      provider: provider.id,
+      model: result.model,
+      durationMs: result.durationMs,
+    });
+    toast.success(`Using ${result.model}'s output.`);
+  }
+
+  // mappings only line up while input and output are the ones they were made from
+  const explanationStale = explanation.input !== inputCode || explanation.output !== fullOutput;
+  const mappings = useMemo(() => (explanation.mappings && !explanationStale ? explanation.mappings : []), [explanation.mappings, explanationStale]);
+  const focusRange = inputHover ?? inputSelection;
+  const activeMappings = useMemo(() => {
+    const hits = mappingsAt(mappings, focusRange);
+    // a single line shows its most specific mapping, a selection everything it touches
+    return focusRange && focusRange.start === focusRange.end ? hits.slice(0, 1) : hits;
+  }, [mappings, focusRange]);
+  const mappedSourceKey = linesOf(activeMappings.map((m) => m.source)).join(",");
+  const mappedTargetKey = linesOf(activeMappings.map((m) => m.target)).join(",");
+
+  useEffect(() => {
+    const view = outputViewRef.current;
+    const first = Number(mappedTargetKey.split(",")[0]);
+    if (!view || !first || first > view.state.doc.lines) return;
+    view.dispatch({ effects: EditorView.scrollIntoView(view.state.doc.line(first).from, { y: "nearest" }) });
+  }, [mappedTargetKey]);
+
+  // lines of functions that didn't survive the round-trip, while the input is unchanged
+  const lostFunctionLines =
+    roundTrip.report?.functions && roundTrip.input === inputCode
+      ? roundTrip.report.functions.filter((f) => f.status !== "ok").map((f) => f.line)
+      : [];
+  const lostLinesKey = lostFunctionLines.join(",");
+  // joined to a string so the linter is only rebuilt when the input's capabilities change
+  const inputCapabilities = useMemo(() => capabilitiesOf(scanCode(inputCode, sourceLang)).join(","), [inputCode, sourceLang]);
+  const outputExtensions = useMemo(
+    () => [
+      getLanguageExtension(targetLang),
+      syntaxLinter(targetLang),
+      securityLinter(targetLang, inputCapabilities.split(",").filter(Boolean)),
+      highlightLines(mappedTargetKey ? mappedTargetKey.split(",").map(Number) : [], "cm-line-mapped"),
+    ],
+    [targetLang, inputCapabilities, mappedTargetKey]
+  );
+  const outputValidation = useMemo(() => (fullOutput ? validateSyntax(fullOutput, targetLang) : null), [fullOutput, targetLang]);
+  const outputSecurity = useMemo(
+    () => (fullOutput ? scanConversion({ input: inputCode, sourceLang, output: fullOutput, targetLang }) : null),
+    [fullOutput, inputCode, sourceLang, targetLang]
+  );
+
+  const inputTracking = useMemo(() => trackLines({ onHover: setInputHover, onSelect: setInputSelection }), []);
+  const inputNotes = useMemo(
+    () =>
+      lineTooltips((line) =>
+        mappingsAt(mappings, { start: line, end: line })
+          .slice(0, 1)
+          .map((m) => m.note)
+          .join("")
+      ),
+    [mappings]
+  );
+  const inputExtensions = useMemo(
+    () => [
+      getLanguageExtension(sourceLang),
+      highlightLines(lostLinesKey ? lostLinesKey.split(",").map(Number) : []),
+      highlightLines(mappedSourceKey ? mappedSourceKey.split(",").map(Number) : [], "cm-line-mapped"),
+      inputTracking,
+      inputNotes,
+    ],
+    [sourceLang, lostLinesKey, mappedSourceKey, inputTracking, inputNotes]
+  );
+
+  function handleRestore(entry) {
+    // restored input counts as user input, so the language effect won't replace it
+    prevExampleRef.current = "";
+    setSourceLang(entry.sourceLang);
+    setTargetLang(entry.targetLang);
+    setInputCode(entry.input);
+    setFullOutput(entry.output);
+    setHistoryOpen(false);
+    toast.success("Restored from history.");
+  }
+
+  function handleDownload() {
+    downloadText("converted" + extensionFor(targetLang), fullOutput);
+  }
+
+  async function handleDownloadAll() {
+    try {
+      await downloadZip("conversions.zip", uniquePaths(conversions));
+    } catch (err) {
+      console.error("Zip download failed", err);
+      toast.error("Could not build the zip.");
+    }
   }
 
   function onCopySuccess() {
@@ -321,6 +691,28 @@ ${inputCode}
     <div className="min-h-screen bg-gradient-to-br from-indigo-950 via-slate-950 to-purple-950 flex flex-col items-center justify-start p-6 gap-8">
       <Toaster position="top-right" />
 
+      <HistorySidebar
+        open={historyOpen}
+        onClose={() => setHistoryOpen(false)}
+        entries={history.entries}
+        onRestore={handleRestore}
+        onTogglePin={history.togglePin}
+        onDelete={history.remove}
+        onExport={history.exportAll}
+        onImport={history.importFile}
+        onClear={history.clearUnpinned}
+      />
+
+      <CacheInspector
+        open={cacheOpen}
+        onClose={() => setCacheOpen(false)}
+        entries={responseCache.entries}
+        settings={settings.cache}
+        onSettingsChange={(cache) => handleSettingsChange({ ...settings, cache })}
+        onDelete={responseCache.remove}
+        onClear={responseCache.clear}
+      />
+
       <h1 className="text-4xl sm:text-5xl font-extrabold bg-gradient-to-r from-cyan-400 via-violet-400 to-pink-400 bg-clip-text text-transparent text-center mt-6">
         AI Code Converter
       </h1>
@@ -331,11 +723,11 @@ ${inputCode}
           <label className="text-sm text-slate-300">From</label>
           <select
             value={sourceLang}
-            onChange={(e) => setSourceLang(e.target.value)}
+            onChange={(e) => handleSourceLangChange(e.target.value)}
             className="bg-slate-900/80 text-white px-3 py-2 rounded-xl"
             disabled={isLoading}
           >
-            {languages.map((lang) => (
+            {LANGUAGE_NAMES.map((lang) => (
               <option key={"src-" + lang} value={lang}>
                 {lang}
               </option>
@@ -351,24 +743,97 @@ ${inputCode}
             className="bg-slate-900/80 text-white px-3 py-2 rounded-xl"
             disabled={isLoading}
           >
-            {languages.map((lang) => (
+            {LANGUAGE_NAMES.map((lang) => (
               <option key={"tgt-" + lang} value={lang}>
                 {lang}
               </option>
             ))}
           </select>
+          <ConversionOptions targetLang={targetLang} options={targetOptions} onChange={handleTargetOptionsChange} disabled={isLoading} />
         </div>
 
+        {sourceLang === targetLang && (
+          <span className="text-sm text-amber-400" title="The model will mostly echo or reformat the input">
+            Source and target are both {sourceLang}
+          </span>
+        )}
+
         <div className="flex items-center gap-2 ml-auto">
           <button
             onClick={handleConvert}
-            disabled={!aiReady || isLoading}
+            disabled={!aiReady || isLoading || compare.running}
             className="px-4 py-2 bg-gradient-to-r from-violet-500 to-cyan-500 rounded-2xl text-white flex items-center gap-2 disabled:opacity-50"
           >
             {isLoading ? <Loader2 className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
             <span>{isLoading ? "Converting..." : "Convert"}</span>
           </button>
 
+          {settings.cache.enabled && (
+            <label className="flex items-center gap-1 text-sm text-slate-300" title="Ignore the response cache and ask the model again for the next conversion">
+              <input type="checkbox" checked={forceFresh} onChange={(e) => setForceFresh(e.target.checked)} />
+              Fresh
+            </label>
+          )}
+
+          <label className="flex items-center gap-1 text-sm text-slate-300" title="After converting, convert back and score how much survived">
+            <input
+              type="checkbox"
+              checked={settings.verifyRoundTrip}
+              onChange={(e) => handleSettingsChange({ ...settings, verifyRoundTrip: e.target.checked })}
+            />
+            Verify round-trip
+          </label>
+
+          <label className="flex items-center gap-1 text-sm text-slate-300" title="After converting, ask the model to map source lines to output lines and explain its choices">
+            <input
+              type="checkbox"
+              checked={settings.explainConversion}
+              onChange={(e) => handleSettingsChange({ ...settings, explainConversion: e.target.checked })}
+            />
+            Explain
+          </label>
+
+          <label className="flex items-center gap-1 text-sm text-slate-300" title="Inputs longer than this are split at top-level declarations and converted part by part">
+            Split at
+            <select
+              value={settings.chunkChars}
+              onChange={(e) => handleSettingsChange({ ...settings, chunkChars: Number(e.target.value) })}
+              className="bg-slate-900/80 text-white px-2 py-1 rounded-lg"
+            >
+              {[0, 6_000, 12_000, 24_000, 48_000].map((n) => (
+                <option key={n} value={n}>
+                  {n ? `${n / 1000}k chars` : "never"}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className="flex items-center gap-1 text-sm text-slate-300" title="How many times to send syntax errors back to the model">
+            Repairs
+            <select
+              value={settings.repairRetries}
+              onChange={(e) => handleSettingsChange({ ...settings, repairRetries: Number(e.target.value) })}
+              className="bg-slate-900/80 text-white px-2 py-1 rounded-lg"
+            >
+              {[0, 1, 2, 3].map((n) => (
+                <option key={n} value={n}>
+                  {n}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          {isLoading && (
+            <button
+              onClick={handleCancel}
+              title="Cancel the request in flight; output received so far is kept"
+              className="px-4 py-2 bg-slate-700 hover:bg-slate-600 rounded-2xl text-white flex items-center gap-2"
+            >
+              <Square className="w-4 h-4" />
+              Cancel
+            </button>
+          )}
+
           <button
             onClick={handleReset}
             disabled={isLoading}
@@ -377,9 +842,56 @@ ${inputCode}
             <RotateCcw className="w-4 h-4" />
             Reset
           </button>
+
+          <button
+            onClick={() => setHistoryOpen((v) => !v)}
+            className="px-4 py-2 bg-slate-700 hover:bg-slate-600 rounded-2xl text-white flex items-center gap-2"
+          >
+            <History className="w-4 h-4" />
+            History
+          </button>
+
+          <button
+            onClick={() => setPromptsOpen((v) => !v)}
+            className="px-4 py-2 bg-slate-700 hover:bg-slate-600 rounded-2xl text-white flex items-center gap-2"
+          >
+            <ScrollText className="w-4 h-4" />
+            Prompt
+          </button>
+
+          <button
+            onClick={() => setCacheOpen((v) => !v)}
+            className="px-4 py-2 bg-slate-700 hover:bg-slate-600 rounded-2xl text-white flex items-center gap-2"
+          >
+            <Database className="w-4 h-4" />
+            Cache
+          </button>
+
+          <button
+            onClick={() => setCompare((prev) => ({ ...prev, open: !prev.open }))}
+            title="Convert with several models side by side"
+            className="px-4 py-2 bg-slate-700 hover:bg-slate-600 rounded-2xl text-white flex items-center gap-2"
+          >
+            <Columns3 className="w-4 h-4" />
+            Compare
+          </button>
         </div>
       </div>
 
+      <ProviderSettings settings={settings} onChange={handleSettingsChange} models={availableModels} disabled={isLoading || compare.running}>
+        <ConnectionBadge status={connection.status} providerLabel={provider.label} onReconnect={connection.reconnect} />
+      </ProviderSettings>
+
+      {promptsOpen && (
+        <PromptPanel
+          prompts={settings.prompts}
+          onChange={(prompts) => handleSettingsChange({ ...settings, prompts })}
+          sourceLang={sourceLang}
+          targetLang={targetLang}
+          onClose={() => setPromptsOpen(false)}
+        />
+      )}
+
       {/* editors */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 w-full max-w-7xl">
         {/* input */}
@@ -387,11 +899,22 @@ ${inputCode}
           <div className="px-4 py-3 border-b border-slate-700 flex items-center gap-2">
             <Code className="w-5 h-5 text-cyan-400" />
             <span className="text-white font-semibold">Input ({sourceLang})</span>
+            <DetectionBadge detection={detection} sourceLang={sourceLang} onSwitch={setSourceLang} />
+            <select
+              value={settings.autoDetect}
+              onChange={(e) => handleSettingsChange({ ...settings, autoDetect: e.target.value })}
+              title="Language detection"
+              className="ml-auto bg-slate-800 text-slate-300 text-xs px-2 py-1 rounded-lg"
+            >
+              <option value="off">Detect: off</option>
+              <option value="suggest">Detect: suggest</option>
+              <option value="auto">Detect: auto-switch</option>
+            </select>
           </div>
           <CodeMirror
             value={inputCode}
             height="420px"
-            extensions={[getLanguageExtension(sourceLang)]}
+            extensions={inputExtensions}
             theme={dracula}
             onChange={(v) => setInputCode(v)}
           />
@@ -403,22 +926,175 @@ ${inputCode}
             <div className="flex items-center gap-2">
               <CheckCircle className="w-5 h-5 text-green-400" />
               <span className="text-white font-semibold">Converted ({targetLang})</span>
+              {outputValidation && !isLoading && <SyntaxBadge validation={outputValidation} />}
+              {outputSecurity && !isLoading && <SecurityBadge scan={outputSecurity} />}
             </div>
 
             <div className="flex items-center gap-2">
-              <CopyButton text={outputCode} onSuccess={onCopySuccess} disabled={!outputCode} className="bg-slate-700 hover:bg-slate-600 text-white" />
+              <CopyButton text={fullOutput} onSuccess={onCopySuccess} disabled={!fullOutput} className="bg-slate-700 hover:bg-slate-600 text-white" />
+              <DownloadButton
+                onClick={handleDownload}
+                disabled={!fullOutput || isLoading}
+                title={`Save as converted${extensionFor(targetLang)} (full, untruncated)`}
+                className="bg-slate-700 hover:bg-slate-600 text-white"
+              />
+              <button
+                type="button"
+                onClick={() => {
+                  setDiffBase("");
+                  setDiffOpen((v) => !v);
+                }}
+                disabled={!fullOutput}
+                title="Compare with a previous run or a round-trip conversion"
+                className="flex items-center gap-2 px-3 py-1 rounded-lg text-sm font-medium bg-slate-700 hover:bg-slate-600 text-white disabled:opacity-50"
+              >
+                <GitCompare className="w-4 h-4" />
+                <span>Diff</span>
+              </button>
+              <button
+                type="button"
+                onClick={() => (explanation.visible && !explanationStale ? setExplanation((prev) => ({ ...prev, visible: false })) : runExplanation())}
+                disabled={!fullOutput || isLoading || explanation.loading}
+                title="Map input lines to output lines and explain the translation"
+                className="flex items-center gap-2 px-3 py-1 rounded-lg text-sm font-medium bg-slate-700 hover:bg-slate-600 text-white disabled:opacity-50"
+              >
+                <Lightbulb className="w-4 h-4" />
+                <span>Explain</span>
+              </button>
+              <button
+                type="button"
+                onClick={() => setRunOpen((v) => !v)}
+                title="Run code in an isolated sandbox"
+                className="flex items-center gap-2 px-3 py-1 rounded-lg text-sm font-medium bg-slate-700 hover:bg-slate-600 text-white"
+              >
+                <TerminalSquare className="w-4 h-4" />
+                <span>Run</span>
+              </button>
+              <button
+                type="button"
+                onClick={() => setTestsOpen((v) => !v)}
+                title="Check the converted code behaves like the source"
+                className="flex items-center gap-2 px-3 py-1 rounded-lg text-sm font-medium bg-slate-700 hover:bg-slate-600 text-white"
+              >
+                <FlaskConical className="w-4 h-4" />
+                <span>Tests</span>
+              </button>
+              {conversions.length > 1 && (
+                <DownloadButton
+                  onClick={handleDownloadAll}
+                  label={`All (${conversions.length}) .zip`}
+                  title="Download every conversion from this session as a .zip"
+                  disabled={isLoading}
+                  className="bg-slate-700 hover:bg-slate-600 text-white"
+                />
+              )}
             </div>
           </div>
 
           <CodeMirror
             value={outputCode}
             height="420px"
-            extensions={[getLanguageExtension(targetLang)]}
+            extensions={outputExtensions}
             theme={dracula}
             editable={false}
+            onCreateEditor={(view) => (outputViewRef.current = view)}
           />
         </div>
       </div>
+
+      {compare.open && (
+        <ComparePanel
+          models={compareSlots}
+          suggestions={availableModels}
+          onModelsChange={handleCompareModelsChange}
+          compare={compare}
+          targetLang={targetLang}
+          canRun={aiReady && !isLoading && compareList.length >= 2}
+          onRun={runCompare}
+          onCancel={() => compareAbortRef.current?.abort()}
+          onPick={handlePickCompare}
+          onClose={() => {
+            compareAbortRef.current?.abort();
+            setCompare((prev) => ({ ...prev, open: false }));
+          }}
+        />
+      )}
+
+      {explanation.visible && (
+        <ExplanationPanel
+          explanation={explanation}
+          stale={explanationStale}
+          active={activeMappings}
+          sourceLang={sourceLang}
+          targetLang={targetLang}
+          onFocus={setInputSelection}
+          onRerun={() => runExplanation()}
+          onClose={() => setExplanation((prev) => ({ ...prev, visible: false }))}
+        />
+      )}
+
+      {chunkRun && (
+        <ChunkProgress run={chunkRun} busy={isLoading} onRetry={handleRetryChunk} onClose={() => setChunkRun(null)} />
+      )}
+
+      {roundTrip.visible && (
+        <RoundTripReport
+          roundTrip={roundTrip}
+          sourceLang={sourceLang}
+          targetLang={targetLang}
+          onShowDiff={() => {
+            setDiffBase(ROUND_TRIP);
+            setDiffOpen(true);
+          }}
+          onClose={() => setRoundTrip((prev) => ({ ...prev, visible: false }))}
+        />
+      )}
+
+      {runOpen && (
+        <RunPanel input={inputCode} output={fullOutput} sourceLang={sourceLang} targetLang={targetLang} onClose={() => setRunOpen(false)} />
+      )}
+
+      {testsOpen && (
+        <TestHarnessPanel
+          input={inputCode}
+          output={fullOutput}
+          sourceLang={sourceLang}
+          targetLang={targetLang}
+          cases={settings.testCases}
+          onCasesChange={(testCases) => handleSettingsChange({ ...settings, testCases })}
+          onClose={() => setTestsOpen(false)}
+        />
+      )}
+
+      <DiffPanel
+        key={diffBase}
+        open={diffOpen && !!fullOutput}
+        onClose={() => setDiffOpen(false)}
+        input={inputCode}
+        output={fullOutput}
+        sourceLang={sourceLang}
+        targetLang={targetLang}
+        historyEntries={history.entries}
+        roundTrip={roundTrip}
+        onRunRoundTrip={() => runRoundTrip()}
+        aiReady={aiReady}
+        defaultBase={diffBase}
+      />
+
+      <ProjectPanel
+        provider={provider}
+        prompts={settings.prompts}
+        options={targetOptions}
+        aiReady={aiReady}
+        sourceLang={sourceLang}
+        targetLang={targetLang}
+        onOpenSource={(file) => {
+          // opened files count as user input, so switching language won't replace them
+          prevExampleRef.current = "";
+          setInputCode(file.content);
+        }}
+        onOpenResult={(file) => setFullOutput(file.content)}
+      />
     </div>
   );
 }
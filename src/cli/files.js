@@ -0,0 +1,116 @@
+// src/cli/files.js
+// Input expansion for the CLI: files, directories (walked recursively) and glob patterns
+// (*, **, ?, {a,b}). Paths in results use "/" and are relative to the input's base directory,
+// which is what ends up mirrored under --out.
+
+import { readdir, readFile, stat } from "node:fs/promises";
+import path from "node:path";
+
+import { isSourceFileFor } from "../utils/languages.js";
+
+const SKIP_DIRS = new Set(["node_modules", ".git", "dist", "build", "target", ".venv", "__pycache__"]);
+
+const toPosix = (p) => p.split(path.sep).join("/");
+
+// an input that names nothing on disk; the CLI reports it as a usage error
+export class MissingInputError extends Error {}
+
+/**
+ * globToRegExp(pattern)
+ * Anchored RegExp for a "/"-separated glob: * and ? stay within a segment, ** spans segments,
+ * {a,b} alternates.
+ */
+export function globToRegExp(pattern) {
+  let re = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === "*" && pattern[i + 1] === "*") {
+      // "**/" matches zero or more whole directories
+      if (pattern[i + 2] === "/") {
+        re += "(?:.*/)?";
+        i += 2;
+      } else {
+        re += ".*";
+        i += 1;
+      }
+    } else if (c === "*") re += "[^/]*";
+    else if (c === "?") re += "[^/]";
+    else if (c === "{") re += "(?:";
+    else if (c === "}") re += ")";
+    else if (c === ",") re += "|";
+    else re += c.replace(/[.+^$()|[\]\\]/g, "\\$&");
+  }
+  return new RegExp(`^${re}$`);
+}
+
+const isGlob = (input) => /[*?{]/.test(input);
+
+// "src/**/*.java" -> "src"; the part before the first segment with a wildcard
+function globBase(pattern) {
+  const segments = pattern.split("/");
+  const i = segments.findIndex((s) => isGlob(s));
+  return segments.slice(0, i).join("/") || ".";
+}
+
+async function* walk(dir) {
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!SKIP_DIRS.has(entry.name)) yield* walk(full);
+    } else if (entry.isFile()) {
+      yield full;
+    }
+  }
+}
+
+/**
+ * expandInputs(inputs, { sourceLang, cwd })
+ * Resolves CLI inputs to [{ file, path }]: `file` is the absolute path to read, `path` the
+ * relative one used for output and the report. Directories contribute every sourceLang file,
+ * globs every match (whatever its extension), explicit files are taken as given.
+ * Throws MissingInputError when an input doesn't exist; duplicates are dropped.
+ */
+export async function expandInputs(inputs, { sourceLang, cwd = process.cwd() } = {}) {
+  const found = new Map();
+  const add = (file, rel) => {
+    if (!found.has(file)) found.set(file, { file, path: toPosix(rel) });
+  };
+
+  for (const input of inputs) {
+    const pattern = toPosix(input);
+    if (isGlob(pattern)) {
+      const base = globBase(pattern);
+      const matcher = globToRegExp(pattern.startsWith("./") ? pattern.slice(2) : pattern);
+      const root = path.resolve(cwd, base);
+      // match in the pattern's own terms: absolute patterns against absolute paths
+      const subject = path.isAbsolute(input) ? (file) => toPosix(file) : (file) => toPosix(path.relative(cwd, file));
+      const info = await stat(root).catch(() => null);
+      if (!info?.isDirectory()) continue;
+      for await (const file of walk(root)) {
+        if (matcher.test(subject(file))) add(file, path.relative(root, file));
+      }
+      continue;
+    }
+
+    const full = path.resolve(cwd, input);
+    const info = await stat(full).catch(() => null);
+    if (!info) throw new MissingInputError(`No such file or directory: ${input}`);
+    if (info.isDirectory()) {
+      for await (const file of walk(full)) {
+        if (isSourceFileFor(toPosix(file), sourceLang)) add(file, path.relative(full, file));
+      }
+    } else {
+      add(full, path.basename(full));
+    }
+  }
+
+  return [...found.values()].sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * readInputs(entries)
+ * Loads file contents: [{ path, content }] ready for convertFiles.
+ */
+export async function readInputs(entries) {
+  return Promise.all(entries.map(async ({ file, path: rel }) => ({ path: rel, content: await readFile(file, "utf8") })));
+}
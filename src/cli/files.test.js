@@ -0,0 +1,81 @@
+// src/cli/files.test.js
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+
+import { expandInputs, globToRegExp, MissingInputError, readInputs } from "./files.js";
+
+test("globToRegExp keeps * and ? inside one segment", () => {
+  const re = globToRegExp("src/*.js");
+  assert.ok(re.test("src/a.js"));
+  assert.ok(!re.test("src/lib/a.js"));
+  assert.ok(!re.test("xsrc/a.js"));
+  assert.ok(globToRegExp("a?.py").test("ab.py"));
+  assert.ok(!globToRegExp("a?.py").test("a/.py"));
+});
+
+test("globToRegExp lets **/ span zero or more directories", () => {
+  const re = globToRegExp("src/**/*.java");
+  assert.ok(re.test("src/A.java"));
+  assert.ok(re.test("src/com/acme/A.java"));
+  assert.ok(!re.test("test/A.java"));
+  assert.ok(globToRegExp("src/**").test("src/a/b/c.txt"));
+});
+
+test("globToRegExp expands {a,b} and escapes regex characters", () => {
+  const re = globToRegExp("*.{js,jsx}");
+  assert.ok(re.test("a.js") && re.test("a.jsx"));
+  assert.ok(!re.test("a.ts"));
+  assert.ok(!globToRegExp("a.js").test("abjs"));
+  assert.ok(globToRegExp("lib(1)+.c").test("lib(1)+.c"));
+});
+
+let root;
+
+before(async () => {
+  root = await mkdtemp(path.join(tmpdir(), "devtranspiler-files-"));
+  const files = {
+    "src/Main.java": "class Main {}",
+    "src/util/Strings.java": "class Strings {}",
+    "src/util/notes.txt": "not java",
+    "src/node_modules/dep/Dep.java": "class Dep {}",
+    "other/Other.java": "class Other {}",
+  };
+  for (const [rel, content] of Object.entries(files)) {
+    await mkdir(path.dirname(path.join(root, rel)), { recursive: true });
+    await writeFile(path.join(root, rel), content);
+  }
+});
+
+after(async () => {
+  await rm(root, { recursive: true, force: true });
+});
+
+test("a directory contributes its source files relative to itself, skipping node_modules", async () => {
+  const entries = await expandInputs(["src"], { sourceLang: "Java", cwd: root });
+  assert.deepEqual(entries.map((e) => e.path), ["Main.java", "util/Strings.java"]);
+  assert.equal(entries[0].file, path.join(root, "src/Main.java"));
+});
+
+test("globs match relative to the cwd and keep paths below the glob's base", async () => {
+  const entries = await expandInputs(["src/**/*.{java,txt}"], { sourceLang: "Java", cwd: root });
+  assert.deepEqual(entries.map((e) => e.path), ["Main.java", "util/notes.txt", "util/Strings.java"]);
+  assert.deepEqual(await expandInputs(["missing/**/*.java"], { sourceLang: "Java", cwd: root }), []);
+});
+
+test("explicit files are taken as given and duplicates are dropped", async () => {
+  const entries = await expandInputs(["src/util/notes.txt", "other/Other.java", "./other/Other.java"], { sourceLang: "Java", cwd: root });
+  assert.deepEqual(entries.map((e) => e.path), ["notes.txt", "Other.java"]);
+  const [file] = await readInputs(entries.slice(1));
+  assert.deepEqual(file, { path: "Other.java", content: "class Other {}" });
+});
+
+test("an input that doesn't exist throws MissingInputError", async () => {
+  await assert.rejects(expandInputs(["nope.java"], { sourceLang: "Java", cwd: root }), (err) => {
+    assert.ok(err instanceof MissingInputError);
+    assert.equal(err.message, "No such file or directory: nope.java");
+    return true;
+  });
+});
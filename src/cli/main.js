@@ -0,0 +1,300 @@
+// src/cli/main.js
+// `devtranspiler` command line: batch conversion for scripts and CI on top of src/core.
+// Exit codes: 0 all files converted, 1 some files failed (or warned, with --strict), 2 usage error
+// (bad flags or languages, inputs that don't exist).
+
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+
+import {
+  convertFiles,
+  createProvider,
+  DEFAULT_PROMPTS,
+  DEFAULT_REQUEST_POLICY,
+  describeError,
+  importPromptPack,
+  LANGUAGE_NAMES,
+  optionsFor,
+  resolveLanguage,
+  withRequestPolicy,
+} from "../core/index.js";
+import { expandInputs, MissingInputError, readInputs } from "./files.js";
+import { createApiServer, DEFAULT_SERVER_OPTIONS } from "../server/app.js";
+
+// the browser-only Puter provider can't run here
+export const CLI_PROVIDERS = ["openai", "mock"];
+
+const USAGE = `Usage:
+  devtranspiler convert <input...> --from <lang> --to <lang> [options]
+  devtranspiler serve [--port <n>] [--host <addr>] [server options]
+  devtranspiler languages
+
+Inputs are files, directories (every --from source file, recursively) or quoted globs
+such as "src/**/*.java".
+
+Options:
+  -f, --from <lang>        source language (name or alias, e.g. java, c#, ts)
+  -t, --to <lang>          target language
+  -o, --out <dir>          output directory, mirrors the input tree (default: out)
+      --provider <id>      ${CLI_PROVIDERS.join(" | ")} (default: openai)
+      --base-url <url>     OpenAI-compatible endpoint incl. version prefix
+                           (default: $DEVTRANSPILER_BASE_URL or http://localhost:11434/v1)
+      --model <name>       model name (default: $DEVTRANSPILER_MODEL or llama3.1)
+      --api-key <key>      API key (default: $DEVTRANSPILER_API_KEY or $OPENAI_API_KEY)
+      --timeout <sec>      per-request timeout (default: ${DEFAULT_REQUEST_POLICY.timeoutSec})
+      --retries <n>        retries for rate limits, timeouts, network and server errors
+                           (default: ${DEFAULT_REQUEST_POLICY.retries})
+      --prompts <file>     prompt pack exported from the app (templates and rule sets)
+      --template <id>      template id from the prompt pack to use
+      --options <json>     target options, e.g. '{"naming":"idiomatic","typing":"add"}'
+  -c, --concurrency <n>    files converted in parallel (default: 3)
+      --repairs <n>        syntax repair rounds per file (default: 0)
+      --report <file>      write the JSON report here ("-" for stdout)
+      --strict             exit 1 when the security scan flags a file
+      --dry-run            list the files that would be converted and exit
+  -q, --quiet              only report failures on stderr
+  -h, --help               show this help
+
+Server options (serve; uses --provider, --base-url, --model, --api-key too):
+      --port <n>           port to listen on (default: 8787)
+      --host <addr>        interface to bind (default: 127.0.0.1)
+      --max-body <kb>      largest accepted request body (default: ${DEFAULT_SERVER_OPTIONS.maxBodyBytes / 1024})
+      --rate-limit <n>     files converted per client per minute, 0 = off (default: ${DEFAULT_SERVER_OPTIONS.rateLimit.max})
+      --cors <origin>      allow browser calls from this origin ("*" for any)
+      --trust-proxy        identify clients by X-Forwarded-For`;
+
+const OPTIONS = {
+  from: { type: "string", short: "f" },
+  to: { type: "string", short: "t" },
+  out: { type: "string", short: "o", default: "out" },
+  provider: { type: "string", default: "openai" },
+  "base-url": { type: "string" },
+  model: { type: "string" },
+  "api-key": { type: "string" },
+  timeout: { type: "string", default: String(DEFAULT_REQUEST_POLICY.timeoutSec) },
+  retries: { type: "string", default: String(DEFAULT_REQUEST_POLICY.retries) },
+  prompts: { type: "string" },
+  template: { type: "string" },
+  options: { type: "string" },
+  concurrency: { type: "string", short: "c", default: "3" },
+  repairs: { type: "string", default: "0" },
+  report: { type: "string" },
+  strict: { type: "boolean", default: false },
+  "dry-run": { type: "boolean", default: false },
+  quiet: { type: "boolean", short: "q", default: false },
+  help: { type: "boolean", short: "h", default: false },
+  port: { type: "string", default: "8787" },
+  host: { type: "string", default: "127.0.0.1" },
+  "max-body": { type: "string" },
+  "rate-limit": { type: "string" },
+  cors: { type: "string" },
+  "trust-proxy": { type: "boolean", default: false },
+};
+
+class UsageError extends Error {}
+
+function positiveInt(value, name) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new UsageError(`--${name} must be a non-negative integer.`);
+  return n;
+}
+
+function providerConfig(values, env) {
+  return {
+    baseUrl: values["base-url"] ?? env.DEVTRANSPILER_BASE_URL ?? "http://localhost:11434/v1",
+    // the mock provider reports whatever model it's given, so leave its default alone
+    model: values.model ?? env.DEVTRANSPILER_MODEL ?? (values.provider === "mock" ? undefined : "llama3.1"),
+    apiKey: values["api-key"] ?? env.DEVTRANSPILER_API_KEY ?? env.OPENAI_API_KEY ?? "",
+  };
+}
+
+// the configured provider behind the request policy; retries are logged as they happen
+function buildProvider(values, env, log) {
+  const timeoutSec = positiveInt(values.timeout, "timeout");
+  if (!timeoutSec) throw new UsageError("--timeout must be at least 1 second.");
+  return withRequestPolicy(createProvider(values.provider, providerConfig(values, env)), {
+    timeoutSec,
+    retries: positiveInt(values.retries, "retries"),
+    onRetry: ({ attempt, retries, error, delayMs }) => log(`… ${describeError(error)} Retrying in ${Math.ceil(delayMs / 1000)}s (${attempt}/${retries})`),
+  });
+}
+
+async function loadPrompts(file, template) {
+  let prompts = DEFAULT_PROMPTS;
+  if (file) ({ prompts } = importPromptPack(prompts, await readFile(file, "utf8")));
+  if (template) {
+    if (template !== "default" && !prompts.templates.some((t) => t.id === template)) {
+      throw new UsageError(`No template "${template}" in ${file ?? "the built-in prompts"}.`);
+    }
+    prompts = { ...prompts, activeTemplate: template };
+  }
+  return prompts;
+}
+
+function parseOptions(json, targetLang) {
+  if (!json) return optionsFor({}, targetLang);
+  try {
+    return optionsFor({ [targetLang]: JSON.parse(json) }, targetLang);
+  } catch {
+    throw new UsageError("--options must be a JSON object.");
+  }
+}
+
+/**
+ * buildReport({ sourceLang, targetLang, provider, outDir, startedAt, results })
+ * JSON-serializable summary of a run; file contents are not included.
+ */
+export function buildReport({ sourceLang, targetLang, provider, outDir, startedAt, results }) {
+  const count = (status) => results.filter((r) => r.status === status).length;
+  return {
+    format: "devtranspiler-report",
+    version: 1,
+    sourceLang,
+    targetLang,
+    provider: provider.id,
+    model: provider.model ?? null,
+    outDir,
+    startedAt: new Date(startedAt).toISOString(),
+    durationMs: Date.now() - startedAt,
+    summary: { total: results.length, converted: count("done") + count("warning"), warnings: count("warning"), failed: count("error") },
+    files: results.map((r) => ({
+      source: r.sourcePath,
+      output: r.status === "error" ? null : r.path,
+      status: r.status,
+      error: r.error ?? null,
+      syntax: r.syntax ? { status: r.syntax.status, errors: r.syntax.errors.length } : null,
+      security: r.security ? { counts: r.security.counts, introduced: r.security.introduced } : null,
+      durationMs: r.durationMs ?? null,
+    })),
+  };
+}
+
+async function convertCommand(positionals, values, { env, stdout, stderr }) {
+  if (!positionals.length) throw new UsageError("convert needs at least one input file, directory or glob.");
+  if (!values.from || !values.to) throw new UsageError("--from and --to are required.");
+  if (!CLI_PROVIDERS.includes(values.provider)) throw new UsageError(`--provider must be one of: ${CLI_PROVIDERS.join(", ")}.`);
+
+  let sourceLang, targetLang;
+  try {
+    sourceLang = resolveLanguage(values.from);
+    targetLang = resolveLanguage(values.to);
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const concurrency = Math.max(1, positiveInt(values.concurrency, "concurrency"));
+  const repairRetries = positiveInt(values.repairs, "repairs");
+  const prompts = await loadPrompts(values.prompts, values.template);
+  const options = parseOptions(values.options, targetLang);
+  const log = values.quiet ? () => {} : (line) => stderr.write(line + "\n");
+  const provider = buildProvider(values, env, log);
+
+  const entries = await expandInputs(positionals, { sourceLang });
+  if (!entries.length) {
+    stderr.write(`No ${sourceLang} files found in ${positionals.join(", ")}.\n`);
+    return 1;
+  }
+  if (values["dry-run"]) {
+    for (const entry of entries) stdout.write(entry.path + "\n");
+    return 0;
+  }
+
+  const outDir = path.resolve(values.out);
+  const startedAt = Date.now();
+  const files = await readInputs(entries);
+  log(`Converting ${files.length} file${files.length === 1 ? "" : "s"} ${sourceLang} → ${targetLang} with ${provider.label}${provider.model ? ` (${provider.model})` : ""}`);
+
+  const results = await convertFiles(provider, files, {
+    sourceLang,
+    targetLang,
+    prompts,
+    options,
+    concurrency,
+    repairRetries,
+    onProgress: (file, update) => {
+      // failures are reported even with --quiet
+      if (update.status === "error") stderr.write(`✗ ${file}: ${update.error}\n`);
+      else if (update.status === "warning") log(`! ${file} → ${update.path}: ${update.error}`);
+      else if (update.status === "done") log(`✓ ${file} → ${update.path}`);
+    },
+  });
+
+  for (const result of results) {
+    if (result.status === "error") continue;
+    const target = path.join(outDir, result.path);
+    await mkdir(path.dirname(target), { recursive: true });
+    await writeFile(target, result.content.endsWith("\n") ? result.content : result.content + "\n");
+  }
+
+  const report = buildReport({ sourceLang, targetLang, provider, outDir, startedAt, results });
+  const json = JSON.stringify(report, null, 2) + "\n";
+  if (values.report === "-") stdout.write(json);
+  else if (values.report) await writeFile(values.report, json);
+
+  const { converted, warnings, failed, total } = report.summary;
+  log(`${converted}/${total} converted${warnings ? `, ${warnings} flagged by the security scan` : ""}${failed ? `, ${failed} failed` : ""} → ${outDir}`);
+  return failed || (values.strict && warnings) ? 1 : 0;
+}
+
+async function serveCommand(values, { env, stderr }) {
+  if (!CLI_PROVIDERS.includes(values.provider)) throw new UsageError(`--provider must be one of: ${CLI_PROVIDERS.join(", ")}.`);
+  const port = positiveInt(values.port, "port");
+  const options = {
+    corsOrigin: values.cors ?? null,
+    trustProxy: values["trust-proxy"],
+  };
+  if (values["max-body"] !== undefined) options.maxBodyBytes = Math.max(1, positiveInt(values["max-body"], "max-body")) * 1024;
+  if (values["rate-limit"] !== undefined) options.rateLimit = { max: positiveInt(values["rate-limit"], "rate-limit") };
+
+  const provider = buildProvider(values, env, (line) => stderr.write(line + "\n"));
+  const server = createApiServer(provider, options);
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, values.host, resolve);
+  });
+  const { address, port: bound } = server.address();
+  stderr.write(`DevTranspiler API on http://${address.includes(":") ? `[${address}]` : address}:${bound} (${provider.label}${provider.model ? `, ${provider.model}` : ""}); OpenAPI at /openapi.json\n`);
+
+  // run until interrupted, then let in-flight requests finish
+  await new Promise((resolve) => {
+    const stop = () => server.close(resolve);
+    process.once("SIGINT", stop);
+    process.once("SIGTERM", stop);
+  });
+  return 0;
+}
+
+/**
+ * main(argv, { env, stdout, stderr })
+ * Runs the CLI and resolves to the exit code instead of exiting, so it can be driven from tests.
+ */
+export async function main(argv, { env = process.env, stdout = process.stdout, stderr = process.stderr } = {}) {
+  try {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, ...rest] = positionals;
+
+    if (values.help) {
+      stdout.write(USAGE + "\n");
+      return 0;
+    }
+    if (!command) {
+      stderr.write(USAGE + "\n");
+      return 2;
+    }
+    if (command === "languages") {
+      stdout.write(LANGUAGE_NAMES.join("\n") + "\n");
+      return 0;
+    }
+    if (command === "convert") return await convertCommand(rest, values, { env, stdout, stderr });
+    if (command === "serve") return await serveCommand(values, { env, stderr });
+    throw new UsageError(`Unknown command "${command}".`);
+  } catch (err) {
+    // parseArgs reports unknown/malformed flags with ERR_PARSE_ARGS_* codes
+    if (err instanceof UsageError || err instanceof MissingInputError || err?.code?.startsWith?.("ERR_PARSE_ARGS")) {
+      stderr.write(`devtranspiler: ${err.message}\nRun "devtranspiler --help" for usage.\n`);
+      return 2;
+    }
+    stderr.write(`devtranspiler: ${err?.message || err}\n`);
+    return 1;
+  }
+}
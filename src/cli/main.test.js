@@ -0,0 +1,103 @@
+// src/cli/main.test.js
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+
+import { main } from "./main.js";
+
+// runs the CLI against in-memory stdout/stderr
+async function run(...argv) {
+  const out = { text: "", write: (s) => (out.text += s) };
+  const err = { text: "", write: (s) => (err.text += s) };
+  const code = await main(argv, { env: {}, stdout: out, stderr: err });
+  return { code, stdout: out.text, stderr: err.text };
+}
+
+let root;
+let src;
+
+before(async () => {
+  root = await mkdtemp(path.join(tmpdir(), "devtranspiler-cli-"));
+  src = path.join(root, "src");
+  await mkdir(path.join(src, "util"), { recursive: true });
+  await writeFile(path.join(src, "Main.java"), "class Main {}\n");
+  await writeFile(path.join(src, "util", "Strings.java"), "class Strings {}\n");
+});
+
+after(async () => {
+  await rm(root, { recursive: true, force: true });
+});
+
+test("--help prints the usage and exits 0", async () => {
+  const { code, stdout } = await run("--help");
+  assert.equal(code, 0);
+  assert.ok(stdout.startsWith("Usage:\n  devtranspiler convert"));
+});
+
+test("languages lists the registry", async () => {
+  const { code, stdout } = await run("languages");
+  assert.equal(code, 0);
+  assert.ok(stdout.split("\n").includes("Kotlin"));
+});
+
+test("usage errors exit 2 with a hint", async () => {
+  const cases = [
+    [],
+    ["frobnicate"],
+    ["convert", "--bogus"],
+    ["convert", src],
+    ["convert", src, "--from", "java", "--to", "klingon"],
+    ["convert", src, "--from", "java", "--to", "kotlin", "--provider", "puter"],
+    ["convert", src, "--from", "java", "--to", "kotlin", "--concurrency", "-1"],
+    ["convert", src, "--from", "java", "--to", "kotlin", "--options", "{nope"],
+    ["convert", path.join(root, "missing"), "--from", "java", "--to", "kotlin", "--provider", "mock"],
+  ];
+  for (const argv of cases) {
+    const { code, stderr } = await run(...argv);
+    assert.equal(code, 2, argv.join(" "));
+    assert.ok(stderr.startsWith("Usage:") || stderr.includes('Run "devtranspiler --help" for usage.'), argv.join(" "));
+  }
+  const missing = await run("convert", path.join(root, "missing"), "--from", "java", "--to", "kotlin", "--provider", "mock");
+  assert.match(missing.stderr, /No such file or directory: .*missing/);
+});
+
+test("--dry-run lists the files without converting", async () => {
+  const { code, stdout } = await run("convert", src, "--from", "java", "--to", "kotlin", "--provider", "mock", "--dry-run");
+  assert.equal(code, 0);
+  assert.equal(stdout, "Main.java\nutil/Strings.java\n");
+});
+
+test("convert mirrors the input tree under --out and reports each file", async () => {
+  const out = path.join(root, "out");
+  const { code, stdout, stderr } = await run("convert", src, "-f", "java", "-t", "kotlin", "--provider", "mock", "-o", out, "--report", "-");
+  assert.equal(code, 0, stderr);
+  assert.equal(await readFile(path.join(out, "Main.kt"), "utf8"), "class Main {}\n");
+  assert.equal(await readFile(path.join(out, "util", "Strings.kt"), "utf8"), "class Strings {}\n");
+
+  const report = JSON.parse(stdout);
+  assert.equal(report.format, "devtranspiler-report");
+  assert.deepEqual(report.summary, { total: 2, converted: 2, warnings: 0, failed: 0 });
+  assert.deepEqual(report.files.map((f) => [f.source, f.output, f.status]), [
+    ["Main.java", "Main.kt", "done"],
+    ["util/Strings.java", "util/Strings.kt", "done"],
+  ]);
+  assert.match(stderr, /✓ Main\.java → Main\.kt/);
+});
+
+test("a directory without source files exits 1", async () => {
+  const { code, stderr } = await run("convert", src, "--from", "python", "--to", "kotlin", "--provider", "mock");
+  assert.equal(code, 1);
+  assert.match(stderr, /No Python files found/);
+});
+
+test("files that fail to convert exit 1 and are still reported", async () => {
+  // nothing listens on the discard port, so every request fails at once
+  const { code, stderr } = await run(
+    "convert", path.join(src, "Main.java"), "--from", "java", "--to", "kotlin",
+    "--base-url", "http://127.0.0.1:9/v1", "--retries", "0", "--out", path.join(root, "failed"), "--quiet"
+  );
+  assert.equal(code, 1);
+  assert.match(stderr, /^✗ Main\.java: /);
+});
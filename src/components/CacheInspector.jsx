@@ -0,0 +1,101 @@
+// src/components/CacheInspector.jsx
+import { Database, Trash2, X } from "lucide-react";
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+function formatTime(ts) {
+  return new Date(ts).toLocaleString(undefined, { dateStyle: "short", timeStyle: "short" });
+}
+
+/**
+ * CacheInspector
+ * Slide-over list of cached responses with size/limit settings.
+ * Props:
+ * - open (bool), onClose (fn)
+ * - entries (array): cache entries (see utils/cache.js)
+ * - settings (object): settings.cache ({ enabled, maxEntries, maxMB })
+ * - onSettingsChange (fn): called with the next settings.cache
+ * - onDelete (fn): (entry) => void, onClear (fn)
+ */
+export default function CacheInspector({ open, onClose, entries, settings, onSettingsChange, onDelete, onClear }) {
+  if (!open) return null;
+
+  const totalBytes = entries.reduce((sum, e) => sum + e.size, 0);
+
+  return (
+    <aside className="fixed inset-y-0 right-0 z-40 w-full sm:w-96 bg-slate-950/95 border-l border-slate-800 flex flex-col shadow-2xl">
+      <div className="px-4 py-3 border-b border-slate-800 flex items-center gap-2">
+        <Database className="w-5 h-5 text-cyan-400" />
+        <span className="text-white font-semibold">Response cache</span>
+        <span className="text-xs text-slate-500">
+          {entries.length} · {formatBytes(totalBytes)}
+        </span>
+        <button type="button" onClick={onClose} className="ml-auto text-slate-400 hover:text-white" aria-label="Close cache">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="p-3 flex flex-wrap items-center gap-3 border-b border-slate-800 text-xs text-slate-300">
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={settings.enabled} onChange={(e) => onSettingsChange({ ...settings, enabled: e.target.checked })} />
+          Enabled
+        </label>
+        <label className="flex items-center gap-1">
+          Max
+          <input
+            type="number"
+            min={1}
+            value={settings.maxEntries}
+            onChange={(e) => onSettingsChange({ ...settings, maxEntries: Math.max(1, Number(e.target.value) || 1) })}
+            className="bg-slate-900 text-white px-2 py-1 rounded w-16"
+          />
+          entries
+        </label>
+        <label className="flex items-center gap-1">
+          <input
+            type="number"
+            min={1}
+            value={settings.maxMB}
+            onChange={(e) => onSettingsChange({ ...settings, maxMB: Math.max(1, Number(e.target.value) || 1) })}
+            className="bg-slate-900 text-white px-2 py-1 rounded w-14"
+          />
+          MB
+        </label>
+        <button type="button" onClick={onClear} disabled={!entries.length} title="Clear cache" className="ml-auto p-1.5 rounded-lg bg-slate-800 text-slate-300 hover:text-rose-400 disabled:opacity-50">
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+
+      <ul className="flex-1 overflow-auto divide-y divide-slate-800">
+        {entries.length === 0 && <li className="p-4 text-sm text-slate-500">Nothing cached yet.</li>}
+        {entries.map((entry) => (
+          <li key={entry.key} className="p-3 hover:bg-slate-900/80">
+            <div className="flex items-center gap-2 text-sm">
+              <span className="text-white font-medium">
+                {entry.sourceLang} → {entry.targetLang}
+              </span>
+              <span className="ml-auto text-xs text-slate-500">{formatTime(entry.usedAt)}</span>
+            </div>
+            <pre className="mt-1 text-xs text-slate-400 truncate font-mono">{entry.input.split("\n")[0]}</pre>
+            <div className="mt-2 flex items-center gap-2 text-xs text-slate-500">
+              <span>{entry.model || entry.provider || "unknown model"}</span>
+              <span>· {formatBytes(entry.size)}</span>
+              <span>
+                · {entry.hits} hit{entry.hits === 1 ? "" : "s"}
+              </span>
+              <span className="font-mono" title={entry.key}>
+                · {entry.key.slice(0, 8)}
+              </span>
+              <button type="button" onClick={() => onDelete(entry)} title="Delete" className="ml-auto p-1 rounded hover:bg-slate-800 hover:text-rose-400">
+                <Trash2 className="w-3.5 h-3.5" />
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </aside>
+  );
+}
@@ -0,0 +1,60 @@
+// src/components/ChunkProgress.jsx
+import { Layers, Loader2, CheckCircle, XCircle, Circle, RotateCcw, X } from "lucide-react";
+
+const STATUS_ICONS = {
+  pending: <Circle className="w-3.5 h-3.5 text-slate-600" />,
+  converting: <Loader2 className="w-3.5 h-3.5 text-cyan-400 animate-spin" />,
+  done: <CheckCircle className="w-3.5 h-3.5 text-green-400" />,
+  error: <XCircle className="w-3.5 h-3.5 text-rose-400" />,
+};
+
+/**
+ * ChunkProgress
+ * Per-chunk status of a chunked conversion (see utils/chunking.js).
+ * Props:
+ * - run (object): { chunks: [{ index, startLine, endLine, status, error }] } from App's chunk state
+ * - busy (bool): a conversion or retry is in flight
+ * - onRetry (fn): (index) => void, convert a single chunk again
+ * - onClose (fn)
+ */
+export default function ChunkProgress({ run, busy, onRetry, onClose }) {
+  const { chunks } = run;
+  const done = chunks.filter((c) => c.status === "done").length;
+  const failed = chunks.filter((c) => c.status === "error").length;
+
+  return (
+    <div className="w-full max-w-7xl bg-slate-900/80 rounded-2xl px-4 py-3 text-sm">
+      <div className="flex flex-wrap items-center gap-3">
+        <Layers className="w-5 h-5 text-violet-400" />
+        <span className="text-white font-semibold">Chunked conversion</span>
+        <span className="text-slate-400">
+          {done}/{chunks.length} parts converted
+        </span>
+        {failed > 0 && <span className="text-rose-400">{failed} failed — retry them to complete the output</span>}
+        <button type="button" onClick={onClose} disabled={busy} className="ml-auto text-slate-400 hover:text-white disabled:opacity-50" aria-label="Close chunk progress">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <ul className="mt-2 flex flex-wrap gap-2">
+        {chunks.map((chunk) => (
+          <li
+            key={chunk.index}
+            className="flex items-center gap-1.5 px-2 py-1 rounded-lg bg-slate-950/60 text-xs text-slate-300"
+            title={chunk.error || `Lines ${chunk.startLine}–${chunk.endLine}`}
+          >
+            {STATUS_ICONS[chunk.status]}
+            <span>
+              Part {chunk.index + 1} · lines {chunk.startLine}–{chunk.endLine}
+            </span>
+            {chunk.status === "error" && (
+              <button type="button" onClick={() => onRetry(chunk.index)} disabled={busy} className="ml-1 text-slate-400 hover:text-white disabled:opacity-50" aria-label={`Retry part ${chunk.index + 1}`}>
+                <RotateCcw className="w-3.5 h-3.5" />
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+// src/components/ComparePanel.jsx
+import { useMemo } from "react";
+import CodeMirror from "@uiw/react-codemirror";
+import { dracula } from "@uiw/codemirror-theme-dracula";
+import { Columns3, Loader2, Play, Square, Timer, Trophy, X, XCircle } from "lucide-react";
+
+import SyntaxBadge from "./SyntaxBadge";
+import SecurityBadge from "./SecurityBadge";
+import { MAX_COMPARE_MODELS, fastestModel } from "../utils/compare.js";
+import { getLanguageExtension } from "../utils/languages.js";
+
+const GRID_COLS = { 1: "lg:grid-cols-1", 2: "lg:grid-cols-2", 3: "lg:grid-cols-3" };
+
+function formatDuration(ms) {
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+function formatLength({ lines, chars }) {
+  return `${lines} line${lines === 1 ? "" : "s"} · ${chars < 1000 ? chars : `${(chars / 1000).toFixed(1)}k`} chars`;
+}
+
+/**
+ * ComparePanel
+ * The same conversion from 2-3 models side by side; the chosen output goes to the main editor.
+ * Props:
+ * - models (string[]): model names, one per slot (may contain blanks)
+ * - suggestions (string[]): models offered by the provider
+ * - onModelsChange (fn): (models) => void
+ * - compare (object): { running, models, results } from App's compare state; results[i] is
+ *   null while models[i] is still converting (see compareModels in utils/compare.js)
+ * - targetLang (string)
+ * - canRun (bool)
+ * - onRun, onCancel, onClose (fn)
+ * - onPick (fn): (result) => void
+ */
+export default function ComparePanel({ models, suggestions, onModelsChange, compare, targetLang, canRun, onRun, onCancel, onPick, onClose }) {
+  const { running, results } = compare;
+  const slots = Array.from({ length: MAX_COMPARE_MODELS }, (_, i) => models[i] ?? "");
+  const fastest = results.length > 1 ? fastestModel(results) : null;
+  const extensions = useMemo(() => [getLanguageExtension(targetLang)], [targetLang]);
+
+  function setSlot(index, value) {
+    onModelsChange(slots.map((m, i) => (i === index ? value : m)));
+  }
+
+  return (
+    <div className="w-full max-w-7xl bg-slate-900/80 rounded-2xl px-4 py-3 text-sm">
+      <div className="flex flex-wrap items-center gap-3">
+        <Columns3 className="w-5 h-5 text-violet-300" />
+        <span className="text-white font-semibold">Compare models</span>
+
+        {slots.map((model, i) => (
+          <input
+            key={i}
+            type="text"
+            list="compare-models"
+            value={model}
+            onChange={(e) => setSlot(i, e.target.value)}
+            placeholder={i < 2 ? `model ${i + 1}` : "model 3 (optional)"}
+            className="bg-slate-800 text-white px-2 py-1 rounded-lg w-44"
+            disabled={running}
+          />
+        ))}
+        <datalist id="compare-models">
+          {suggestions.map((m) => (
+            <option key={m} value={m} />
+          ))}
+        </datalist>
+
+        <div className="ml-auto flex items-center gap-2">
+          {running ? (
+            <button type="button" onClick={onCancel} className="flex items-center gap-1 px-3 py-1 rounded-lg bg-slate-700 hover:bg-slate-600 text-white">
+              <Square className="w-4 h-4" /> Cancel
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={onRun}
+              disabled={!canRun}
+              title="Convert the input with every model at once"
+              className="flex items-center gap-1 px-3 py-1 rounded-lg bg-violet-600 hover:bg-violet-500 text-white disabled:opacity-50"
+            >
+              <Play className="w-4 h-4" /> Compare
+            </button>
+          )}
+          <button type="button" onClick={onClose} className="text-slate-400 hover:text-white" aria-label="Close comparison">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {results.length > 0 && (
+        <div className={`mt-3 grid grid-cols-1 gap-4 ${GRID_COLS[results.length]}`}>
+          {results.map((result, i) => (
+            <div key={i} className="rounded-xl border border-slate-700 overflow-hidden flex flex-col">
+              <div className="px-3 py-2 border-b border-slate-700 flex flex-wrap items-center gap-2">
+                <span className="text-white font-semibold truncate" title={result?.model ?? compare.models[i]}>
+                  {result?.model ?? compare.models[i]}
+                </span>
+                {!result && (
+                  <span className="flex items-center gap-1 text-slate-400">
+                    <Loader2 className="w-4 h-4 animate-spin" /> converting...
+                  </span>
+                )}
+                {result && (
+                  <span className={`flex items-center gap-1 text-xs ${result.model === fastest ? "text-green-400" : "text-slate-400"}`} title="Time to the full reply">
+                    <Timer className="w-3.5 h-3.5" /> {formatDuration(result.durationMs)}
+                    {result.model === fastest && " · fastest"}
+                  </span>
+                )}
+                {result?.status === "done" && (
+                  <>
+                    <span className="text-xs text-slate-400">{formatLength(result)}</span>
+                    <SyntaxBadge validation={result.validation} />
+                    <SecurityBadge scan={result.security} />
+                    <button
+                      type="button"
+                      onClick={() => onPick(result)}
+                      title="Use this output in the main editor"
+                      className="ml-auto flex items-center gap-1 px-2 py-0.5 rounded-lg bg-slate-700 hover:bg-slate-600 text-white"
+                    >
+                      <Trophy className="w-3.5 h-3.5" /> Use this
+                    </button>
+                  </>
+                )}
+                {result?.status === "error" && (
+                  <span className="flex items-center gap-1 text-xs text-rose-400">
+                    <XCircle className="w-3.5 h-3.5" /> {result.error}
+                  </span>
+                )}
+              </div>
+              <CodeMirror value={result?.code ?? ""} height="320px" extensions={extensions} theme={dracula} editable={false} />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
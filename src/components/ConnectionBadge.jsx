@@ -0,0 +1,60 @@
+// src/components/ConnectionBadge.jsx
+import { useEffect, useState } from "react";
+import { RefreshCw } from "lucide-react";
+
+import { CONNECTION_STATES } from "../utils/connection.js";
+
+const DOT_COLORS = {
+  initializing: "bg-slate-400 animate-pulse",
+  ready: "bg-green-400",
+  degraded: "bg-amber-400",
+  offline: "bg-rose-500",
+  "rate-limited": "bg-orange-400",
+};
+
+// seconds until `at`, re-rendered every second while counting down
+function useCountdown(at) {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    if (!at) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [at]);
+  return at ? Math.max(0, Math.ceil((at - now) / 1000)) : null;
+}
+
+/**
+ * ConnectionBadge
+ * Provider connection state with a reconnect button.
+ * Props:
+ * - status (object): connection status from useConnection
+ * - providerLabel (string)
+ * - onReconnect (fn)
+ */
+export default function ConnectionBadge({ status, providerLabel, onReconnect }) {
+  const seconds = useCountdown(status.retryAt);
+  const { label } = CONNECTION_STATES[status.state];
+  const waiting = seconds !== null && !status.checking;
+
+  return (
+    <div className="flex items-center gap-2 text-xs text-slate-300" title={status.message || `${providerLabel}: ${label}`}>
+      <span className={`w-2.5 h-2.5 rounded-full ${DOT_COLORS[status.state]}`} />
+      <span>
+        {providerLabel}: {status.checking && status.state !== "initializing" ? "Reconnecting..." : label}
+        {waiting && status.state === "offline" && ` · retry in ${seconds}s`}
+        {waiting && status.state === "rate-limited" && ` · resumes in ${seconds}s`}
+      </span>
+      {status.state !== "ready" && status.state !== "initializing" && (
+        <button
+          type="button"
+          onClick={onReconnect}
+          disabled={status.checking}
+          title="Check the provider again now"
+          className="flex items-center gap-1 px-2 py-0.5 rounded-lg bg-slate-800 hover:bg-slate-700 text-slate-200 disabled:opacity-50"
+        >
+          <RefreshCw className={`w-3 h-3 ${status.checking ? "animate-spin" : ""}`} /> Reconnect
+        </button>
+      )}
+    </div>
+  );
+}
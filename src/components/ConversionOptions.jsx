@@ -0,0 +1,103 @@
+// src/components/ConversionOptions.jsx
+import { SlidersHorizontal } from "lucide-react";
+
+import { COMMENT_CHOICES, DEFAULT_OPTIONS, NAMING_CHOICES, TYPING_CHOICES, optionFields } from "../utils/conversionOptions.js";
+
+function Field({ label, value, onChange, children }) {
+  return (
+    <label className="flex items-center justify-between gap-3 text-xs text-slate-300">
+      {label}
+      <select value={value} onChange={(e) => onChange(e.target.value)} className="bg-slate-800 text-white px-2 py-1 rounded w-40">
+        {children}
+      </select>
+    </label>
+  );
+}
+
+/**
+ * ConversionOptions
+ * Dropdown with idiom/style options for the target language (see utils/conversionOptions.js).
+ * Props:
+ * - targetLang (string)
+ * - options (object): current options for targetLang
+ * - onChange (fn): called with the next options object
+ * - disabled (bool)
+ */
+export default function ConversionOptions({ targetLang, options, onChange, disabled = false }) {
+  const { versions, asyncStyles, typing } = optionFields(targetLang);
+  const changed = Object.keys(DEFAULT_OPTIONS).filter((key) => options[key] !== DEFAULT_OPTIONS[key]).length;
+
+  function update(field, value) {
+    onChange({ ...options, [field]: value });
+  }
+
+  return (
+    <details className="relative">
+      <summary
+        className={`list-none cursor-pointer flex items-center gap-1 px-2 py-2 rounded-xl bg-slate-900/80 text-sm ${disabled ? "pointer-events-none opacity-50" : "text-slate-300 hover:text-white"}`}
+        title={`${targetLang} conversion options`}
+      >
+        <SlidersHorizontal className="w-4 h-4" />
+        {changed > 0 && <span className="text-xs text-cyan-300">{changed}</span>}
+      </summary>
+
+      <div className="absolute z-30 mt-2 left-0 w-72 bg-slate-950 border border-slate-700 rounded-xl p-3 flex flex-col gap-2 shadow-2xl">
+        <span className="text-xs text-slate-500">Saved for {targetLang}</span>
+
+        {versions.length > 0 && (
+          <Field label="Version" value={options.version} onChange={(v) => update("version", v)}>
+            <option value="">Latest</option>
+            {versions.map((v) => (
+              <option key={v} value={v}>
+                {targetLang} {v}
+              </option>
+            ))}
+          </Field>
+        )}
+
+        {asyncStyles.length > 0 && (
+          <Field label="Async style" value={options.asyncStyle} onChange={(v) => update("asyncStyle", v)}>
+            <option value="keep">As in source</option>
+            {asyncStyles.map((style) => (
+              <option key={style} value={style}>
+                {style}
+              </option>
+            ))}
+          </Field>
+        )}
+
+        <Field label="Naming" value={options.naming} onChange={(v) => update("naming", v)}>
+          {NAMING_CHOICES.map((c) => (
+            <option key={c.value} value={c.value}>
+              {c.label}
+            </option>
+          ))}
+        </Field>
+
+        {typing && (
+          <Field label="Typing" value={options.typing} onChange={(v) => update("typing", v)}>
+            {TYPING_CHOICES.map((c) => (
+              <option key={c.value} value={c.value}>
+                {c.label}
+              </option>
+            ))}
+          </Field>
+        )}
+
+        <Field label="Comments" value={options.comments} onChange={(v) => update("comments", v)}>
+          {COMMENT_CHOICES.map((c) => (
+            <option key={c.value} value={c.value}>
+              {c.label}
+            </option>
+          ))}
+        </Field>
+
+        {changed > 0 && (
+          <button type="button" onClick={() => onChange(DEFAULT_OPTIONS)} className="self-end text-xs text-slate-400 hover:text-white">
+            Reset
+          </button>
+        )}
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,36 @@
+// src/components/DetectionBadge.jsx
+import { ScanSearch } from "lucide-react";
+
+function confidenceColor(confidence) {
+  if (confidence >= 0.75) return "text-green-400";
+  if (confidence >= 0.5) return "text-amber-400";
+  return "text-slate-500";
+}
+
+/**
+ * DetectionBadge
+ * Props:
+ * - detection (object|null): result of detectLanguage
+ * - sourceLang (string): currently selected source language
+ * - onSwitch (fn): (lang) => void, apply the suggestion
+ */
+export default function DetectionBadge({ detection, sourceLang, onSwitch }) {
+  if (!detection) return null;
+  const { lang, confidence } = detection;
+  const pct = Math.round(confidence * 100);
+  const mismatch = lang !== sourceLang;
+
+  return (
+    <span className="flex items-center gap-1 text-xs" title={`Detected locally from the code (${pct}% confidence)`}>
+      <ScanSearch className={`w-3.5 h-3.5 ${confidenceColor(confidence)}`} />
+      <span className={mismatch ? "text-amber-300" : "text-slate-400"}>
+        looks like {lang} ({pct}%)
+      </span>
+      {mismatch && confidence >= 0.5 && (
+        <button type="button" onClick={() => onSwitch(lang)} className="ml-1 px-2 py-0.5 rounded bg-amber-500/20 text-amber-200 hover:bg-amber-500/30">
+          Switch
+        </button>
+      )}
+    </span>
+  );
+}
@@ -0,0 +1,128 @@
+// src/components/DiffPanel.jsx
+import { useMemo, useState } from "react";
+import CodeMirror from "@uiw/react-codemirror";
+import CodeMirrorMerge from "react-codemirror-merge";
+import { unifiedMergeView } from "@codemirror/merge";
+import { EditorView } from "@codemirror/view";
+import { EditorState } from "@codemirror/state";
+import { dracula } from "@uiw/codemirror-theme-dracula";
+import { GitCompare, X, Loader2, Columns2, Rows2, RefreshCw } from "lucide-react";
+
+import CopyButton from "./CopyButton";
+import { getLanguageExtension } from "../utils/languages.js";
+import { diffHunks } from "../utils/diff.js";
+
+export const ROUND_TRIP = "roundtrip";
+
+/**
+ * DiffPanel
+ * Compares the current output with a previous run from history, or the input with a
+ * round-trip (target → source) re-conversion of the output.
+ * Props:
+ * - open (bool), onClose (fn)
+ * - input, output (string): current editor contents (output untruncated)
+ * - sourceLang, targetLang (string)
+ * - historyEntries (array): see utils/history.js
+ * - roundTrip (object): { code, from, loading } — App's round-trip state
+ * - onRunRoundTrip (fn): start a round-trip conversion of the current output
+ * - aiReady (bool)
+ * - defaultBase (string): initial comparison (a history id or ROUND_TRIP)
+ */
+export default function DiffPanel({ open, onClose, input, output, sourceLang, targetLang, historyEntries, roundTrip, onRunRoundTrip, aiReady, defaultBase = "" }) {
+  const [baseId, setBaseId] = useState(defaultBase);
+  const [mode, setMode] = useState("split");
+
+  const candidates = useMemo(
+    () => historyEntries.filter((e) => e.targetLang === targetLang && e.output && e.output !== output),
+    [historyEntries, targetLang, output]
+  );
+
+  const effectiveBase = baseId || (candidates[0]?.id ?? ROUND_TRIP);
+  const isRoundTrip = effectiveBase === ROUND_TRIP;
+  const baseEntry = candidates.find((e) => e.id === effectiveBase);
+
+  // original (left) vs modified (right)
+  const original = isRoundTrip ? input : baseEntry?.output ?? "";
+  const modified = isRoundTrip ? roundTrip.code : output;
+  const lang = isRoundTrip ? sourceLang : targetLang;
+  const hunks = useMemo(() => diffHunks(original, modified), [original, modified]);
+
+  if (!open) return null;
+
+  const readOnly = [EditorView.editable.of(false), EditorState.readOnly.of(true)];
+  const langExt = getLanguageExtension(lang);
+  const stale = isRoundTrip && roundTrip.code && roundTrip.from !== output;
+
+  return (
+    <div className="w-full max-w-7xl bg-slate-900/80 rounded-2xl overflow-hidden">
+      <div className="px-4 py-3 border-b border-slate-700 flex flex-wrap items-center gap-2 text-sm">
+        <GitCompare className="w-5 h-5 text-violet-400" />
+        <span className="text-white font-semibold">Diff</span>
+
+        <select value={effectiveBase} onChange={(e) => setBaseId(e.target.value)} className="bg-slate-800 text-white px-2 py-1 rounded-lg max-w-72">
+          {candidates.map((e) => (
+            <option key={e.id} value={e.id}>
+              Output vs run {new Date(e.createdAt).toLocaleString(undefined, { dateStyle: "short", timeStyle: "short" })}
+              {e.model ? ` (${e.model})` : ""}
+            </option>
+          ))}
+          <option value={ROUND_TRIP}>Input vs round-trip ({targetLang} → {sourceLang})</option>
+        </select>
+
+        {isRoundTrip && (
+          <button type="button" onClick={onRunRoundTrip} disabled={!aiReady || roundTrip.loading} className="px-3 py-1 rounded-lg bg-slate-700 hover:bg-slate-600 text-white flex items-center gap-1 disabled:opacity-50">
+            {roundTrip.loading ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
+            {roundTrip.code ? "Re-run round-trip" : "Run round-trip"}
+          </button>
+        )}
+        {stale && <span className="text-amber-400 text-xs">output changed since round-trip</span>}
+
+        <div className="ml-auto flex items-center gap-1">
+          <button type="button" onClick={() => setMode("split")} title="Split view" className={`p-1.5 rounded-lg ${mode === "split" ? "bg-slate-600 text-white" : "text-slate-400 hover:text-white"}`}>
+            <Columns2 className="w-4 h-4" />
+          </button>
+          <button type="button" onClick={() => setMode("inline")} title="Inline view" className={`p-1.5 rounded-lg ${mode === "inline" ? "bg-slate-600 text-white" : "text-slate-400 hover:text-white"}`}>
+            <Rows2 className="w-4 h-4" />
+          </button>
+          <button type="button" onClick={onClose} className="p-1.5 text-slate-400 hover:text-white" aria-label="Close diff">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {mode === "split" ? (
+        <CodeMirrorMerge theme={dracula} orientation="a-b" highlightChanges gutter className="text-sm max-h-[420px] overflow-auto">
+          <CodeMirrorMerge.Original value={original} extensions={[langExt, ...readOnly]} />
+          <CodeMirrorMerge.Modified value={modified} extensions={[langExt, ...readOnly]} />
+        </CodeMirrorMerge>
+      ) : (
+        <CodeMirror
+          key={original}
+          value={modified}
+          height="420px"
+          theme={dracula}
+          editable={false}
+          extensions={[langExt, unifiedMergeView({ original, mergeControls: false })]}
+        />
+      )}
+
+      <div className="border-t border-slate-700 max-h-64 overflow-auto">
+        <div className="px-4 py-2 text-xs uppercase tracking-wide text-slate-500">
+          {hunks.length} change{hunks.length === 1 ? "" : "s"}
+        </div>
+        {hunks.map((hunk, i) => (
+          <div key={i} className="px-4 py-2 border-t border-slate-800 flex items-start gap-3">
+            <span className="text-xs text-slate-500 w-20 shrink-0">
+              L{hunk.startLineA} → L{hunk.startLineB}
+            </span>
+            <pre className="flex-1 text-xs font-mono overflow-hidden">
+              {hunk.original && <div className="text-rose-300 whitespace-pre-wrap">{hunk.original.replace(/^/gm, "- ")}</div>}
+              {hunk.modified && <div className="text-green-300 whitespace-pre-wrap">{hunk.modified.replace(/^/gm, "+ ")}</div>}
+            </pre>
+            <CopyButton text={hunk.modified || hunk.original} className="bg-slate-700 hover:bg-slate-600 text-white shrink-0" />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+// src/components/DownloadButton.jsx
+import { Download } from "lucide-react";
+
+/**
+ * DownloadButton
+ * Props:
+ * - onClick (fn): performs the download
+ * - label (string): button text (default "Download")
+ * - title (string): tooltip
+ * - disabled (bool)
+ * - className (string) extra classes
+ */
+export default function DownloadButton({ onClick, label = "Download", title, disabled = false, className = "" }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      title={title}
+      disabled={disabled}
+      className={`flex items-center gap-2 px-3 py-1 rounded-lg text-sm font-medium transition-all disabled:opacity-50 ${className}`}
+    >
+      <Download className="w-4 h-4" />
+      <span>{label}</span>
+    </button>
+  );
+}
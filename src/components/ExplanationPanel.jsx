@@ -0,0 +1,71 @@
+// src/components/ExplanationPanel.jsx
+import { Lightbulb, Loader2, RotateCcw, X } from "lucide-react";
+
+function formatRange({ start, end }) {
+  return start === end ? `L${start}` : `L${start}–${end}`;
+}
+
+/**
+ * ExplanationPanel
+ * Source → target line mappings with the model's rationale. Hovering or selecting input lines
+ * marks the matching rows; clicking a row selects its source lines.
+ * Props:
+ * - explanation (object): { loading, mappings, error } from App's explanation state
+ * - stale (bool): input or output changed since the explanation was made
+ * - active (array): mappings for the hovered/selected input lines
+ * - sourceLang, targetLang (string)
+ * - onFocus (fn): (sourceRange) => void
+ * - onRerun (fn), onClose (fn)
+ */
+export default function ExplanationPanel({ explanation, stale, active, sourceLang, targetLang, onFocus, onRerun, onClose }) {
+  const { loading, mappings, error } = explanation;
+  const focused = active[0];
+
+  return (
+    <div className="w-full max-w-7xl bg-slate-900/80 rounded-2xl px-4 py-3 text-sm">
+      <div className="flex flex-wrap items-center gap-3">
+        <Lightbulb className="w-5 h-5 text-amber-300" />
+        <span className="text-white font-semibold">
+          Explanation {sourceLang} → {targetLang}
+        </span>
+        {loading && (
+          <span className="flex items-center gap-1 text-slate-400">
+            <Loader2 className="w-4 h-4 animate-spin" /> mapping lines...
+          </span>
+        )}
+        {error && <span className="text-rose-400">{error}</span>}
+        {mappings && !loading && <span className="text-slate-400">{mappings.length} mappings · hover or select input lines</span>}
+        {stale && mappings && !loading && <span className="text-amber-400">code changed since — re-run to refresh</span>}
+
+        <div className="ml-auto flex items-center gap-2">
+          <button type="button" onClick={onRerun} disabled={loading} title="Explain again" className="flex items-center gap-1 px-3 py-1 rounded-lg bg-slate-700 hover:bg-slate-600 text-white disabled:opacity-50">
+            <RotateCcw className="w-4 h-4" /> Re-run
+          </button>
+          <button type="button" onClick={onClose} className="text-slate-400 hover:text-white" aria-label="Close explanation">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {focused?.note && !stale && <p className="mt-2 text-amber-200">{focused.note}</p>}
+
+      {mappings?.length > 0 && (
+        <ul className="mt-2 max-h-56 overflow-auto space-y-0.5 font-mono text-xs">
+          {mappings.map((m) => (
+            <li key={`${m.source.start}-${m.source.end}:${m.target.start}-${m.target.end}`}>
+              <button
+                type="button"
+                onClick={() => onFocus(m.source)}
+                disabled={stale}
+                className={`w-full text-left px-2 py-1 rounded ${active.includes(m) ? "bg-cyan-500/15 text-white" : "text-slate-300 hover:bg-slate-800"}`}
+              >
+                <span className="text-cyan-300">{formatRange(m.source)}</span> → <span className="text-green-300">{formatRange(m.target)}</span>
+                {m.note && <span className="ml-2 font-sans text-slate-400">{m.note}</span>}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+// src/components/FileTree.jsx
+import { useMemo, useState } from "react";
+import { ChevronDown, ChevronRight, FileCode, Loader2, CheckCircle, XCircle, AlertTriangle, Circle, MinusCircle } from "lucide-react";
+
+const STATUS_ICONS = {
+  pending: <Circle className="w-3 h-3 text-slate-500" />,
+  converting: <Loader2 className="w-3 h-3 text-cyan-400 animate-spin" />,
+  done: <CheckCircle className="w-3 h-3 text-green-400" />,
+  warning: <AlertTriangle className="w-3 h-3 text-amber-400" />,
+  error: <XCircle className="w-3 h-3 text-rose-400" />,
+  skipped: <MinusCircle className="w-3 h-3 text-slate-600" />,
+};
+
+// Turn flat "a/b/c.js" paths into a nested { name, path, children } tree (folders first)
+function buildTree(files) {
+  const root = { name: "", path: "", children: new Map() };
+  for (const file of files) {
+    const parts = file.path.split("/");
+    let node = root;
+    parts.forEach((part, i) => {
+      const path = parts.slice(0, i + 1).join("/");
+      if (!node.children.has(part)) {
+        node.children.set(part, { name: part, path, children: i < parts.length - 1 ? new Map() : null, file: null });
+      }
+      node = node.children.get(part);
+      if (i === parts.length - 1) node.file = file;
+    });
+  }
+  return root;
+}
+
+function sortedChildren(node) {
+  return Array.from(node.children.values()).sort((a, b) => {
+    if (!!a.children !== !!b.children) return a.children ? -1 : 1;
+    return a.name.localeCompare(b.name);
+  });
+}
+
+function TreeNode({ node, depth, selected, onSelect, collapsed, toggle }) {
+  const pad = { paddingLeft: `${depth * 12 + 8}px` };
+
+  if (node.children) {
+    const isCollapsed = collapsed.has(node.path);
+    return (
+      <>
+        <button type="button" onClick={() => toggle(node.path)} style={pad} className="w-full flex items-center gap-1 py-0.5 text-left text-slate-300 hover:bg-slate-800">
+          {isCollapsed ? <ChevronRight className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />}
+          <span>{node.name}</span>
+        </button>
+        {!isCollapsed &&
+          sortedChildren(node).map((child) => (
+            <TreeNode key={child.path} node={child} depth={depth + 1} selected={selected} onSelect={onSelect} collapsed={collapsed} toggle={toggle} />
+          ))}
+      </>
+    );
+  }
+
+  const { file } = node;
+  return (
+    <button
+      type="button"
+      onClick={() => onSelect?.(file)}
+      title={file.error || file.path}
+      style={pad}
+      className={`w-full flex items-center gap-1 py-0.5 text-left hover:bg-slate-800 ${selected === file.path ? "bg-slate-800 text-white" : "text-slate-400"}`}
+    >
+      {STATUS_ICONS[file.status] ?? <FileCode className="w-3 h-3" />}
+      <span className="truncate">{node.name}</span>
+    </button>
+  );
+}
+
+/**
+ * FileTree
+ * Props:
+ * - files (array): [{ path, status?, error? }] — status is one of pending/converting/done/warning/error/skipped
+ * - selected (string): path of the highlighted file
+ * - onSelect (fn): called with the clicked file object
+ */
+export default function FileTree({ files = [], selected, onSelect }) {
+  const tree = useMemo(() => buildTree(files), [files]);
+  const [collapsed, setCollapsed] = useState(() => new Set());
+
+  function toggle(path) {
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      if (next.has(path)) next.delete(path);
+      else next.add(path);
+      return next;
+    });
+  }
+
+  if (!files.length) return <p className="text-sm text-slate-500 px-2 py-1">No files.</p>;
+
+  return (
+    <div className="text-sm font-mono">
+      {sortedChildren(tree).map((child) => (
+        <TreeNode key={child.path} node={child} depth={0} selected={selected} onSelect={onSelect} collapsed={collapsed} toggle={toggle} />
+      ))}
+    </div>
+  );
+}
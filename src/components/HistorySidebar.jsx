@@ -0,0 +1,107 @@
+// src/components/HistorySidebar.jsx
+import { useRef, useState } from "react";
+import { History, Pin, PinOff, Trash2, Upload, Download, X, Search, RotateCcw } from "lucide-react";
+import { matchesHistoryQuery } from "../utils/history.js";
+
+function formatTime(ts) {
+  return new Date(ts).toLocaleString(undefined, { dateStyle: "short", timeStyle: "short" });
+}
+
+function formatDuration(ms) {
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+}
+
+/**
+ * HistorySidebar
+ * Slide-over list of past conversions.
+ * Props:
+ * - open (bool), onClose (fn)
+ * - entries (array): history entries (see utils/history.js)
+ * - onRestore (fn): (entry) => void
+ * - onTogglePin, onDelete (fn): (entry) => void
+ * - onExport (fn), onImport (fn): (File) => void, onClear (fn)
+ */
+export default function HistorySidebar({ open, onClose, entries, onRestore, onTogglePin, onDelete, onExport, onImport, onClear }) {
+  const [query, setQuery] = useState("");
+  const fileRef = useRef(null);
+
+  if (!open) return null;
+
+  const visible = entries.filter((e) => matchesHistoryQuery(e, query));
+
+  return (
+    <aside className="fixed inset-y-0 right-0 z-40 w-full sm:w-96 bg-slate-950/95 border-l border-slate-800 flex flex-col shadow-2xl">
+      <div className="px-4 py-3 border-b border-slate-800 flex items-center gap-2">
+        <History className="w-5 h-5 text-violet-400" />
+        <span className="text-white font-semibold">History</span>
+        <span className="text-xs text-slate-500">{entries.length}</span>
+        <button type="button" onClick={onClose} className="ml-auto text-slate-400 hover:text-white" aria-label="Close history">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="p-3 flex items-center gap-2 border-b border-slate-800">
+        <div className="flex items-center gap-2 flex-1 bg-slate-900 rounded-lg px-2">
+          <Search className="w-4 h-4 text-slate-500" />
+          <input
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search code, language, model"
+            className="bg-transparent text-sm text-white py-1.5 outline-none flex-1"
+          />
+        </div>
+        <button type="button" onClick={onExport} disabled={!entries.length} title="Export as JSON" className="p-1.5 rounded-lg bg-slate-800 text-slate-300 hover:text-white disabled:opacity-50">
+          <Download className="w-4 h-4" />
+        </button>
+        <button type="button" onClick={() => fileRef.current?.click()} title="Import JSON" className="p-1.5 rounded-lg bg-slate-800 text-slate-300 hover:text-white">
+          <Upload className="w-4 h-4" />
+        </button>
+        <button type="button" onClick={onClear} disabled={!entries.length} title="Clear unpinned" className="p-1.5 rounded-lg bg-slate-800 text-slate-300 hover:text-rose-400 disabled:opacity-50">
+          <Trash2 className="w-4 h-4" />
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="application/json,.json"
+          hidden
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            if (file) onImport(file);
+            e.target.value = "";
+          }}
+        />
+      </div>
+
+      <ul className="flex-1 overflow-auto divide-y divide-slate-800">
+        {visible.length === 0 && <li className="p-4 text-sm text-slate-500">{entries.length ? "No matches." : "No conversions yet."}</li>}
+        {visible.map((entry) => (
+          <li key={entry.id} className="p-3 hover:bg-slate-900/80 group">
+            <div className="flex items-center gap-2 text-sm">
+              <span className="text-white font-medium">
+                {entry.sourceLang} → {entry.targetLang}
+              </span>
+              {entry.pinned && <Pin className="w-3 h-3 text-amber-400" />}
+              <span className="ml-auto text-xs text-slate-500">{formatTime(entry.createdAt)}</span>
+            </div>
+            <pre className="mt-1 text-xs text-slate-400 truncate font-mono">{entry.input.split("\n")[0]}</pre>
+            <div className="mt-2 flex items-center gap-2 text-xs text-slate-500">
+              <span>{entry.model || entry.provider || "unknown model"}</span>
+              <span>· {formatDuration(entry.durationMs)}</span>
+              <div className="ml-auto flex items-center gap-1">
+                <button type="button" onClick={() => onRestore(entry)} title="Restore into editors" className="p-1 rounded hover:bg-slate-800 hover:text-white">
+                  <RotateCcw className="w-3.5 h-3.5" />
+                </button>
+                <button type="button" onClick={() => onTogglePin(entry)} title={entry.pinned ? "Unpin" : "Pin"} className="p-1 rounded hover:bg-slate-800 hover:text-white">
+                  {entry.pinned ? <PinOff className="w-3.5 h-3.5" /> : <Pin className="w-3.5 h-3.5" />}
+                </button>
+                <button type="button" onClick={() => onDelete(entry)} title="Delete" className="p-1 rounded hover:bg-slate-800 hover:text-rose-400">
+                  <Trash2 className="w-3.5 h-3.5" />
+                </button>
+              </div>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </aside>
+  );
+}
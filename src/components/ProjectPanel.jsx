@@ -0,0 +1,202 @@
+// src/components/ProjectPanel.jsx
+import { useRef, useState } from "react";
+import { FolderOpen, FileArchive, Play, Square, Loader2 } from "lucide-react";
+import { toast } from "react-hot-toast";
+
+import FileTree from "./FileTree";
+import { readDataTransfer, readFileList, stripCommonRoot } from "../utils/files.js";
+import { isSourceFileFor } from "../utils/languages.js";
+import { convertFiles } from "../utils/batch.js";
+import { downloadZip } from "../utils/download.js";
+import DownloadButton from "./DownloadButton";
+
+/**
+ * ProjectPanel
+ * Multi-file conversion: load a folder or .zip, convert every source file in a batch and
+ * browse the mirrored output tree.
+ * Props:
+ * - provider (object): AI provider (see providers/index.js)
+ * - prompts (object): prompt templates and rule sets (settings.prompts, see utils/prompts.js)
+ * - options (object): conversion options for targetLang (see utils/conversionOptions.js)
+ * - aiReady (bool)
+ * - sourceLang, targetLang (string)
+ * - onOpenSource (fn): (file) => void, show an input file in the main input editor
+ * - onOpenResult (fn): (file) => void, show a converted file in the main output editor
+ */
+export default function ProjectPanel({ provider, prompts, options, aiReady, sourceLang, targetLang, onOpenSource, onOpenResult }) {
+  const [files, setFiles] = useState([]);
+  const [statuses, setStatuses] = useState({});
+  const [results, setResults] = useState([]);
+  const [concurrency, setConcurrency] = useState(3);
+  const [running, setRunning] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [dragOver, setDragOver] = useState(false);
+  const abortRef = useRef(null);
+  const folderInputRef = useRef(null);
+  const zipInputRef = useRef(null);
+
+  function loadFiles(loaded) {
+    const list = stripCommonRoot(loaded).sort((a, b) => a.path.localeCompare(b.path));
+    if (!list.length) {
+      toast.error("No readable files found.");
+      return;
+    }
+    setFiles(list);
+    setStatuses({});
+    setResults([]);
+    toast.success(`Loaded ${list.length} file${list.length === 1 ? "" : "s"}.`);
+  }
+
+  async function handleDrop(e) {
+    e.preventDefault();
+    setDragOver(false);
+    try {
+      loadFiles(await readDataTransfer(e.dataTransfer));
+    } catch (err) {
+      console.error("Reading dropped files failed", err);
+      toast.error("Could not read dropped files.");
+    }
+  }
+
+  async function handlePick(e) {
+    try {
+      loadFiles(await readFileList(e.target.files));
+    } catch (err) {
+      console.error("Reading files failed", err);
+      toast.error("Could not read selected files.");
+    } finally {
+      e.target.value = "";
+    }
+  }
+
+  function setStatus(path, status) {
+    setStatuses((prev) => ({ ...prev, [path]: status }));
+  }
+
+  async function handleConvertAll() {
+    const sources = files.filter((f) => isSourceFileFor(f.path, sourceLang));
+    if (!sources.length) {
+      toast.error(`No ${sourceLang} files in this project.`);
+      return;
+    }
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setRunning(true);
+    setResults([]);
+    const sourcePaths = new Set(sources.map((f) => f.path));
+    setStatuses(Object.fromEntries(files.map((f) => [f.path, { status: sourcePaths.has(f.path) ? "pending" : "skipped" }])));
+
+    const outcomes = await convertFiles(provider, sources, {
+      sourceLang,
+      targetLang,
+      prompts,
+      options,
+      concurrency,
+      signal: controller.signal,
+      onProgress: (path, update) => {
+        setStatus(path, { status: update.status, error: update.error });
+        if (update.content !== undefined) setResults((prev) => [...prev, update].sort((a, b) => a.path.localeCompare(b.path)));
+      },
+    });
+
+    const failed = outcomes.filter((o) => o.status === "error").length;
+    abortRef.current = null;
+    setRunning(false);
+    if (failed) toast.error(`${failed} of ${sources.length} files failed.`);
+    else toast.success(`Converted ${sources.length} files.`);
+  }
+
+  async function handleDownloadZip() {
+    try {
+      await downloadZip("converted-project.zip", results.map(({ path, content }) => ({ path, content })));
+    } catch (err) {
+      console.error("Zip download failed", err);
+      toast.error("Could not build the zip.");
+    }
+  }
+
+  const inputTree = files.map((f) => ({ ...f, ...statuses[f.path] }));
+  const sourceCount = files.filter((f) => isSourceFileFor(f.path, sourceLang)).length;
+
+  return (
+    <div className="w-full max-w-7xl bg-slate-900/80 rounded-2xl overflow-hidden">
+      <div className="px-4 py-3 border-b border-slate-700 flex flex-wrap items-center gap-2">
+        <FolderOpen className="w-5 h-5 text-cyan-400" />
+        <span className="text-white font-semibold">Project</span>
+        <span className="text-sm text-slate-400">
+          {files.length ? `${sourceCount} ${sourceLang} of ${files.length} files` : "Drop a folder or .zip"}
+        </span>
+
+        <div className="flex items-center gap-2 ml-auto text-sm">
+          <button type="button" onClick={() => folderInputRef.current?.click()} disabled={running} className="px-3 py-1 rounded-lg bg-slate-700 hover:bg-slate-600 text-white flex items-center gap-1 disabled:opacity-50">
+            <FolderOpen className="w-4 h-4" /> Folder
+          </button>
+          <button type="button" onClick={() => zipInputRef.current?.click()} disabled={running} className="px-3 py-1 rounded-lg bg-slate-700 hover:bg-slate-600 text-white flex items-center gap-1 disabled:opacity-50">
+            <FileArchive className="w-4 h-4" /> .zip
+          </button>
+          <label className="text-slate-300">Parallel</label>
+          <select value={concurrency} onChange={(e) => setConcurrency(Number(e.target.value))} disabled={running} className="bg-slate-800 text-white px-2 py-1 rounded-lg">
+            {[1, 2, 3, 4, 6, 8].map((n) => (
+              <option key={n} value={n}>
+                {n}
+              </option>
+            ))}
+          </select>
+          {running ? (
+            <button type="button" onClick={() => abortRef.current?.abort()} className="px-3 py-1 rounded-lg bg-rose-500 text-white flex items-center gap-1">
+              <Square className="w-4 h-4" /> Stop
+            </button>
+          ) : (
+            <button type="button" onClick={handleConvertAll} disabled={!aiReady || !sourceCount} className="px-3 py-1 rounded-lg bg-gradient-to-r from-violet-500 to-cyan-500 text-white flex items-center gap-1 disabled:opacity-50">
+              <Play className="w-4 h-4" /> Convert project
+            </button>
+          )}
+        </div>
+
+        <input ref={folderInputRef} type="file" webkitdirectory="" multiple hidden onChange={handlePick} />
+        <input ref={zipInputRef} type="file" accept=".zip" hidden onChange={handlePick} />
+      </div>
+
+      <div
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragOver(true);
+        }}
+        onDragLeave={() => setDragOver(false)}
+        onDrop={handleDrop}
+        className={`grid grid-cols-1 md:grid-cols-2 gap-4 p-4 min-h-32 ${dragOver ? "ring-2 ring-cyan-400 ring-inset" : ""}`}
+      >
+        <div className="max-h-80 overflow-auto">
+          <div className="text-xs uppercase tracking-wide text-slate-500 mb-1 flex items-center gap-2">
+            Input {running && <Loader2 className="w-3 h-3 animate-spin" />}
+          </div>
+          <FileTree
+            files={inputTree}
+            selected={selected}
+            onSelect={(f) => {
+              setSelected(f.path);
+              onOpenSource?.(f);
+            }}
+          />
+        </div>
+        <div className="max-h-80 overflow-auto">
+          <div className="text-xs uppercase tracking-wide text-slate-500 mb-1 flex items-center justify-between">
+            <span>Converted ({targetLang})</span>
+            {results.length > 0 && (
+              <DownloadButton onClick={handleDownloadZip} label=".zip" title="Download the converted tree" disabled={running} className="normal-case tracking-normal bg-slate-700 hover:bg-slate-600 text-white" />
+            )}
+          </div>
+          <FileTree
+            files={results}
+            selected={selected}
+            onSelect={(f) => {
+              setSelected(f.path);
+              onOpenResult?.(f);
+            }}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
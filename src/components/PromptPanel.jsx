@@ -0,0 +1,209 @@
+// src/components/PromptPanel.jsx
+import { useRef } from "react";
+import { toast } from "react-hot-toast";
+import { ScrollText, Plus, Copy, Trash2, Upload, Download, RotateCcw, X } from "lucide-react";
+
+import { LANGUAGE_NAMES } from "../utils/languages.js";
+import {
+  ANY_LANGUAGE,
+  DEFAULT_TEMPLATE,
+  TEMPLATE_VARIABLES,
+  activeTemplate,
+  exportPromptPack,
+  importPromptPack,
+  newPromptId,
+  rulesFor,
+} from "../utils/prompts.js";
+import { downloadText } from "../utils/download.js";
+
+function LanguageSelect({ value, onChange }) {
+  return (
+    <select value={value} onChange={(e) => onChange(e.target.value)} className="bg-slate-800 text-white px-2 py-1 rounded">
+      <option value={ANY_LANGUAGE}>Any</option>
+      {LANGUAGE_NAMES.map((lang) => (
+        <option key={lang} value={lang}>
+          {lang}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+/**
+ * PromptPanel
+ * Edit the prompt templates and per-pair rule sets stored in settings.prompts (see utils/prompts.js).
+ * Props:
+ * - prompts (object), onChange (fn): called with the next prompts object
+ * - sourceLang, targetLang (string): the current pair, used for new rule sets and the "applies" hint
+ * - onClose (fn)
+ */
+export default function PromptPanel({ prompts, onChange, sourceLang, targetLang, onClose }) {
+  const fileRef = useRef(null);
+  const template = activeTemplate(prompts);
+  const isBuiltIn = template.id === DEFAULT_TEMPLATE.id;
+  const applied = rulesFor(prompts.ruleSets, sourceLang, targetLang);
+
+  function updateTemplate(field, value) {
+    // the built-in template is read-only; editing it forks a copy
+    if (isBuiltIn) {
+      const copy = { ...template, id: newPromptId("template"), name: `${template.name} (edited)`, [field]: value };
+      onChange({ ...prompts, activeTemplate: copy.id, templates: [...prompts.templates, copy] });
+      return;
+    }
+    onChange({ ...prompts, templates: prompts.templates.map((t) => (t.id === template.id ? { ...t, [field]: value } : t)) });
+  }
+
+  function duplicateTemplate() {
+    const copy = { ...template, id: newPromptId("template"), name: `${template.name} copy` };
+    onChange({ ...prompts, activeTemplate: copy.id, templates: [...prompts.templates, copy] });
+  }
+
+  function deleteTemplate() {
+    onChange({ ...prompts, activeTemplate: DEFAULT_TEMPLATE.id, templates: prompts.templates.filter((t) => t.id !== template.id) });
+  }
+
+  function updateRuleSet(id, field, value) {
+    onChange({ ...prompts, ruleSets: prompts.ruleSets.map((set) => (set.id === id ? { ...set, [field]: value } : set)) });
+  }
+
+  function addRuleSet() {
+    const set = { id: newPromptId("rules"), sourceLang, targetLang, rules: [] };
+    onChange({ ...prompts, ruleSets: [...prompts.ruleSets, set] });
+  }
+
+  function handleExport() {
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadText(`devtranspiler-prompts-${stamp}.json`, exportPromptPack(prompts));
+  }
+
+  async function handleImport(file) {
+    try {
+      const result = importPromptPack(prompts, await file.text());
+      onChange(result.prompts);
+      toast.success(`Imported ${result.templates} template(s) and ${result.ruleSets} rule set(s).`);
+    } catch (err) {
+      console.error("Prompt pack import failed", err);
+      toast.error("Import failed: " + (err?.message || String(err)));
+    }
+  }
+
+  return (
+    <div className="w-full max-w-7xl bg-slate-900/80 rounded-2xl overflow-hidden">
+      <div className="px-4 py-3 border-b border-slate-700 flex flex-wrap items-center gap-2 text-sm">
+        <ScrollText className="w-5 h-5 text-violet-400" />
+        <span className="text-white font-semibold">Prompt</span>
+        <select
+          value={template.id}
+          onChange={(e) => onChange({ ...prompts, activeTemplate: e.target.value })}
+          className="bg-slate-800 text-white px-2 py-1 rounded"
+        >
+          {[DEFAULT_TEMPLATE, ...prompts.templates].map((t) => (
+            <option key={t.id} value={t.id}>
+              {t.name}
+            </option>
+          ))}
+        </select>
+        <input
+          value={template.name}
+          onChange={(e) => updateTemplate("name", e.target.value)}
+          disabled={isBuiltIn}
+          className="bg-slate-800 text-white px-2 py-1 rounded w-40 disabled:opacity-50"
+          aria-label="Template name"
+        />
+
+        <div className="ml-auto flex items-center gap-2">
+          <button type="button" onClick={duplicateTemplate} title="Duplicate template" className="p-1.5 rounded-lg bg-slate-800 text-slate-300 hover:text-white">
+            <Copy className="w-4 h-4" />
+          </button>
+          <button type="button" onClick={deleteTemplate} disabled={isBuiltIn} title="Delete template" className="p-1.5 rounded-lg bg-slate-800 text-slate-300 hover:text-rose-400 disabled:opacity-50">
+            <Trash2 className="w-4 h-4" />
+          </button>
+          <button type="button" onClick={handleExport} title="Export prompt pack" className="p-1.5 rounded-lg bg-slate-800 text-slate-300 hover:text-white">
+            <Download className="w-4 h-4" />
+          </button>
+          <button type="button" onClick={() => fileRef.current?.click()} title="Import prompt pack" className="p-1.5 rounded-lg bg-slate-800 text-slate-300 hover:text-white">
+            <Upload className="w-4 h-4" />
+          </button>
+          <input
+            ref={fileRef}
+            type="file"
+            accept="application/json,.json"
+            hidden
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              if (file) handleImport(file);
+              e.target.value = "";
+            }}
+          />
+          <button type="button" onClick={onClose} className="p-1.5 text-slate-400 hover:text-white" aria-label="Close prompt settings">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 p-4 text-sm">
+        <div className="flex flex-col gap-2">
+          <textarea
+            value={template.body}
+            onChange={(e) => updateTemplate("body", e.target.value)}
+            spellCheck={false}
+            rows={12}
+            className="bg-slate-950 text-slate-200 font-mono text-xs p-3 rounded-lg outline-none resize-y"
+          />
+          <div className="text-xs text-slate-500 flex flex-wrap items-center gap-1">
+            Variables:
+            {TEMPLATE_VARIABLES.map((name) => (
+              <code key={name} className="bg-slate-800 text-slate-300 px-1 rounded">{`{{${name}}}`}</code>
+            ))}
+            {isBuiltIn && <span>— editing the built-in template saves a copy.</span>}
+            {!isBuiltIn && (
+              <button type="button" onClick={() => updateTemplate("body", DEFAULT_TEMPLATE.body)} className="ml-auto flex items-center gap-1 text-slate-400 hover:text-white">
+                <RotateCcw className="w-3 h-3" /> Reset body
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="flex flex-col gap-2">
+          <div className="flex items-center gap-2">
+            <span className="text-white font-semibold">Rules</span>
+            <span className="text-xs text-slate-500">
+              {applied.length} appl{applied.length === 1 ? "ies" : "y"} to {sourceLang} → {targetLang}
+            </span>
+            <button type="button" onClick={addRuleSet} className="ml-auto px-3 py-1 rounded-lg bg-slate-700 hover:bg-slate-600 text-white flex items-center gap-1">
+              <Plus className="w-4 h-4" /> Rule set
+            </button>
+          </div>
+          <ul className="flex flex-col gap-2 overflow-auto max-h-80">
+            {prompts.ruleSets.length === 0 && <li className="text-slate-500">No rule sets. Rules are added to the prompt wherever the template says {"{{rules}}"}.</li>}
+            {prompts.ruleSets.map((set) => (
+              <li key={set.id} className="bg-slate-950/60 rounded-lg p-2 flex flex-col gap-1">
+                <div className="flex items-center gap-2 text-xs">
+                  <input type="checkbox" checked={set.enabled !== false} onChange={(e) => updateRuleSet(set.id, "enabled", e.target.checked)} aria-label="Enabled" />
+                  <LanguageSelect value={set.sourceLang} onChange={(v) => updateRuleSet(set.id, "sourceLang", v)} />
+                  <span className="text-slate-500">→</span>
+                  <LanguageSelect value={set.targetLang} onChange={(v) => updateRuleSet(set.id, "targetLang", v)} />
+                  <button
+                    type="button"
+                    onClick={() => onChange({ ...prompts, ruleSets: prompts.ruleSets.filter((s) => s.id !== set.id) })}
+                    className="ml-auto text-slate-500 hover:text-rose-400"
+                    aria-label="Remove rule set"
+                  >
+                    <Trash2 className="w-3.5 h-3.5" />
+                  </button>
+                </div>
+                <textarea
+                  value={set.rules.join("\n")}
+                  onChange={(e) => updateRuleSet(set.id, "rules", e.target.value.split("\n"))}
+                  placeholder="One rule per line"
+                  rows={Math.max(2, set.rules.length)}
+                  className="bg-slate-900 text-slate-200 text-xs p-2 rounded outline-none resize-y"
+                />
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+}
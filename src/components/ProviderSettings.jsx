@@ -0,0 +1,121 @@
+// src/components/ProviderSettings.jsx
+import { PROVIDERS } from "../providers/index.js";
+
+const TIMEOUTS_SEC = [30, 60, 120, 300];
+
+/**
+ * ProviderSettings
+ * Props:
+ * - settings (object): current settings (see utils/settings.js)
+ * - onChange (fn): called with the next settings object
+ * - models (string[]): model names the provider offers, suggested by the model picker
+ * - disabled (bool)
+ * - children: shown at the end of the row (connection status)
+ */
+export default function ProviderSettings({ settings, onChange, models = [], disabled = false, children }) {
+  const config = settings[settings.provider] ?? {};
+
+  // fields of the selected provider's config (settings.puter, settings.openai...)
+  function updateConfig(field, value) {
+    onChange({ ...settings, [settings.provider]: { ...config, [field]: value } });
+  }
+
+  function updateRequests(field, value) {
+    onChange({ ...settings, requests: { ...settings.requests, [field]: value } });
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 w-full max-w-4xl text-sm">
+      <label className="text-slate-300">Provider</label>
+      <select
+        value={settings.provider}
+        onChange={(e) => onChange({ ...settings, provider: e.target.value })}
+        className="bg-slate-900/80 text-white px-3 py-2 rounded-xl"
+        disabled={disabled}
+      >
+        {PROVIDERS.map((p) => (
+          <option key={p.id} value={p.id}>
+            {p.label}
+          </option>
+        ))}
+      </select>
+
+      <input
+        type="text"
+        list="provider-models"
+        value={config.model ?? ""}
+        onChange={(e) => updateConfig("model", e.target.value)}
+        placeholder={settings.provider === "puter" ? "default model" : "model"}
+        title="Model used for conversions"
+        className="bg-slate-900/80 text-white px-3 py-2 rounded-xl w-44"
+        disabled={disabled}
+      />
+      <datalist id="provider-models">
+        {models.map((m) => (
+          <option key={m} value={m} />
+        ))}
+      </datalist>
+
+      {settings.provider === "openai" && (
+        <>
+          <input
+            type="url"
+            value={config.baseUrl}
+            onChange={(e) => updateConfig("baseUrl", e.target.value)}
+            placeholder="http://localhost:11434/v1"
+            className="bg-slate-900/80 text-white px-3 py-2 rounded-xl flex-1 min-w-48"
+            disabled={disabled}
+          />
+          <input
+            type="password"
+            value={config.apiKey}
+            onChange={(e) => updateConfig("apiKey", e.target.value)}
+            placeholder="API key (optional)"
+            className="bg-slate-900/80 text-white px-3 py-2 rounded-xl w-44"
+            disabled={disabled}
+          />
+        </>
+      )}
+
+      {settings.provider === "puter" && (
+        <label className="flex items-center gap-1 text-slate-300" title="When the SDK gives no readiness signal, send a tiny chat request to check it. Spends provider requests.">
+          <input type="checkbox" checked={settings.allowPing} onChange={(e) => onChange({ ...settings, allowPing: e.target.checked })} disabled={disabled} />
+          Ping check
+        </label>
+      )}
+
+      <label className="flex items-center gap-1 text-slate-300" title="Longest wait for an answer (or the next streamed chunk) before the request is retried">
+        Timeout
+        <select
+          value={settings.requests.timeoutSec}
+          onChange={(e) => updateRequests("timeoutSec", Number(e.target.value))}
+          className="bg-slate-900/80 text-white px-2 py-1 rounded-lg"
+          disabled={disabled}
+        >
+          {TIMEOUTS_SEC.map((sec) => (
+            <option key={sec} value={sec}>
+              {sec}s
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-1 text-slate-300" title="Automatic retries for rate limits, timeouts, network and server errors">
+        Retries
+        <select
+          value={settings.requests.retries}
+          onChange={(e) => updateRequests("retries", Number(e.target.value))}
+          className="bg-slate-900/80 text-white px-2 py-1 rounded-lg"
+          disabled={disabled}
+        >
+          {[0, 1, 2, 3, 5].map((n) => (
+            <option key={n} value={n}>
+              {n}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <div className="ml-auto">{children}</div>
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+// src/components/RoundTripReport.jsx
+import { ShieldCheck, Loader2, GitCompare, X } from "lucide-react";
+
+const STATUS_LABELS = {
+  missing: "missing after round-trip",
+  signature: "parameter count changed",
+  renamed: "renamed",
+};
+
+function scoreColor(score) {
+  if (score >= 85) return "text-green-400";
+  if (score >= 60) return "text-amber-400";
+  return "text-rose-400";
+}
+
+/**
+ * RoundTripReport
+ * Props:
+ * - roundTrip (object): { loading, report, error } from App's round-trip state
+ * - sourceLang, targetLang (string)
+ * - onShowDiff (fn): open the input vs round-trip diff
+ * - onClose (fn)
+ */
+export default function RoundTripReport({ roundTrip, sourceLang, targetLang, onShowDiff, onClose }) {
+  const { loading, report, error } = roundTrip;
+  const flagged = report?.functions?.filter((f) => f.status !== "ok") ?? [];
+
+  return (
+    <div className="w-full max-w-7xl bg-slate-900/80 rounded-2xl px-4 py-3 text-sm">
+      <div className="flex flex-wrap items-center gap-3">
+        <ShieldCheck className="w-5 h-5 text-cyan-400" />
+        <span className="text-white font-semibold">
+          Round-trip {sourceLang} → {targetLang} → {sourceLang}
+        </span>
+
+        {loading && (
+          <span className="flex items-center gap-1 text-slate-400">
+            <Loader2 className="w-4 h-4 animate-spin" /> converting back...
+          </span>
+        )}
+        {error && <span className="text-rose-400">{error}</span>}
+        {report && (
+          <>
+            <span className={`text-lg font-bold ${scoreColor(report.score)}`}>{report.score}%</span>
+            <span className="text-slate-400">structure {Math.round(report.structure * 100)}%</span>
+            <span className="text-slate-400">
+              {report.survival === null ? "signatures not checked (no parser)" : `functions intact ${Math.round(report.survival * 100)}%`}
+            </span>
+          </>
+        )}
+
+        <div className="ml-auto flex items-center gap-2">
+          <button type="button" onClick={onShowDiff} disabled={!report} className="flex items-center gap-1 px-3 py-1 rounded-lg bg-slate-700 hover:bg-slate-600 text-white disabled:opacity-50">
+            <GitCompare className="w-4 h-4" /> Diff
+          </button>
+          <button type="button" onClick={onClose} className="text-slate-400 hover:text-white" aria-label="Close round-trip report">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {flagged.length > 0 && (
+        <ul className="mt-2 space-y-1 font-mono text-xs">
+          {flagged.map((f) => (
+            <li key={`${f.name}:${f.line}`} className="text-rose-300">
+              L{f.line} {f.name}({f.params}) — {STATUS_LABELS[f.status]}
+              {f.status === "signature" && ` to ${f.roundTripParams}`}
+              {f.status === "renamed" && ` to ${f.roundTripName}`}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+// src/components/RunPanel.jsx
+import { useEffect, useRef, useState } from "react";
+import { TerminalSquare, Play, Loader2, X, Eraser } from "lucide-react";
+
+import { createSandbox, isRunnable } from "../utils/sandbox.js";
+
+const STREAM_COLORS = {
+  stdout: "text-slate-200",
+  stderr: "text-rose-300",
+  info: "text-slate-500",
+  error: "text-rose-400 font-semibold",
+};
+
+/**
+ * RunPanel
+ * Executes the input or the converted output in the sandbox and shows its console.
+ * Props:
+ * - input, output (string), sourceLang, targetLang (string)
+ * - onClose (fn)
+ */
+export default function RunPanel({ input, output, sourceLang, targetLang, onClose }) {
+  const [which, setWhich] = useState(isRunnable(targetLang) || !isRunnable(sourceLang) ? "output" : "input");
+  const [timeoutMs, setTimeoutMs] = useState(5000);
+  const [running, setRunning] = useState(false);
+  const [lines, setLines] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const sandboxRef = useRef(null);
+
+  useEffect(() => {
+    return () => sandboxRef.current?.dispose();
+  }, []);
+
+  const lang = which === "output" ? targetLang : sourceLang;
+  const code = which === "output" ? output : input;
+  const runnable = isRunnable(lang);
+
+  async function handleRun() {
+    if (!sandboxRef.current) sandboxRef.current = createSandbox();
+    setRunning(true);
+    setLines([]);
+    setSummary(null);
+    try {
+      const res = await sandboxRef.current.run({
+        lang,
+        code,
+        timeoutMs,
+        onOutput: ({ stream, text }) => setLines((prev) => [...prev, { stream, text }]),
+      });
+      if (res.error) setLines((prev) => [...prev, { stream: "error", text: res.error + "\n" }]);
+      setSummary(res.timedOut ? "timed out" : res.error ? `failed after ${res.durationMs} ms` : `finished in ${res.durationMs} ms`);
+    } catch (err) {
+      setLines((prev) => [...prev, { stream: "error", text: (err?.message || String(err)) + "\n" }]);
+      setSummary("could not run");
+    } finally {
+      setRunning(false);
+    }
+  }
+
+  return (
+    <div className="w-full max-w-7xl bg-slate-900/80 rounded-2xl overflow-hidden">
+      <div className="px-4 py-3 border-b border-slate-700 flex flex-wrap items-center gap-2 text-sm">
+        <TerminalSquare className="w-5 h-5 text-green-400" />
+        <span className="text-white font-semibold">Run</span>
+
+        <select value={which} onChange={(e) => setWhich(e.target.value)} disabled={running} className="bg-slate-800 text-white px-2 py-1 rounded-lg">
+          <option value="output">Output ({targetLang})</option>
+          <option value="input">Input ({sourceLang})</option>
+        </select>
+        <label className="text-slate-300">Timeout</label>
+        <select value={timeoutMs} onChange={(e) => setTimeoutMs(Number(e.target.value))} disabled={running} className="bg-slate-800 text-white px-2 py-1 rounded-lg">
+          {[2000, 5000, 10000, 30000].map((ms) => (
+            <option key={ms} value={ms}>
+              {ms / 1000}s
+            </option>
+          ))}
+        </select>
+
+        <button type="button" onClick={handleRun} disabled={running || !runnable || !code.trim()} className="px-3 py-1 rounded-lg bg-green-600 hover:bg-green-500 text-white flex items-center gap-1 disabled:opacity-50">
+          {running ? <Loader2 className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />} Run
+        </button>
+        {!runnable && <span className="text-amber-400">{lang} can&apos;t run in the browser (JavaScript, TypeScript and Python only).</span>}
+        {summary && <span className="text-slate-400">{summary}</span>}
+
+        <div className="ml-auto flex items-center gap-1">
+          <button type="button" onClick={() => setLines([])} title="Clear console" className="p-1.5 text-slate-400 hover:text-white">
+            <Eraser className="w-4 h-4" />
+          </button>
+          <button type="button" onClick={onClose} className="p-1.5 text-slate-400 hover:text-white" aria-label="Close run panel">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <pre className="px-4 py-3 h-56 overflow-auto text-xs font-mono whitespace-pre-wrap bg-slate-950/60">
+        {lines.length === 0 && <span className="text-slate-600">Console output appears here.</span>}
+        {lines.map((line, i) => (
+          <span key={i} className={STREAM_COLORS[line.stream]}>
+            {line.text}
+          </span>
+        ))}
+      </pre>
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+// src/components/SecurityBadge.jsx
+import { ShieldAlert, ShieldCheck } from "lucide-react";
+
+const COLORS = { high: "text-rose-400", medium: "text-amber-400", low: "text-sky-400" };
+
+/**
+ * SecurityBadge
+ * Props:
+ * - scan (object): result of scanConversion ({ findings, introduced, counts })
+ */
+export default function SecurityBadge({ scan }) {
+  const { findings, introduced, counts } = scan;
+
+  if (!findings.length) {
+    return (
+      <span className="flex items-center gap-1 text-xs text-green-400" title="No security findings">
+        <ShieldCheck className="w-3.5 h-3.5" /> no findings
+      </span>
+    );
+  }
+
+  const worst = counts.high ? "high" : counts.medium ? "medium" : "low";
+  const title = findings.map((f) => `Line ${f.line} [${f.severity}] ${f.message}${f.introduced ? ` (new ${f.capability} access)` : ""}`).join("\n");
+
+  return (
+    <span className={`flex items-center gap-1 text-xs ${COLORS[worst]}`} title={title}>
+      <ShieldAlert className="w-3.5 h-3.5" /> {findings.length} finding{findings.length === 1 ? "" : "s"}
+      {introduced.length > 0 && <span className="text-amber-400">· adds {introduced.join(", ")}</span>}
+    </span>
+  );
+}
@@ -0,0 +1,33 @@
+// src/components/SyntaxBadge.jsx
+import { CheckCircle, XCircle, HelpCircle } from "lucide-react";
+
+import { formatErrors } from "../utils/validate.js";
+
+/**
+ * SyntaxBadge
+ * Props:
+ * - validation (object): result of validateSyntax (status + errors)
+ */
+export default function SyntaxBadge({ validation }) {
+  const { status, errors } = validation;
+
+  if (status === "valid") {
+    return (
+      <span className="flex items-center gap-1 text-xs text-green-400" title="Parsed without errors">
+        <CheckCircle className="w-3.5 h-3.5" /> valid syntax
+      </span>
+    );
+  }
+  if (status === "invalid") {
+    return (
+      <span className="flex items-center gap-1 text-xs text-rose-400" title={formatErrors(errors)}>
+        <XCircle className="w-3.5 h-3.5" /> {errors.length} syntax error{errors.length === 1 ? "" : "s"}
+      </span>
+    );
+  }
+  return (
+    <span className="flex items-center gap-1 text-xs text-slate-500" title="No bundled parser for this language">
+      <HelpCircle className="w-3.5 h-3.5" /> unvalidated
+    </span>
+  );
+}
@@ -0,0 +1,160 @@
+// src/components/TestHarnessPanel.jsx
+import { useEffect, useRef, useState } from "react";
+import { FlaskConical, Plus, Trash2, Play, Loader2, X, CheckCircle, XCircle } from "lucide-react";
+
+import { createSandbox, isRunnable } from "../utils/sandbox.js";
+import { runEquivalence, COMPARE_WITH_SOURCE } from "../utils/equivalence.js";
+
+function newCase() {
+  return { id: `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`, name: "", args: "[]", expected: COMPARE_WITH_SOURCE };
+}
+
+function formatResult(r) {
+  if (!r) return "—";
+  if (r.error) return `error: ${r.error}`;
+  return r.value === undefined ? "undefined" : JSON.stringify(r.value);
+}
+
+/**
+ * TestHarnessPanel
+ * Define function-level test cases and run them against the source and converted code.
+ * Props:
+ * - input, output (string), sourceLang, targetLang (string)
+ * - cases (array), onCasesChange (fn): persisted test cases (see utils/equivalence.js)
+ * - onClose (fn)
+ */
+export default function TestHarnessPanel({ input, output, sourceLang, targetLang, cases, onCasesChange, onClose }) {
+  const [results, setResults] = useState({});
+  const [running, setRunning] = useState(false);
+  const sandboxRef = useRef(null);
+
+  useEffect(() => {
+    return () => sandboxRef.current?.dispose();
+  }, []);
+
+  const canRun = isRunnable(targetLang) && output.trim() && cases.some((c) => c.name.trim());
+
+  function updateCase(id, field, value) {
+    onCasesChange(cases.map((c) => (c.id === id ? { ...c, [field]: value } : c)));
+  }
+
+  async function handleRun() {
+    if (!sandboxRef.current) sandboxRef.current = createSandbox();
+    setRunning(true);
+    setResults({});
+    try {
+      await runEquivalence({
+        cases: cases.filter((c) => c.name.trim()),
+        source: { lang: sourceLang, code: input },
+        target: { lang: targetLang, code: output },
+        sandbox: sandboxRef.current,
+        onResult: (r) => setResults((prev) => ({ ...prev, [r.id]: r })),
+      });
+    } finally {
+      setRunning(false);
+    }
+  }
+
+  const finished = Object.values(results);
+  const passed = finished.filter((r) => r.pass).length;
+
+  return (
+    <div className="w-full max-w-7xl bg-slate-900/80 rounded-2xl overflow-hidden">
+      <div className="px-4 py-3 border-b border-slate-700 flex flex-wrap items-center gap-2 text-sm">
+        <FlaskConical className="w-5 h-5 text-amber-400" />
+        <span className="text-white font-semibold">Equivalence tests</span>
+        {finished.length > 0 && (
+          <span className={passed === finished.length ? "text-green-400" : "text-rose-400"}>
+            {passed}/{finished.length} passed
+          </span>
+        )}
+        {!isRunnable(targetLang) && <span className="text-amber-400">{targetLang} output can&apos;t run in the browser.</span>}
+
+        <div className="ml-auto flex items-center gap-2">
+          <button type="button" onClick={() => onCasesChange([...cases, newCase()])} disabled={running} className="px-3 py-1 rounded-lg bg-slate-700 hover:bg-slate-600 text-white flex items-center gap-1 disabled:opacity-50">
+            <Plus className="w-4 h-4" /> Case
+          </button>
+          <button type="button" onClick={handleRun} disabled={running || !canRun} className="px-3 py-1 rounded-lg bg-green-600 hover:bg-green-500 text-white flex items-center gap-1 disabled:opacity-50">
+            {running ? <Loader2 className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />} Run tests
+          </button>
+          <button type="button" onClick={onClose} className="p-1.5 text-slate-400 hover:text-white" aria-label="Close tests">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="overflow-auto max-h-80">
+        <table className="w-full text-xs font-mono">
+          <thead className="text-slate-500 text-left">
+            <tr>
+              <th className="px-3 py-2 font-normal">Function</th>
+              <th className="px-3 py-2 font-normal">Args (JSON array)</th>
+              <th className="px-3 py-2 font-normal">Expected</th>
+              <th className="px-3 py-2 font-normal">Source ({sourceLang})</th>
+              <th className="px-3 py-2 font-normal">Converted ({targetLang})</th>
+              <th className="px-3 py-2 font-normal" />
+            </tr>
+          </thead>
+          <tbody>
+            {cases.length === 0 && (
+              <tr>
+                <td colSpan={6} className="px-3 py-3 text-slate-500 font-sans">
+                  Add a case: a function name, its arguments, and either an expected JSON result or &quot;compare with source&quot;.
+                </td>
+              </tr>
+            )}
+            {cases.map((c) => {
+              const r = results[c.id];
+              const compare = c.expected === COMPARE_WITH_SOURCE;
+              return (
+                <tr key={c.id} className="border-t border-slate-800 align-top">
+                  <td className="px-3 py-1.5">
+                    <input value={c.name} onChange={(e) => updateCase(c.id, "name", e.target.value)} placeholder="add" className="bg-slate-800 text-white px-2 py-1 rounded w-32" />
+                  </td>
+                  <td className="px-3 py-1.5">
+                    <input value={c.args} onChange={(e) => updateCase(c.id, "args", e.target.value)} placeholder="[1, 2]" className="bg-slate-800 text-white px-2 py-1 rounded w-40" />
+                  </td>
+                  <td className="px-3 py-1.5">
+                    <div className="flex items-center gap-1">
+                      <select
+                        value={compare ? COMPARE_WITH_SOURCE : "value"}
+                        onChange={(e) => updateCase(c.id, "expected", e.target.value === COMPARE_WITH_SOURCE ? COMPARE_WITH_SOURCE : "")}
+                        className="bg-slate-800 text-white px-1 py-1 rounded"
+                      >
+                        <option value={COMPARE_WITH_SOURCE}>compare with source</option>
+                        <option value="value">value</option>
+                      </select>
+                      {!compare && (
+                        <input value={c.expected} onChange={(e) => updateCase(c.id, "expected", e.target.value)} placeholder="3" className="bg-slate-800 text-white px-2 py-1 rounded w-24" />
+                      )}
+                    </div>
+                  </td>
+                  <td className="px-3 py-1.5 text-slate-300 break-all">{formatResult(r?.sourceResult)}</td>
+                  <td className="px-3 py-1.5 break-all">
+                    {r ? (
+                      <div className="flex items-start gap-1">
+                        {r.pass ? <CheckCircle className="w-3.5 h-3.5 text-green-400 shrink-0" /> : <XCircle className="w-3.5 h-3.5 text-rose-400 shrink-0" />}
+                        <span className={r.pass ? "text-green-300" : "text-rose-300"}>
+                          {formatResult(r.targetResult)}
+                          {r.targetName && r.targetName !== c.name && <span className="text-slate-500"> via {r.targetName}</span>}
+                          {r.reason && <span className="block text-slate-500">{r.reason}</span>}
+                        </span>
+                      </div>
+                    ) : (
+                      "—"
+                    )}
+                  </td>
+                  <td className="px-3 py-1.5">
+                    <button type="button" onClick={() => onCasesChange(cases.filter((x) => x.id !== c.id))} disabled={running} className="text-slate-500 hover:text-rose-400" aria-label="Remove case">
+                      <Trash2 className="w-3.5 h-3.5" />
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
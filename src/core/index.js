@@ -0,0 +1,29 @@
+// src/core/index.js
+// Framework-free conversion API for scripts, the CLI (src/cli) and the HTTP server. Nothing
+// reachable from here touches the DOM or React; the app imports the same modules directly.
+
+import { getLanguage, LANGUAGE_NAMES } from "../utils/languages.js";
+
+export { createProvider, PROVIDERS, checkAiReadyWithRetries, withModel } from "../providers/index.js";
+export { buildConversionPrompt, convertCode, repairSyntax } from "../utils/convert.js";
+export { convertFiles } from "../utils/batch.js";
+export { compareModels, compareModelList, fastestModel } from "../utils/compare.js";
+export { DEFAULT_REQUEST_POLICY, ProviderError, classifyError, describeError, withRequestPolicy } from "../utils/requestPolicy.js";
+export { extractCode, extractReplyText, normalizeResponse } from "../utils/response.js";
+export { stripFences, truncateOutput } from "../utils/sanitize.js";
+export { scanCode, scanConversion, describeScan } from "../utils/security.js";
+export { canValidate, validateSyntax, formatErrors } from "../utils/validate.js";
+export { DEFAULT_PROMPTS, importPromptPack } from "../utils/prompts.js";
+export { DEFAULT_OPTIONS, optionsFor } from "../utils/conversionOptions.js";
+export { LANGUAGES, LANGUAGE_NAMES, getLanguage, isSourceFileFor, replaceExtension } from "../utils/languages.js";
+
+/**
+ * resolveLanguage(nameOrAlias)
+ * Canonical language name ("java" -> "Java", "c#" -> "C#"); throws on unknown names so a
+ * typo on the command line or in a request fails loudly.
+ */
+export function resolveLanguage(nameOrAlias) {
+  const lang = getLanguage(nameOrAlias);
+  if (!lang) throw new Error(`Unknown language "${nameOrAlias}". Supported: ${LANGUAGE_NAMES.join(", ")}`);
+  return lang.name;
+}
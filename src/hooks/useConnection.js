@@ -0,0 +1,73 @@
+// src/hooks/useConnection.js
+// Drives the connection state machine (utils/connection.js): readiness checks on provider
+// change, automatic reconnects with backoff, rate-limit cooldowns and browser online/offline.
+
+import { useCallback, useEffect, useReducer, useRef } from "react";
+import { toast } from "react-hot-toast";
+import { checkAiReadyWithRetries } from "../providers/index.js";
+import { CONNECTION_STATES, INITIAL_CONNECTION, connectionReducer } from "../utils/connection.js";
+
+/**
+ * useConnection(provider, { allowPing })
+ * Returns { status, ready, reconnect, reportSuccess, reportFailure }. `ready` is true while
+ * conversions may be attempted (ready or degraded). Feed conversion outcomes back through
+ * reportSuccess/reportFailure so failing requests degrade the state.
+ */
+export default function useConnection(provider, { allowPing = false } = {}) {
+  const [status, dispatch] = useReducer(connectionReducer, INITIAL_CONNECTION);
+  // bumped on provider change; the reducer ignores a slow check for the old provider
+  const generationRef = useRef(0);
+  const prevStateRef = useRef(status.state);
+
+  const check = useCallback(async () => {
+    const generation = generationRef.current;
+    dispatch({ type: "check" });
+    const ok = await checkAiReadyWithRetries(provider, { attempts: 2, allowPing }).catch(() => false);
+    dispatch({ type: "check-result", ok, generation, now: Date.now() });
+  }, [provider, allowPing]);
+
+  useEffect(() => {
+    generationRef.current++;
+    dispatch({ type: "reset", generation: generationRef.current });
+    check();
+  }, [check]);
+
+  // automatic reconnect (offline) or end of the cooldown (rate-limited)
+  useEffect(() => {
+    if (status.checking || !status.retryAt) return undefined;
+    const timer = setTimeout(
+      () => (status.state === "rate-limited" ? dispatch({ type: "cooldown-over" }) : check()),
+      Math.max(0, status.retryAt - Date.now())
+    );
+    return () => clearTimeout(timer);
+  }, [status.state, status.retryAt, status.checking, check]);
+
+  useEffect(() => {
+    const update = () => dispatch({ type: "network", online: navigator.onLine, now: Date.now() });
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, []);
+
+  // one toast per transition, replaced rather than stacked
+  useEffect(() => {
+    const prev = prevStateRef.current;
+    prevStateRef.current = status.state;
+    if (prev === status.state) return;
+    if (status.state === "offline") toast.error(`${provider.label} is not reachable — retrying automatically.`, { id: "connection" });
+    else if (status.state === "rate-limited") toast.error(`${provider.label} rate limit reached — pausing conversions briefly.`, { id: "connection" });
+    else if (status.state === "ready" && (prev === "offline" || prev === "rate-limited")) toast.success(`${provider.label} reconnected.`, { id: "connection" });
+  }, [status.state, provider.label]);
+
+  const reconnect = useCallback(() => {
+    if (!status.checking) check();
+  }, [status.checking, check]);
+
+  const reportSuccess = useCallback(() => dispatch({ type: "request-ok" }), []);
+  const reportFailure = useCallback((error) => dispatch({ type: "request-failed", error, now: Date.now() }), []);
+
+  return { status, ready: CONNECTION_STATES[status.state].canConvert, reconnect, reportSuccess, reportFailure };
+}
@@ -0,0 +1,88 @@
+// src/hooks/useHistory.js
+// React state on top of utils/history.js. All mutations re-read the store so
+// ordering (pinned first, newest first) stays in one place.
+
+import { useCallback, useEffect, useState } from "react";
+import { toast } from "react-hot-toast";
+import {
+  listHistory,
+  addHistoryEntry,
+  updateHistoryEntry,
+  deleteHistoryEntry,
+  clearUnpinnedHistory,
+  exportHistory,
+  importHistory,
+} from "../utils/history.js";
+import { downloadText } from "../utils/download.js";
+
+export default function useHistory() {
+  const [entries, setEntries] = useState([]);
+
+  const refresh = useCallback(async () => {
+    try {
+      setEntries(await listHistory());
+    } catch (err) {
+      console.warn("History unavailable", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const record = useCallback(
+    async (entry) => {
+      try {
+        const saved = await addHistoryEntry(entry);
+        await refresh();
+        return saved;
+      } catch (err) {
+        console.warn("Could not save history entry", err);
+        return null;
+      }
+    },
+    [refresh]
+  );
+
+  const togglePin = useCallback(
+    async (entry) => {
+      await updateHistoryEntry(entry.id, { pinned: !entry.pinned });
+      await refresh();
+    },
+    [refresh]
+  );
+
+  const remove = useCallback(
+    async (entry) => {
+      await deleteHistoryEntry(entry.id);
+      await refresh();
+    },
+    [refresh]
+  );
+
+  const clearUnpinned = useCallback(async () => {
+    await clearUnpinnedHistory();
+    await refresh();
+  }, [refresh]);
+
+  const exportAll = useCallback(() => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadText(`devtranspiler-history-${stamp}.json`, exportHistory(entries));
+  }, [entries]);
+
+  const importFile = useCallback(
+    async (file) => {
+      try {
+        const count = await importHistory(await file.text());
+        await refresh();
+        toast.success(`Imported ${count} history entr${count === 1 ? "y" : "ies"}.`);
+      } catch (err) {
+        console.error("History import failed", err);
+        toast.error("Import failed: " + (err?.message || String(err)));
+      }
+    },
+    [refresh]
+  );
+
+  return { entries, record, togglePin, remove, clearUnpinned, exportAll, importFile };
+}
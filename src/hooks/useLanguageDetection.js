@@ -0,0 +1,21 @@
+// src/hooks/useLanguageDetection.js
+// Debounced detectLanguage() over the input editor contents.
+
+import { useEffect, useState } from "react";
+import { detectLanguage } from "../utils/detect.js";
+
+export default function useLanguageDetection(code, languages, { enabled = true, delayMs = 400 } = {}) {
+  const [detection, setDetection] = useState(null);
+  const languagesKey = languages.join("|");
+
+  useEffect(() => {
+    if (!enabled) {
+      setDetection(null);
+      return undefined;
+    }
+    const timer = setTimeout(() => setDetection(detectLanguage(code, languagesKey.split("|"))), delayMs);
+    return () => clearTimeout(timer);
+  }, [code, languagesKey, enabled, delayMs]);
+
+  return detection;
+}
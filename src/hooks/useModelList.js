@@ -0,0 +1,35 @@
+// src/hooks/useModelList.js
+// Model ids offered by the current provider (provider.listModels), for the model pickers.
+// A provider that can't list its models just offers none; the picker still takes free text.
+
+import { useEffect, useState } from "react";
+
+/**
+ * useModelList(provider)
+ * Lists models whenever the provider instance changes. Pass the provider without a model
+ * applied (see withModel), so picking a model doesn't refetch the list.
+ */
+export default function useModelList(provider) {
+  const [models, setModels] = useState([]);
+
+  useEffect(() => {
+    if (typeof provider.listModels !== "function") {
+      setModels([]);
+      return undefined;
+    }
+    const controller = new AbortController();
+    provider
+      .listModels({ signal: controller.signal })
+      .then((list) => {
+        if (!controller.signal.aborted) setModels([...new Set(list)].sort());
+      })
+      .catch((err) => {
+        if (controller.signal.aborted) return;
+        console.debug("Model list unavailable", err);
+        setModels([]);
+      });
+    return () => controller.abort();
+  }, [provider]);
+
+  return models;
+}
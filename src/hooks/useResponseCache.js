@@ -0,0 +1,63 @@
+// src/hooks/useResponseCache.js
+// React state on top of utils/cache.js. Storage failures degrade to "no cache"
+// rather than failing the conversion.
+
+import { useCallback, useEffect, useState } from "react";
+import { getCached, putCached, listCache, deleteCached, clearCache } from "../utils/cache.js";
+
+export default function useResponseCache(limits) {
+  const [entries, setEntries] = useState([]);
+
+  const refresh = useCallback(async () => {
+    try {
+      setEntries(await listCache());
+    } catch (err) {
+      console.warn("Response cache unavailable", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const lookup = useCallback(
+    async (key) => {
+      try {
+        const hit = await getCached(key);
+        if (hit) await refresh();
+        return hit;
+      } catch (err) {
+        console.warn("Cache lookup failed", err);
+        return null;
+      }
+    },
+    [refresh]
+  );
+
+  const store = useCallback(
+    async (key, data) => {
+      try {
+        await putCached(key, data, limits);
+        await refresh();
+      } catch (err) {
+        console.warn("Could not cache response", err);
+      }
+    },
+    [limits, refresh]
+  );
+
+  const remove = useCallback(
+    async (entry) => {
+      await deleteCached(entry.key);
+      await refresh();
+    },
+    [refresh]
+  );
+
+  const clear = useCallback(async () => {
+    await clearCache();
+    await refresh();
+  }, [refresh]);
+
+  return { entries, lookup, store, remove, clear };
+}
@@ -0,0 +1,58 @@
+// src/providers/index.js
+// Provider registry. Every provider exposes the same small surface:
+//   { id, label, checkReady(opts) -> Promise<boolean>, chat(prompt, opts) -> Promise<string>,
+//     stream(prompt, { signal }) -> AsyncIterable<string> }
+// plus `model` (null = the service's default) and listModels({ signal }) -> Promise<string[]>
+// for the model picker. chat/stream accept a per-request `model` (see withModel).
+
+import { createPuterProvider } from "./puter.js";
+import { createOpenAIProvider } from "./openai.js";
+import { createMockProvider } from "./mock.js";
+import { sleep } from "../utils/async.js";
+
+export const PROVIDERS = [
+  { id: "puter", label: "Puter (browser)", create: (cfg) => createPuterProvider(cfg) },
+  { id: "openai", label: "OpenAI-compatible", create: (cfg) => createOpenAIProvider(cfg) },
+  { id: "mock", label: "Mock (offline)", create: (cfg) => createMockProvider(cfg) },
+];
+
+/**
+ * createProvider(id, config)
+ * Builds a provider instance by id. Unknown ids throw so a bad setting is loud.
+ */
+export function createProvider(id, config = {}) {
+  const entry = PROVIDERS.find((p) => p.id === id);
+  if (!entry) throw new Error(`Unknown AI provider: ${id}`);
+  return entry.create(config);
+}
+
+/**
+ * withModel(provider, model)
+ * The same provider with every request sent to `model` (falsy keeps the configured one). Cheap,
+ * so switching models doesn't mean rebuilding the provider or re-checking the connection.
+ */
+export function withModel(provider, model) {
+  if (!model) return provider;
+  return {
+    ...provider,
+    model,
+    chat: (prompt, opts = {}) => provider.chat(prompt, { ...opts, model }),
+    stream: (prompt, opts = {}) => provider.stream(prompt, { ...opts, model }),
+  };
+}
+
+/**
+ * checkAiReadyWithRetries(provider, { attempts, baseTimeout, allowPing })
+ * Limited retries with exponential-ish backoff around provider.checkReady().
+ */
+export async function checkAiReadyWithRetries(provider, { attempts = 3, baseTimeout = 8000, allowPing = false } = {}) {
+  for (let i = 0; i < attempts; i++) {
+    const timeoutMs = Math.round(baseTimeout * (1 + i * 0.5)); // slightly larger time on retries
+    const ok = await provider.checkReady({ timeoutMs, allowPing });
+    if (ok) return true;
+    if (i === attempts - 1) break;
+    // backoff between attempts (2s, 4s, 8s capped)
+    await sleep(Math.min(2000 * Math.pow(2, i), 8000));
+  }
+  return false;
+}
@@ -0,0 +1,39 @@
+// src/providers/index.test.js
+import { afterEach, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createProvider, withModel } from "./index.js";
+
+const realFetch = globalThis.fetch;
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+// records the JSON bodies posted to the endpoint and answers with a fixed completion
+function stubFetch() {
+  const bodies = [];
+  globalThis.fetch = async (url, init) => {
+    bodies.push(JSON.parse(init.body));
+    return new Response(JSON.stringify({ choices: [{ message: { content: "ok" } }] }), { status: 200 });
+  };
+  return bodies;
+}
+
+test("withModel sends every request to the chosen model", async () => {
+  const bodies = stubFetch();
+  const base = createProvider("openai", { baseUrl: "http://models.test/v1" });
+  const provider = withModel(base, "small-model");
+
+  assert.equal(provider.model, "small-model");
+  assert.equal(await provider.chat("hi"), "ok");
+  assert.equal(bodies[0].model, "small-model");
+  assert.equal(base.model, "");
+});
+
+test("withModel without a model keeps the provider as it is", async () => {
+  const bodies = stubFetch();
+  const base = createProvider("openai", { baseUrl: "http://models.test/v1", model: "configured" });
+  assert.equal(withModel(base, ""), base);
+  await base.chat("hi");
+  assert.equal(bodies[0].model, "configured");
+});
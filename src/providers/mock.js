@@ -0,0 +1,65 @@
+// src/providers/mock.js
+// Deterministic provider for tests and offline demos. Never touches the network.
+
+// Default responder: echo the source code block back inside a fence.
+function echoSource(prompt) {
+  const idx = prompt.lastIndexOf("Source code:");
+  const code = idx >= 0 ? prompt.slice(idx + "Source code:".length).trim() : prompt;
+  return "```\n" + code + "\n```";
+}
+
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException("Aborted", "AbortError"));
+      return;
+    }
+    const t = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(t);
+        reject(new DOMException("Aborted", "AbortError"));
+      },
+      { once: true }
+    );
+  });
+}
+
+/**
+ * createMockProvider({ model, respond, latencyMs, chunkSize, ready })
+ * - model (string): only reported back, replies don't depend on it
+ * - respond (fn): prompt -> reply string (defaults to echoing the source code)
+ * - latencyMs (number): artificial delay before replying (and between streamed chunks)
+ * - chunkSize (number): characters per streamed chunk
+ * - ready (bool): what checkReady reports
+ */
+export function createMockProvider({ model = "mock", respond = echoSource, latencyMs = 0, chunkSize = 16, ready = true } = {}) {
+  return {
+    id: "mock",
+    label: "Mock (offline)",
+    model: model || "mock",
+
+    async listModels() {
+      return ["mock"];
+    },
+
+    async checkReady() {
+      return ready;
+    },
+
+    async chat(prompt, { signal } = {}) {
+      if (latencyMs > 0) await delay(latencyMs, signal);
+      return respond(prompt);
+    },
+
+    async *stream(prompt, { signal } = {}) {
+      const reply = respond(prompt);
+      for (let i = 0; i < reply.length; i += chunkSize) {
+        if (signal?.aborted) return;
+        if (latencyMs > 0) await delay(latencyMs, signal);
+        yield reply.slice(i, i + chunkSize);
+      }
+    },
+  };
+}
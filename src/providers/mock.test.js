@@ -0,0 +1,27 @@
+// src/providers/mock.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createMockProvider } from "./mock.js";
+
+test("chat echoes the source code block in a fence", async () => {
+  const provider = createMockProvider();
+  assert.equal(await provider.chat("Convert this.\nSource code:\nx = 1\n"), "```\nx = 1\n```");
+});
+
+test("an already aborted signal rejects at once instead of waiting out the latency", async () => {
+  const provider = createMockProvider({ latencyMs: 60_000 });
+  const controller = new AbortController();
+  controller.abort();
+  const started = Date.now();
+  await assert.rejects(provider.chat("Source code:\nx", { signal: controller.signal }), { name: "AbortError" });
+  assert.ok(Date.now() - started < 1000);
+});
+
+test("aborting mid-wait rejects the pending chat", async () => {
+  const provider = createMockProvider({ latencyMs: 60_000 });
+  const controller = new AbortController();
+  const pending = provider.chat("Source code:\nx", { signal: controller.signal });
+  controller.abort();
+  await assert.rejects(pending, { name: "AbortError" });
+});
@@ -0,0 +1,115 @@
+// src/providers/openai.js
+// Adapter for any OpenAI-compatible HTTP endpoint (OpenAI, llama.cpp server, Ollama, vLLM...).
+
+import { promiseWithTimeout } from "../utils/async.js";
+import { extractReplyText } from "../utils/response.js";
+import { ProviderError, errorKindForStatus } from "../utils/requestPolicy.js";
+
+// Parse a server-sent-events body from /chat/completions?stream=true into content deltas
+async function* readSSE(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith("data:")) continue;
+        const payload = trimmed.slice(5).trim();
+        if (payload === "[DONE]") return;
+        try {
+          const delta = JSON.parse(payload)?.choices?.[0]?.delta?.content;
+          if (delta) yield delta;
+        } catch {
+          // ignore keep-alives / partial junk
+        }
+      }
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+function trimSlash(url = "") {
+  return url.replace(/\/+$/, "");
+}
+
+/**
+ * createOpenAIProvider({ baseUrl, apiKey, model })
+ * baseUrl should include the version prefix, e.g. http://localhost:11434/v1.
+ * Readiness hits GET /models, which does not spend tokens. chat/stream take a per-request
+ * `model` that overrides the configured one.
+ */
+export function createOpenAIProvider({ baseUrl = "http://localhost:11434/v1", apiKey = "", model = "" } = {}) {
+  const root = trimSlash(baseUrl);
+
+  function headers() {
+    const h = { "Content-Type": "application/json" };
+    if (apiKey) h.Authorization = `Bearer ${apiKey}`;
+    return h;
+  }
+
+  async function post(body, signal) {
+    let res;
+    try {
+      res = await fetch(`${root}/chat/completions`, {
+        method: "POST",
+        headers: headers(),
+        signal,
+        body: JSON.stringify(body),
+      });
+    } catch (err) {
+      if (err?.name === "AbortError") throw err;
+      throw new ProviderError("network", `Could not reach ${root}: ${err?.message || err}`, { cause: err });
+    }
+    if (!res.ok) {
+      const text = await res.text().catch(() => "");
+      const retryAfter = Number(res.headers.get("retry-after"));
+      throw new ProviderError(errorKindForStatus(res.status), `HTTP ${res.status}${text ? `: ${text.slice(0, 200)}` : ""}`, {
+        status: res.status,
+        retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : undefined,
+      });
+    }
+    return res;
+  }
+
+  return {
+    id: "openai",
+    label: "OpenAI-compatible",
+    model,
+
+    async checkReady({ timeoutMs = 8000 } = {}) {
+      try {
+        const res = await promiseWithTimeout(fetch(`${root}/models`, { headers: headers() }), timeoutMs);
+        return res.ok;
+      } catch (err) {
+        console.debug("OpenAI-compatible readiness failed:", err);
+        return false;
+      }
+    },
+
+    // ids from GET /models, for the model picker
+    async listModels({ signal } = {}) {
+      const res = await fetch(`${root}/models`, { headers: headers(), signal });
+      if (!res.ok) throw new ProviderError(errorKindForStatus(res.status), `HTTP ${res.status}`, { status: res.status });
+      const data = await res.json();
+      return (data?.data ?? data?.models ?? []).map((m) => (typeof m === "string" ? m : m?.id ?? m?.name)).filter(Boolean);
+    },
+
+    async chat(prompt, { signal, model: requested } = {}) {
+      const res = await post({ model: requested || model, messages: [{ role: "user", content: prompt }] }, signal);
+      const data = await res.json();
+      return extractReplyText(data);
+    },
+
+    async *stream(prompt, { signal, model: requested } = {}) {
+      const res = await post({ model: requested || model, stream: true, messages: [{ role: "user", content: prompt }] }, signal);
+      yield* readSSE(res.body);
+    },
+  };
+}
@@ -0,0 +1,116 @@
+// src/providers/puter.js
+// Adapter for the Puter browser SDK (loaded from index.html as window.puter).
+
+import { promiseWithTimeout, sleep } from "../utils/async.js";
+import { extractReplyText } from "../utils/response.js";
+
+function getPuter() {
+  return typeof window !== "undefined" ? window.puter : undefined;
+}
+
+// offered in the model picker when the SDK can't list its models
+export const PUTER_MODELS = ["gpt-4o-mini", "gpt-4o", "gpt-4.1", "o3-mini", "claude-sonnet-4", "claude-3-5-sonnet", "gemini-2.0-flash", "deepseek-chat", "mistral-large-latest"];
+
+/**
+ * createPuterProvider({ model })
+ * Talks to window.puter.ai. Readiness waits for the script to load, then tries
+ * ai.ready (function or promise), ai.init(), and finally an optional ping. SDKs with
+ * none of those count as ready once ai.chat exists, unless pinging is allowed.
+ * An empty model lets Puter pick its default; chat/stream take a per-request `model` too.
+ */
+export function createPuterProvider({ model = "" } = {}) {
+  const modelOptions = (requested) => (requested || model ? { model: requested || model } : {});
+
+  return {
+    id: "puter",
+    label: "Puter",
+    model: model || null,
+
+    async listModels() {
+      const ai = getPuter()?.ai;
+      if (typeof ai?.listModels !== "function") return PUTER_MODELS;
+      const models = await ai.listModels();
+      return Array.isArray(models) ? models.map((m) => (typeof m === "string" ? m : m?.id)).filter(Boolean) : PUTER_MODELS;
+    },
+
+    async checkReady({ timeoutMs = 8000, allowPing = false } = {}) {
+      // Wait until window.puter is available (script tag in index.html)
+      for (let i = 0; i < 20 && !getPuter(); i++) {
+        await sleep(300);
+      }
+      const puter = getPuter();
+      if (!puter?.ai) {
+        console.error("Puter not found — check if script is loaded.");
+        return false;
+      }
+
+      try {
+        await promiseWithTimeout(puter.user(), timeoutMs);
+      } catch (e) {
+        console.warn("Puter user() failed, continuing anyway", e);
+      }
+
+      const ai = puter.ai;
+      const hasSignal = typeof ai.ready === "function" || typeof ai.ready?.then === "function" || typeof ai.init === "function";
+      try {
+        // 1) ready: some SDK versions expose a function, others a promise
+        if (typeof ai.ready === "function") {
+          if (await promiseWithTimeout(Promise.resolve(ai.ready()), timeoutMs)) return true;
+        } else if (ai.ready && typeof ai.ready.then === "function") {
+          await promiseWithTimeout(ai.ready, timeoutMs);
+          return true;
+        }
+
+        // 2) init() that returns a promise
+        if (typeof ai.init === "function") {
+          const maybePromise = ai.init();
+          if (maybePromise && typeof maybePromise.then === "function") {
+            await promiseWithTimeout(maybePromise, timeoutMs);
+            return true;
+          }
+        }
+      } catch (err) {
+        console.debug("Puter readiness signal failed:", err);
+      }
+
+      if (!hasSignal && !allowPing) return typeof ai.chat === "function";
+
+      // 3) fallback ping (only if allowed — spends provider tokens)
+      if (allowPing && typeof ai.chat === "function") {
+        try {
+          await promiseWithTimeout(ai.chat("ping", modelOptions()), Math.min(timeoutMs, 5000));
+          return true;
+        } catch (err) {
+          console.debug("Puter ping failed:", err);
+        }
+      }
+
+      return false;
+    },
+
+    async chat(prompt, { model: requested } = {}) {
+      const ai = getPuter()?.ai;
+      if (!ai) throw new Error("Puter script not loaded.");
+      // Puter returns a few different shapes depending on model/version
+      return extractReplyText(await ai.chat(prompt, modelOptions(requested)));
+    },
+
+    // Puter yields parts shaped like { text }. The SDK has no cancel hook, so
+    // on abort we simply stop reading.
+    async *stream(prompt, { signal, model: requested } = {}) {
+      const ai = getPuter()?.ai;
+      if (!ai) throw new Error("Puter script not loaded.");
+      const response = await ai.chat(prompt, { ...modelOptions(requested), stream: true });
+      if (!response || typeof response[Symbol.asyncIterator] !== "function") {
+        // older SDKs ignore the stream flag and return the full reply
+        yield extractReplyText(response);
+        return;
+      }
+      for await (const part of response) {
+        if (signal?.aborted) return;
+        const text = typeof part === "string" ? part : part?.text;
+        if (text) yield text;
+      }
+    },
+  };
+}
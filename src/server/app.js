@@ -0,0 +1,250 @@
+// src/server/app.js
+// Optional HTTP API over the conversion core (src/core): POST /convert, POST /convert/batch,
+// GET /languages, GET /health and GET /openapi.json. Plain node:http, JSON in and out.
+
+import { createServer } from "node:http";
+
+import { canValidate, convertCode, convertFiles, LANGUAGES, optionsFor, repairSyntax, resolveLanguage, validateSyntax } from "../core/index.js";
+import { classifyError, describeError } from "../utils/requestPolicy.js";
+import { createRateLimiter } from "./rateLimit.js";
+import { OPENAPI } from "./openapi.js";
+
+export const DEFAULT_SERVER_OPTIONS = {
+  maxBodyBytes: 1024 * 1024,
+  maxBatchFiles: 50,
+  maxRepairs: 3,
+  concurrency: 3,
+  rateLimit: { windowMs: 60_000, max: 30 }, // conversions (files, for batches) per client per window; max 0 = off
+  trustProxy: false, // take the client from X-Forwarded-For (only behind a trusted proxy)
+  corsOrigin: null, // e.g. "*" or "http://localhost:5173"
+};
+
+class HttpError extends Error {
+  constructor(status, code, message, headers = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.headers = headers;
+  }
+}
+
+function sendJson(res, status, body, headers = {}) {
+  const json = JSON.stringify(body);
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", "Content-Length": Buffer.byteLength(json), ...headers });
+  res.end(json);
+}
+
+function readJson(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const declared = Number(req.headers["content-length"]);
+    if (declared > maxBytes) {
+      reject(new HttpError(413, "payload_too_large", `Request body exceeds ${maxBytes} bytes.`));
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        // drop the rest; the 413 goes out with Connection: close
+        req.removeAllListeners("data");
+        req.resume();
+        reject(new HttpError(413, "payload_too_large", `Request body exceeds ${maxBytes} bytes.`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "null"));
+      } catch {
+        reject(new HttpError(400, "invalid_json", "Request body is not valid JSON."));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function clientKey(req, trustProxy) {
+  const forwarded = trustProxy && req.headers["x-forwarded-for"];
+  return (forwarded ? String(forwarded).split(",")[0].trim() : req.socket.remoteAddress) || "unknown";
+}
+
+function requireObject(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) throw new HttpError(400, "invalid_request", "Expected a JSON object.");
+  return body;
+}
+
+function languages(body) {
+  if (typeof body.from !== "string" || typeof body.to !== "string") throw new HttpError(400, "invalid_request", '"from" and "to" language names are required.');
+  try {
+    return { sourceLang: resolveLanguage(body.from), targetLang: resolveLanguage(body.to) };
+  } catch (err) {
+    throw new HttpError(400, "unknown_language", err.message);
+  }
+}
+
+function conversionSettings(body, targetLang, maxRepairs) {
+  if (body.options !== undefined && (typeof body.options !== "object" || body.options === null || Array.isArray(body.options))) {
+    throw new HttpError(400, "invalid_request", '"options" must be an object.');
+  }
+  const repairs = body.repairs ?? 0;
+  if (!Number.isInteger(repairs) || repairs < 0 || repairs > maxRepairs) {
+    throw new HttpError(400, "invalid_request", `"repairs" must be an integer from 0 to ${maxRepairs}.`);
+  }
+  return { options: optionsFor({ [targetLang]: body.options ?? {} }, targetLang), repairs };
+}
+
+function summarizeSyntax({ status, errors }) {
+  return { status, errors: errors.map(({ line, column, message }) => ({ line, column, message })) };
+}
+
+/**
+ * createApiServer(provider, options)
+ * An unstarted http.Server; call listen() on it. `provider` is any provider instance
+ * (providers/index.js), e.g. createMockProvider() for tests. Options: DEFAULT_SERVER_OPTIONS.
+ */
+export function createApiServer(provider, options = {}) {
+  const config = { ...DEFAULT_SERVER_OPTIONS, ...options, rateLimit: { ...DEFAULT_SERVER_OPTIONS.rateLimit, ...options.rateLimit } };
+  const limiter = createRateLimiter(config.rateLimit);
+  const startedAt = Date.now();
+
+  // charged once a request is valid, one unit per file converted
+  function limit(req, cost = 1) {
+    if (config.rateLimit.max && cost > config.rateLimit.max) {
+      throw new HttpError(413, "too_many_files", `A batch can have at most ${config.rateLimit.max} files under the rate limit.`);
+    }
+    const { allowed, limit: max, remaining, resetMs } = limiter.check(clientKey(req, config.trustProxy), cost);
+    const headers = max ? { "RateLimit-Limit": max, "RateLimit-Remaining": remaining, "RateLimit-Reset": Math.ceil(resetMs / 1000) } : {};
+    if (!allowed) {
+      throw new HttpError(429, "rate_limited", "Too many conversions; try again later.", { ...headers, "Retry-After": Math.ceil(resetMs / 1000) });
+    }
+    return headers;
+  }
+
+  async function handleConvert(req, signal) {
+    const body = requireObject(await readJson(req, config.maxBodyBytes));
+    if (typeof body.code !== "string" || !body.code.trim()) throw new HttpError(400, "invalid_request", '"code" must be a non-empty string.');
+    const { sourceLang, targetLang } = languages(body);
+    const { options, repairs } = conversionSettings(body, targetLang, config.maxRepairs);
+    const headers = limit(req);
+
+    const started = Date.now();
+    let result;
+    try {
+      result = await convertCode(provider, { sourceLang, targetLang, code: body.code, options, signal });
+      if (repairs > 0) {
+        const repaired = await repairSyntax(provider, { sourceLang, targetLang, source: body.code, output: result.code, maxAttempts: repairs, signal });
+        result = { ...result, code: repaired.code };
+      }
+    } catch (err) {
+      // e.g. provider_rate-limit, provider_timeout; the message is the user-facing one
+      throw new HttpError(502, `provider_${classifyError(err)}`, describeError(err));
+    }
+
+    return [
+      200,
+      {
+        code: result.code,
+        sourceLang,
+        targetLang,
+        discarded: result.discarded,
+        syntax: summarizeSyntax(validateSyntax(result.code, targetLang)),
+        security: result.security,
+        durationMs: Date.now() - started,
+      },
+      headers,
+    ];
+  }
+
+  async function handleBatch(req, signal) {
+    const body = requireObject(await readJson(req, config.maxBodyBytes));
+    const valid = Array.isArray(body.files) && body.files.every((f) => f && typeof f.path === "string" && f.path && typeof f.content === "string");
+    if (!valid || !body.files.length) throw new HttpError(400, "invalid_request", '"files" must be a non-empty array of { path, content }.');
+    if (body.files.length > config.maxBatchFiles) throw new HttpError(413, "too_many_files", `At most ${config.maxBatchFiles} files per batch.`);
+    const { sourceLang, targetLang } = languages(body);
+    const { options, repairs } = conversionSettings(body, targetLang, config.maxRepairs);
+    const headers = limit(req, body.files.length);
+
+    const results = await convertFiles(provider, body.files.map(({ path, content }) => ({ path, content })), {
+      sourceLang,
+      targetLang,
+      options,
+      concurrency: config.concurrency,
+      repairRetries: repairs,
+      signal,
+    });
+    const count = (status) => results.filter((r) => r.status === status).length;
+
+    return [
+      200,
+      {
+        sourceLang,
+        targetLang,
+        summary: { total: results.length, converted: count("done") + count("warning"), warnings: count("warning"), failed: count("error") },
+        files: results.map((r) => ({ ...r, syntax: r.syntax && summarizeSyntax(r.syntax) })),
+      },
+      headers,
+    ];
+  }
+
+  async function handleHealth() {
+    const ready = await provider.checkReady({ timeoutMs: 3000, allowPing: false }).catch(() => false);
+    return [200, { status: ready ? "ok" : "degraded", provider: { id: provider.id, model: provider.model ?? null, ready }, uptimeMs: Date.now() - startedAt }];
+  }
+
+  function handleLanguages() {
+    return [
+      200,
+      {
+        languages: LANGUAGES.map((l) => ({ id: l.id, name: l.name, aliases: l.aliases ?? [], extensions: l.extensions ?? [], validated: canValidate(l.name) })),
+      },
+    ];
+  }
+
+  const ROUTES = {
+    "GET /health": handleHealth,
+    "GET /languages": handleLanguages,
+    "GET /openapi.json": () => [200, OPENAPI],
+    "POST /convert": handleConvert,
+    "POST /convert/batch": handleBatch,
+  };
+
+  return createServer(async (req, res) => {
+    const cors = config.corsOrigin
+      ? { "Access-Control-Allow-Origin": config.corsOrigin, "Access-Control-Allow-Headers": "Content-Type", "Access-Control-Allow-Methods": "GET, POST, OPTIONS" }
+      : {};
+    const { pathname } = new URL(req.url, "http://localhost");
+    const route = pathname.replace(/\/+$/, "") || "/";
+
+    // stop talking to the provider when the client goes away
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    try {
+      if (req.method === "OPTIONS" && config.corsOrigin) {
+        res.writeHead(204, cors);
+        res.end();
+        return;
+      }
+      const handler = ROUTES[`${req.method} ${route}`];
+      if (!handler) {
+        const known = Object.keys(ROUTES).some((key) => key.endsWith(` ${route}`));
+        throw known ? new HttpError(405, "method_not_allowed", `${req.method} is not supported on ${route}.`) : new HttpError(404, "not_found", `No route ${route}.`);
+      }
+      const [status, body, headers = {}] = await handler(req, controller.signal);
+      sendJson(res, status, body, { ...cors, ...headers });
+    } catch (err) {
+      if (res.headersSent || res.destroyed) return;
+      if (err instanceof HttpError) {
+        const close = err.status === 413 ? { Connection: "close" } : {};
+        sendJson(res, err.status, { error: { code: err.code, message: err.message } }, { ...cors, ...err.headers, ...close });
+        return;
+      }
+      console.error("API request failed", err);
+      sendJson(res, 500, { error: { code: "internal_error", message: "Internal server error." } }, cors);
+    }
+  });
+}
@@ -0,0 +1,139 @@
+// src/server/app.test.js
+// Drives the API server over real HTTP with the mock provider.
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createMockProvider } from "../providers/mock.js";
+import { createApiServer } from "./app.js";
+
+async function startServer(options) {
+  const server = createApiServer(createMockProvider(), options);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return {
+    server,
+    post: (path, body) =>
+      fetch(base + path, { method: "POST", headers: { "Content-Type": "application/json" }, body: typeof body === "string" ? body : JSON.stringify(body) }),
+    get: (path) => fetch(base + path),
+  };
+}
+
+function stopServer(server) {
+  server.closeAllConnections();
+  return new Promise((resolve) => server.close(resolve));
+}
+
+describe("routes", () => {
+  let api;
+  before(async () => {
+    api = await startServer({ rateLimit: { max: 0 } });
+  });
+  after(() => stopServer(api.server));
+
+  test("POST /convert returns the code with syntax and security reports", async () => {
+    const res = await api.post("/convert", { code: "x = 1", from: "py", to: "python" });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.code, "x = 1");
+    assert.equal(body.sourceLang, "Python");
+    assert.equal(body.syntax.status, "valid");
+    assert.deepEqual(body.security.findings, []);
+  });
+
+  test("POST /convert/batch converts every file and renames them", async () => {
+    const res = await api.post("/convert/batch", {
+      from: "javascript",
+      to: "typescript",
+      files: [
+        { path: "src/a.js", content: "export const a = 1;" },
+        { path: "src/b.js", content: "export const b = 2;" },
+      ],
+    });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.deepEqual(body.summary, { total: 2, converted: 2, warnings: 0, failed: 0 });
+    assert.deepEqual(
+      body.files.map((f) => [f.sourcePath, f.path, f.status]),
+      [
+        ["src/a.js", "src/a.ts", "done"],
+        ["src/b.js", "src/b.ts", "done"],
+      ]
+    );
+  });
+
+  test("invalid requests get 400 with an error code", async () => {
+    const missing = await api.post("/convert", { code: "x = 1", from: "python" });
+    assert.equal(missing.status, 400);
+    assert.equal((await missing.json()).error.code, "invalid_request");
+
+    const unknown = await api.post("/convert", { code: "x = 1", from: "python", to: "klingon" });
+    assert.equal((await unknown.json()).error.code, "unknown_language");
+
+    const badJson = await api.post("/convert", "{not json");
+    assert.equal((await badJson.json()).error.code, "invalid_json");
+  });
+
+  test("unknown routes and methods", async () => {
+    assert.equal((await api.get("/nope")).status, 404);
+    assert.equal((await api.get("/convert")).status, 405);
+  });
+});
+
+describe("limits", () => {
+  test("bodies over maxBodyBytes get 413", async () => {
+    const api = await startServer({ maxBodyBytes: 1024, rateLimit: { max: 0 } });
+    try {
+      const res = await api.post("/convert", { code: "x".repeat(4096), from: "python", to: "javascript" });
+      assert.equal(res.status, 413);
+      assert.equal((await res.json()).error.code, "payload_too_large");
+    } finally {
+      await stopServer(api.server);
+    }
+  });
+
+  test("conversions past the rate limit get 429 with Retry-After", async () => {
+    const api = await startServer({ rateLimit: { max: 2, windowMs: 60_000 } });
+    try {
+      const convert = () => api.post("/convert", { code: "x = 1", from: "python", to: "python" });
+      const first = await convert();
+      assert.equal(first.status, 200);
+      assert.equal(first.headers.get("ratelimit-remaining"), "1");
+      assert.equal((await convert()).status, 200);
+
+      const limited = await convert();
+      assert.equal(limited.status, 429);
+      assert.equal((await limited.json()).error.code, "rate_limited");
+      assert.ok(Number(limited.headers.get("retry-after")) > 0);
+    } finally {
+      await stopServer(api.server);
+    }
+  });
+
+  test("rejected requests don't count against the limit", async () => {
+    const api = await startServer({ rateLimit: { max: 1 } });
+    try {
+      for (let i = 0; i < 3; i++) assert.equal((await api.post("/convert", { code: "", from: "python", to: "python" })).status, 400);
+      assert.equal((await api.post("/convert", { code: "x = 1", from: "python", to: "python" })).status, 200);
+    } finally {
+      await stopServer(api.server);
+    }
+  });
+
+  test("batches count once per file", async () => {
+    const api = await startServer({ rateLimit: { max: 3 } });
+    const files = (n) => Array.from({ length: n }, (_, i) => ({ path: `f${i}.py`, content: `x = ${i}` }));
+    try {
+      const batch = await api.post("/convert/batch", { from: "python", to: "python", files: files(2) });
+      assert.equal(batch.status, 200);
+      assert.equal(batch.headers.get("ratelimit-remaining"), "1");
+      assert.equal((await api.post("/convert/batch", { from: "python", to: "python", files: files(2) })).status, 429);
+      assert.equal((await api.post("/convert", { code: "x = 1", from: "python", to: "python" })).status, 200);
+
+      const tooBig = await api.post("/convert/batch", { from: "python", to: "python", files: files(4) });
+      assert.equal(tooBig.status, 413);
+      assert.equal((await tooBig.json()).error.code, "too_many_files");
+    } finally {
+      await stopServer(api.server);
+    }
+  });
+});
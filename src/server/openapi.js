@@ -0,0 +1,249 @@
+// src/server/openapi.js
+// OpenAPI 3.1 description of the API server (served at GET /openapi.json).
+
+import { LANGUAGE_NAMES } from "../utils/languages.js";
+
+const error = {
+  type: "object",
+  required: ["error"],
+  properties: {
+    error: {
+      type: "object",
+      required: ["code", "message"],
+      properties: { code: { type: "string" }, message: { type: "string" } },
+    },
+  },
+};
+
+const errorResponse = (description) => ({ description, content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } } });
+
+const language = {
+  type: "string",
+  description: `Language name or alias (case-insensitive), e.g. ${LANGUAGE_NAMES.slice(0, 4).join(", ")}; see GET /languages.`,
+};
+
+const options = {
+  type: "object",
+  description: "Target idiom/style options (see the app's conversion options).",
+  properties: {
+    version: { type: "string" },
+    asyncStyle: { type: "string" },
+    naming: { type: "string", enum: ["keep", "idiomatic"] },
+    typing: { type: "string", enum: ["keep", "add", "none"] },
+    comments: { type: "string", enum: ["preserve", "docs", "none"] },
+  },
+};
+
+const security = {
+  type: "object",
+  properties: {
+    counts: { type: "object", properties: { high: { type: "integer" }, medium: { type: "integer" }, low: { type: "integer" } } },
+    introduced: { type: "array", items: { type: "string" }, description: "Capabilities the output uses that the input didn't" },
+    findings: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          ruleId: { type: "string" },
+          severity: { type: "string", enum: ["high", "medium", "low"] },
+          capability: { type: "string" },
+          message: { type: "string" },
+          line: { type: "integer" },
+          endLine: { type: "integer" },
+          introduced: { type: "boolean" },
+        },
+      },
+    },
+  },
+};
+
+const syntax = {
+  type: "object",
+  properties: {
+    status: { type: "string", enum: ["valid", "invalid", "unvalidated"] },
+    errors: { type: "array", items: { type: "object", properties: { line: { type: "integer" }, message: { type: "string" } } } },
+  },
+};
+
+const limited = {
+  413: errorResponse("Request body too large"),
+  429: {
+    description: "Rate limit exceeded (valid requests count once per file converted); see Retry-After",
+    headers: { "Retry-After": { schema: { type: "integer" }, description: "Seconds until the client's window resets" } },
+    content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+  },
+};
+
+export const OPENAPI = {
+  openapi: "3.1.0",
+  info: {
+    title: "DevTranspiler API",
+    version: "1.0.0",
+    description: "Code conversion between programming languages through the configured model provider.",
+  },
+  paths: {
+    "/health": {
+      get: {
+        summary: "Server and provider status",
+        responses: {
+          200: {
+            description: "Server is up; `provider.ready` tells whether the model endpoint answers",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    status: { type: "string", enum: ["ok", "degraded"] },
+                    provider: { type: "object", properties: { id: { type: "string" }, model: { type: ["string", "null"] }, ready: { type: "boolean" } } },
+                    uptimeMs: { type: "integer" },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    "/languages": {
+      get: {
+        summary: "Supported languages",
+        responses: {
+          200: {
+            description: "Language registry",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    languages: {
+                      type: "array",
+                      items: {
+                        type: "object",
+                        properties: {
+                          id: { type: "string" },
+                          name: { type: "string" },
+                          aliases: { type: "array", items: { type: "string" } },
+                          extensions: { type: "array", items: { type: "string" } },
+                          validated: { type: "boolean", description: "Output syntax is checked with a bundled parser" },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    "/convert": {
+      post: {
+        summary: "Convert one snippet or file",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                required: ["code", "from", "to"],
+                properties: {
+                  code: { type: "string" },
+                  from: language,
+                  to: language,
+                  options,
+                  repairs: { type: "integer", minimum: 0, maximum: 3, description: "Syntax repair rounds" },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: "Converted code",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    code: { type: "string" },
+                    sourceLang: { type: "string" },
+                    targetLang: { type: "string" },
+                    discarded: { type: "array", items: { type: "object" }, description: "Prose or extra code blocks dropped from the reply" },
+                    syntax,
+                    security,
+                    durationMs: { type: "integer" },
+                  },
+                },
+              },
+            },
+          },
+          400: errorResponse("Invalid request"),
+          502: errorResponse("The model provider failed"),
+          ...limited,
+        },
+      },
+    },
+    "/convert/batch": {
+      post: {
+        summary: "Convert several files; relative imports between them are rewritten",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                required: ["files", "from", "to"],
+                properties: {
+                  files: {
+                    type: "array",
+                    items: { type: "object", required: ["path", "content"], properties: { path: { type: "string" }, content: { type: "string" } } },
+                  },
+                  from: language,
+                  to: language,
+                  options,
+                  repairs: { type: "integer", minimum: 0, maximum: 3 },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: "Per-file results; failed files don't fail the request",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    summary: {
+                      type: "object",
+                      properties: { total: { type: "integer" }, converted: { type: "integer" }, warnings: { type: "integer" }, failed: { type: "integer" } },
+                    },
+                    files: {
+                      type: "array",
+                      items: {
+                        type: "object",
+                        properties: {
+                          sourcePath: { type: "string" },
+                          path: { type: "string" },
+                          status: { type: "string", enum: ["done", "warning", "error"] },
+                          content: { type: "string" },
+                          error: { type: "string" },
+                          syntax,
+                          security,
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          400: errorResponse("Invalid request"),
+          ...limited,
+        },
+      },
+    },
+  },
+  components: { schemas: { Error: error } },
+};
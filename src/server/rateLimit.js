@@ -0,0 +1,35 @@
+// src/server/rateLimit.js
+// Per-client fixed-window rate limiting for the API server. In memory, so limits are per process.
+
+/**
+ * createRateLimiter({ windowMs, max, now })
+ * check(clientKey, cost) -> { allowed, limit, remaining, resetMs }; a check spends `cost` units
+ * (default 1) only when allowed, and resetMs is the time until the client's window ends.
+ * `max` 0 disables limiting. `now` is injectable for tests.
+ */
+export function createRateLimiter({ windowMs = 60_000, max = 30, now = Date.now } = {}) {
+  const windows = new Map(); // clientKey -> { start, count }
+
+  function sweep(t) {
+    for (const [key, w] of windows) if (t - w.start >= windowMs) windows.delete(key);
+  }
+
+  return {
+    check(clientKey, cost = 1) {
+      if (!max) return { allowed: true, limit: 0, remaining: Infinity, resetMs: 0 };
+      const t = now();
+      // keep memory bounded by clients seen in the current window
+      if (windows.size > 1000) sweep(t);
+
+      let w = windows.get(clientKey);
+      if (!w || t - w.start >= windowMs) {
+        w = { start: t, count: 0 };
+        windows.set(clientKey, w);
+      }
+      const resetMs = w.start + windowMs - t;
+      if (w.count + cost > max) return { allowed: false, limit: max, remaining: max - w.count, resetMs };
+      w.count += cost;
+      return { allowed: true, limit: max, remaining: max - w.count, resetMs };
+    },
+  };
+}
@@ -0,0 +1,28 @@
+// src/server/rateLimit.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createRateLimiter } from "./rateLimit.js";
+
+test("allows max units per window and client, then resets", () => {
+  let t = 0;
+  const limiter = createRateLimiter({ windowMs: 1000, max: 2, now: () => t });
+  assert.equal(limiter.check("a").remaining, 1);
+  assert.equal(limiter.check("a").remaining, 0);
+  assert.deepEqual(limiter.check("a"), { allowed: false, limit: 2, remaining: 0, resetMs: 1000 });
+  assert.equal(limiter.check("b").allowed, true);
+  t = 1000;
+  assert.equal(limiter.check("a").allowed, true);
+});
+
+test("a check costs `cost` units and only spends them when allowed", () => {
+  const limiter = createRateLimiter({ windowMs: 1000, max: 5, now: () => 0 });
+  assert.equal(limiter.check("a", 3).remaining, 2);
+  assert.deepEqual(limiter.check("a", 3), { allowed: false, limit: 5, remaining: 2, resetMs: 1000 });
+  assert.equal(limiter.check("a", 2).remaining, 0);
+});
+
+test("max 0 disables limiting", () => {
+  const limiter = createRateLimiter({ max: 0 });
+  for (let i = 0; i < 100; i++) assert.equal(limiter.check("a").allowed, true);
+});
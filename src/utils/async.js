@@ -0,0 +1,24 @@
+// src/utils/async.js
+// Promise helpers shared by the providers and the conversion flow.
+
+/**
+ * promiseWithTimeout(promise, ms = 8000)
+ * Races a promise against a timer. Rejects with Error("timeout") if the timer wins.
+ */
+export function promiseWithTimeout(promise, ms = 8000) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error("timeout")), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * sleep(ms)
+ * Resolves after `ms` milliseconds.
+ */
+export function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
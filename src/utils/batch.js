@@ -0,0 +1,67 @@
+// src/utils/batch.js
+// Multi-file conversion shared by the project panel and the CLI: converts every file through
+// the provider with bounded concurrency, mirrors paths into the target language and rewrites
+// relative imports. No DOM or React here.
+
+import { mapOutputPaths, rewriteImportPaths } from "./project.js";
+import { mapWithConcurrency } from "./concurrency.js";
+import { convertCode, repairSyntax } from "./convert.js";
+import { validateSyntax } from "./validate.js";
+import { describeScan } from "./security.js";
+import { describeError } from "./requestPolicy.js";
+
+/**
+ * convertFiles(provider, files, { sourceLang, targetLang, prompts, options, concurrency, repairRetries, signal, onProgress })
+ * Converts `files` ([{ path, content }], all in sourceLang). onProgress(sourcePath, update) sees
+ * { status: "converting" } and then the file's result. Resolves to one result per file, in order:
+ * { sourcePath, path, status: "done" | "warning" | "error", content?, error?, syntax?, security?, durationMs }.
+ * "warning" means converted but the security scan flagged something (see utils/security.js).
+ */
+export async function convertFiles(
+  provider,
+  files,
+  { sourceLang, targetLang, prompts, options, concurrency = 3, repairRetries = 0, signal, onProgress } = {}
+) {
+  const pathMap = mapOutputPaths(files.map((f) => f.path), targetLang);
+
+  function failed(file, err) {
+    const error = signal?.aborted ? "Stopped" : describeError(err);
+    const result = { sourcePath: file.path, path: pathMap.get(file.path), status: "error", error };
+    onProgress?.(file.path, result);
+    return result;
+  }
+
+  async function convertOne(file) {
+    onProgress?.(file.path, { status: "converting" });
+    const startedAt = Date.now();
+    const converted = await convertCode(provider, { sourceLang, targetLang, code: file.content, prompts, options, signal });
+    let code = converted.code;
+    if (repairRetries > 0) {
+      ({ code } = await repairSyntax(provider, { sourceLang, targetLang, source: file.content, output: code, maxAttempts: repairRetries, signal }));
+    }
+
+    const content = rewriteImportPaths(code, file.path, pathMap);
+    const warning = describeScan(converted.security);
+    const result = {
+      sourcePath: file.path,
+      path: pathMap.get(file.path),
+      status: warning ? "warning" : "done",
+      content,
+      error: warning || undefined,
+      syntax: validateSyntax(content, targetLang),
+      security: converted.security,
+      durationMs: Date.now() - startedAt,
+    };
+    onProgress?.(file.path, result);
+    return result;
+  }
+
+  const outcomes = await mapWithConcurrency(
+    files,
+    concurrency,
+    (file) => convertOne(file).catch((err) => failed(file, err)),
+    { signal }
+  );
+  // only files never started (aborted) end up rejected
+  return outcomes.map((outcome, i) => (outcome.status === "fulfilled" ? outcome.value : failed(files[i], outcome.reason)));
+}
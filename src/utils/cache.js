@@ -0,0 +1,122 @@
+// src/utils/cache.js
+// Content-addressed response cache in IndexedDB (see utils/db.js). The key is a SHA-256 of
+// everything that shapes the reply: normalized input, languages, prompt (template, rules,
+// options) and model, so a repeated conversion is instant and returns the same code.
+
+import { withStore, requestToPromise } from "./db.js";
+
+const STORE = "cache";
+const KEY_VERSION = 1;
+
+export const DEFAULT_CACHE_LIMITS = { maxEntries: 200, maxBytes: 20 * 1024 * 1024 };
+
+/**
+ * normalizeInput(code)
+ * Line endings, trailing whitespace and surrounding blank lines don't change the key.
+ */
+export function normalizeInput(code) {
+  return code
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .map((line) => line.replace(/\s+$/, ""))
+    .join("\n")
+    .trim();
+}
+
+async function sha256(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * cacheKey({ prompt, sourceLang, targetLang, provider, model })
+ * `prompt` must be built from the normalized input (see normalizeInput) so it already
+ * carries the template, rules and options.
+ */
+export function cacheKey({ prompt, sourceLang, targetLang, provider, model }) {
+  return sha256(JSON.stringify({ v: KEY_VERSION, prompt, sourceLang, targetLang, provider, model: model ?? null }));
+}
+
+function entrySize(entry) {
+  return (entry.input.length + entry.output.length) * 2;
+}
+
+/**
+ * getCached(key)
+ * The cached entry or null. Bumps usedAt/hits so eviction is least-recently-used.
+ */
+export async function getCached(key) {
+  return withStore(STORE, "readwrite", async (store) => {
+    const entry = await requestToPromise(store.get(key));
+    if (!entry) return null;
+    const touched = { ...entry, usedAt: Date.now(), hits: entry.hits + 1 };
+    await requestToPromise(store.put(touched));
+    return touched;
+  });
+}
+
+/**
+ * putCached(key, { sourceLang, targetLang, provider, model, input, output }, limits)
+ * Stores a response, then evicts least-recently-used entries beyond the limits.
+ */
+export async function putCached(key, data, limits = DEFAULT_CACHE_LIMITS) {
+  const now = Date.now();
+  const entry = {
+    key,
+    sourceLang: data.sourceLang,
+    targetLang: data.targetLang,
+    provider: data.provider ?? null,
+    model: data.model ?? null,
+    input: data.input,
+    output: data.output,
+    createdAt: now,
+    usedAt: now,
+    hits: 0,
+  };
+  entry.size = entrySize(entry);
+  await withStore(STORE, "readwrite", (store) => requestToPromise(store.put(entry)));
+  await evict(limits);
+  return entry;
+}
+
+/**
+ * lruEvictions(entries, { maxEntries, maxBytes })
+ * Keys to drop so `entries` (most recently used first, as listCache returns them) fit the
+ * limits; the least recently used go first.
+ */
+export function lruEvictions(entries, { maxEntries, maxBytes }) {
+  let bytes = entries.reduce((sum, e) => sum + e.size, 0);
+  const doomed = [];
+  for (let i = entries.length - 1; i >= 0 && (entries.length - doomed.length > maxEntries || bytes > maxBytes); i--) {
+    doomed.push(entries[i].key);
+    bytes -= entries[i].size;
+  }
+  return doomed;
+}
+
+async function evict(limits) {
+  const doomed = lruEvictions(await listCache(), limits);
+  if (doomed.length) {
+    await withStore(STORE, "readwrite", (store) => Promise.all(doomed.map((key) => requestToPromise(store.delete(key)))));
+  }
+}
+
+/**
+ * listCache()
+ * All entries, most recently used first.
+ */
+export async function listCache() {
+  const all = await withStore(STORE, "readonly", (store) => requestToPromise(store.getAll()));
+  return all.sort((a, b) => b.usedAt - a.usedAt);
+}
+
+/**
+ * deleteCached(key) / clearCache()
+ */
+export function deleteCached(key) {
+  return withStore(STORE, "readwrite", (store) => requestToPromise(store.delete(key)));
+}
+
+export function clearCache() {
+  return withStore(STORE, "readwrite", (store) => requestToPromise(store.clear()));
+}
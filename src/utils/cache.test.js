@@ -0,0 +1,60 @@
+// src/utils/cache.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { cacheKey, lruEvictions, normalizeInput } from "./cache.js";
+
+test("normalizeInput ignores line endings, trailing whitespace and surrounding blank lines", () => {
+  assert.equal(normalizeInput("\n\r\nfoo()  \r\n\tbar();\t\r\n\n"), "foo()\n\tbar();");
+  assert.equal(normalizeInput("a\rb"), "a\nb");
+  // indentation is meaningful
+  assert.notEqual(normalizeInput("if x:\n  y"), normalizeInput("if x:\ny"));
+});
+
+const base = { prompt: "Convert: x = 1", sourceLang: "Python", targetLang: "Go", provider: "openai", model: "gpt-4o" };
+
+test("cacheKey is a stable SHA-256 hex digest", async () => {
+  const key = await cacheKey(base);
+  assert.match(key, /^[0-9a-f]{64}$/);
+  assert.equal(await cacheKey({ ...base }), key);
+});
+
+test("cacheKey changes with everything that shapes the reply", async () => {
+  const key = await cacheKey(base);
+  for (const change of [
+    { prompt: "Convert: x = 2" },
+    { sourceLang: "Ruby" },
+    { targetLang: "Rust" },
+    { provider: "puter" },
+    { model: "gpt-4o-mini" },
+  ]) {
+    assert.notEqual(await cacheKey({ ...base, ...change }), key, JSON.stringify(change));
+  }
+});
+
+test("a missing model keys the same as no model", async () => {
+  assert.equal(await cacheKey({ ...base, model: undefined }), await cacheKey({ ...base, model: null }));
+});
+
+// most recently used first, like listCache
+const entries = [
+  { key: "newest", size: 10 },
+  { key: "middle", size: 30 },
+  { key: "oldest", size: 20 },
+];
+
+test("lruEvictions keeps everything within the limits", () => {
+  assert.deepEqual(lruEvictions(entries, { maxEntries: 3, maxBytes: 60 }), []);
+  assert.deepEqual(lruEvictions([], { maxEntries: 0, maxBytes: 0 }), []);
+});
+
+test("lruEvictions drops the least recently used beyond the entry limit", () => {
+  assert.deepEqual(lruEvictions(entries, { maxEntries: 2, maxBytes: Infinity }), ["oldest"]);
+  assert.deepEqual(lruEvictions(entries, { maxEntries: 1, maxBytes: Infinity }), ["oldest", "middle"]);
+});
+
+test("lruEvictions drops the least recently used until the bytes fit", () => {
+  assert.deepEqual(lruEvictions(entries, { maxEntries: 10, maxBytes: 40 }), ["oldest"]);
+  assert.deepEqual(lruEvictions(entries, { maxEntries: 10, maxBytes: 39 }), ["oldest", "middle"]);
+  assert.deepEqual(lruEvictions(entries, { maxEntries: 10, maxBytes: 5 }), ["oldest", "middle", "newest"]);
+});
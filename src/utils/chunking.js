@@ -0,0 +1,209 @@
+// src/utils/chunking.js
+// Splits large inputs at top-level declaration boundaries so each part fits the model's
+// context, summarizes what the whole file declares, and joins converted parts back together.
+
+import { getLanguage, getLanguageParser } from "./languages.js";
+
+const MAX_SIGNATURE_CHARS = 160;
+
+function lineStarts(code) {
+  const starts = [0];
+  for (let i = 0; i < code.length; i++) if (code[i] === "\n") starts.push(i + 1);
+  return starts;
+}
+
+function lineStartOf(code, pos) {
+  return code.lastIndexOf("\n", pos - 1) + 1;
+}
+
+// Offsets where a new top-level declaration starts. Comments stick to the declaration after them.
+function treeCutPoints(code, parser) {
+  const cuts = [];
+  let prevComment = false;
+  for (let node = parser.parse(code).topNode.firstChild; node; node = node.nextSibling) {
+    const isComment = /Comment/.test(node.name);
+    if (!prevComment) cuts.push(lineStartOf(code, node.from));
+    prevComment = isComment;
+  }
+  return cuts;
+}
+
+function declarationStarts(code, parser) {
+  const starts = [];
+  for (let node = parser.parse(code).topNode.firstChild; node; node = node.nextSibling) {
+    if (!/Comment/.test(node.name)) starts.push(lineStartOf(code, node.from));
+  }
+  return starts;
+}
+
+// Without a grammar: a non-indented line after a blank line starts a new block
+function blankLineCutPoints(code) {
+  const lines = code.split("\n");
+  const starts = lineStarts(code);
+  const cuts = [];
+  for (let i = 1; i < lines.length; i++) {
+    if (!lines[i - 1].trim() && /^[^\s})\]]/.test(lines[i]) && !/^end\b/.test(lines[i])) cuts.push(starts[i]);
+  }
+  return cuts;
+}
+
+function lineNumberAt(starts, pos) {
+  let lo = 0;
+  let hi = starts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (starts[mid] <= pos) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo + 1;
+}
+
+/**
+ * splitIntoChunks(code, lang, { maxChars })
+ * Groups consecutive top-level declarations into chunks of at most `maxChars` (a single
+ * declaration larger than that stays whole). Uses the Lezer tree when the language has one,
+ * blank-line boundaries otherwise. Chunks cover the input exactly: joining their `source`
+ * gives back `code`. Returns [{ index, source, startLine, endLine }].
+ */
+export function splitIntoChunks(code, lang, { maxChars = 12_000 } = {}) {
+  const parser = getLanguageParser(lang);
+  let cuts = parser ? treeCutPoints(code, parser) : [];
+  if (cuts.length < 2) cuts = blankLineCutPoints(code);
+  cuts = [...new Set([0, ...cuts.filter((c) => c > 0 && c < code.length)])].sort((a, b) => a - b);
+
+  const bounds = [];
+  let start = 0;
+  for (let i = 1; i < cuts.length; i++) {
+    if (cuts[i] - start > maxChars && cuts[i - 1] > start) {
+      bounds.push([start, cuts[i - 1]]);
+      start = cuts[i - 1];
+    }
+  }
+  if (code.length - start > maxChars && cuts.at(-1) > start) {
+    bounds.push([start, cuts.at(-1)]);
+    start = cuts.at(-1);
+  }
+  bounds.push([start, code.length]);
+
+  const starts = lineStarts(code);
+  return bounds.map(([from, to], index) => ({
+    index,
+    source: code.slice(from, to),
+    startLine: lineNumberAt(starts, from),
+    endLine: lineNumberAt(starts, Math.max(from, to - 1)),
+  }));
+}
+
+// A header line that opens a bracket keeps going until the bracket closes
+function bracketDepth(line) {
+  let depth = 0;
+  for (const ch of line) {
+    if (ch === "(" || ch === "{") depth++;
+    else if (ch === ")" || ch === "}") depth--;
+  }
+  return depth;
+}
+
+/**
+ * splitHeader(code, lang)
+ * Separates the leading package/import/include lines (the language's headerPattern) from the
+ * rest. Multi-line imports stay together. Returns { header: [string], body }.
+ */
+export function splitHeader(code, lang) {
+  const pattern = getLanguage(lang)?.headerPattern;
+  const lines = code.split("\n");
+  if (!pattern) return { header: [], body: code };
+
+  const header = [];
+  let i = 0;
+  while (i < lines.length) {
+    if (!lines[i].trim()) {
+      i++;
+      continue;
+    }
+    if (!pattern.test(lines[i])) break;
+    const unit = [lines[i]];
+    let depth = bracketDepth(lines[i]);
+    while (depth > 0 && i + unit.length < lines.length) {
+      const next = lines[i + unit.length];
+      unit.push(next);
+      depth += bracketDepth(next);
+    }
+    header.push(unit.join("\n"));
+    i += unit.length;
+  }
+  return { header, body: lines.slice(i).join("\n").replace(/^\n+/, "") };
+}
+
+// `import (\n "a"\n "b"\n)` -> ['import "a"', 'import "b"'] so grouped imports dedupe per spec
+function expandGroup(unit) {
+  const match = /^(\s*\w+)\s*\(\s*\n([\s\S]*)\n\s*\)\s*$/.exec(unit);
+  if (!match) return [unit.trim()];
+  return match[2]
+    .split("\n")
+    .map((spec) => spec.trim())
+    .filter(Boolean)
+    .map((spec) => `${match[1].trim()} ${spec}`);
+}
+
+/**
+ * summarizeFile(code, lang)
+ * Shared context for every chunk prompt: the file's imports and the first line of each
+ * top-level declaration.
+ */
+export function summarizeFile(code, lang) {
+  const { header } = splitHeader(code, lang);
+  const parser = getLanguageParser(lang);
+  const starts = parser ? declarationStarts(code, parser) : blankLineCutPoints(code);
+
+  const signatures = [];
+  for (const cut of starts) {
+    const end = code.indexOf("\n", cut);
+    const line = code.slice(cut, end === -1 ? undefined : end).trim();
+    if (!line || header.some((h) => h.startsWith(line))) continue;
+    if (/^(\/\/|\/\*|\*|#(?!include)|--)/.test(line)) continue;
+    signatures.push(line.length > MAX_SIGNATURE_CHARS ? line.slice(0, MAX_SIGNATURE_CHARS) + "…" : line);
+  }
+
+  return [
+    header.length ? `Imports:\n${header.join("\n")}` : "",
+    signatures.length ? `Top-level declarations:\n${signatures.join("\n")}` : "",
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+/**
+ * describeChunk({ index, total, sourceLang, summary })
+ * Extra prompt context telling the model it sees one part of a larger file.
+ */
+export function describeChunk({ index, total, sourceLang, summary }) {
+  return [
+    `This is part ${index + 1} of ${total} of one ${sourceLang} file that is converted in parts.`,
+    "Convert ONLY this part; the other parts are converted separately and joined afterwards.",
+    "Put the imports this part needs at the top; duplicate imports are removed when the parts are joined.",
+    summary ? `\nShared context for the whole file:\n${summary}` : "",
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * reassembleChunks(outputs, lang)
+ * Joins converted parts: one deduplicated header (package line first) followed by the bodies.
+ */
+export function reassembleChunks(outputs, lang) {
+  const header = [];
+  const bodies = [];
+  for (const output of outputs) {
+    const split = splitHeader(output, lang);
+    for (const line of split.header.flatMap(expandGroup)) if (!header.includes(line)) header.push(line);
+    if (split.body.trim()) bodies.push(split.body.trimEnd());
+  }
+
+  // prologue/package lines must stay on top
+  const first = (line) => /^(#!|<\?php|package\s)/.test(line);
+  header.sort((a, b) => Number(first(b)) - Number(first(a)));
+
+  return [header.join("\n"), ...bodies].filter(Boolean).join("\n\n") + "\n";
+}
@@ -0,0 +1,140 @@
+// src/utils/chunking.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { describeChunk, reassembleChunks, splitHeader, splitIntoChunks, summarizeFile } from "./chunking.js";
+
+const JS_FILE = `import fs from "node:fs";
+import {
+  join,
+  resolve,
+} from "node:path";
+
+// reads a file
+function read(file) {
+  return fs.readFileSync(resolve(file), "utf8");
+}
+
+/** joins two paths */
+function both(a, b) {
+  return join(a, b);
+}
+
+const LIMIT = 10;
+
+class Store {
+  constructor() {
+    this.items = [];
+  }
+}
+`;
+
+function assertCovers(chunks, code) {
+  assert.equal(chunks.map((c) => c.source).join(""), code);
+  chunks.forEach((c, i) => assert.equal(c.index, i));
+  for (let i = 1; i < chunks.length; i++) assert.equal(chunks[i].startLine, chunks[i - 1].endLine + 1);
+  assert.equal(chunks[0].startLine, 1);
+}
+
+test("splitIntoChunks covers the input exactly at every size", () => {
+  for (const maxChars of [1, 40, 80, 150, 10_000]) {
+    const chunks = splitIntoChunks(JS_FILE, "JavaScript", { maxChars });
+    assertCovers(chunks, JS_FILE);
+  }
+  assert.equal(splitIntoChunks(JS_FILE, "JavaScript", { maxChars: 10_000 }).length, 1);
+});
+
+test("splitIntoChunks cuts at declarations and keeps comments with the code they describe", () => {
+  const chunks = splitIntoChunks(JS_FILE, "JavaScript", { maxChars: 80 });
+  assert.ok(chunks.length > 2);
+  for (const chunk of chunks.slice(1)) assert.match(chunk.source, /^(\/\/|\/\*\*|function|const|class|import)/);
+  const read = chunks.find((c) => c.source.includes("function read"));
+  assert.ok(read.source.startsWith("// reads a file\n"));
+  const both = chunks.find((c) => c.source.includes("function both"));
+  assert.ok(both.source.startsWith("/** joins two paths */\n"));
+});
+
+test("a declaration larger than the limit stays whole", () => {
+  const big = `def big():\n${"    x = 1\n".repeat(30)}\ndef small():\n    pass\n`;
+  const chunks = splitIntoChunks(big, "Python", { maxChars: 50 });
+  assertCovers(chunks, big);
+  assert.ok(chunks[0].source.includes("def big()") && !chunks[0].source.includes("def small()"));
+  assert.ok(chunks[0].source.length > 50);
+});
+
+test("without a grammar, blank lines before unindented lines are the boundaries", () => {
+  const text = "alpha\n  beta\n\ngamma\n}\n\n  indented\n\ndelta\n";
+  const chunks = splitIntoChunks(text, "NoSuchLanguage", { maxChars: 5 });
+  assertCovers(chunks, text);
+  assert.deepEqual(
+    chunks.map((c) => c.source),
+    ["alpha\n  beta\n\n", "gamma\n}\n\n  indented\n\n", "delta\n"]
+  );
+});
+
+test("splitHeader keeps a multi-line import together by bracket depth", () => {
+  const { header, body } = splitHeader(JS_FILE, "JavaScript");
+  assert.deepEqual(header, ['import fs from "node:fs";', 'import {\n  join,\n  resolve,\n} from "node:path";']);
+  assert.ok(body.startsWith("// reads a file\n"));
+});
+
+test("splitHeader returns everything as body when the language has no header pattern", () => {
+  assert.deepEqual(splitHeader("x\ny", "NoSuchLanguage"), { header: [], body: "x\ny" });
+});
+
+test("summarizeFile lists imports and top-level declarations, not comments", () => {
+  const summary = summarizeFile(JS_FILE, "JavaScript");
+  assert.equal(
+    summary,
+    [
+      "Imports:",
+      'import fs from "node:fs";',
+      'import {\n  join,\n  resolve,\n} from "node:path";',
+      "",
+      "Top-level declarations:",
+      "function read(file) {",
+      "function both(a, b) {",
+      "const LIMIT = 10;",
+      "class Store {",
+    ].join("\n")
+  );
+});
+
+test("describeChunk numbers the part and carries the shared summary", () => {
+  const text = describeChunk({ index: 1, total: 3, sourceLang: "Go", summary: "Imports:\nimport \"fmt\"" });
+  assert.ok(text.startsWith("This is part 2 of 3 of one Go file"));
+  assert.ok(text.endsWith('Shared context for the whole file:\nImports:\nimport "fmt"'));
+  assert.ok(!describeChunk({ index: 0, total: 2, sourceLang: "Go", summary: "" }).includes("Shared context"));
+});
+
+test("reassembleChunks dedupes imports across parts and expands grouped imports", () => {
+  const parts = [
+    'package main\n\nimport (\n\t"fmt"\n\t"os"\n)\n\nfunc a() {\n\tfmt.Println(os.Args)\n}\n',
+    'package main\n\nimport "fmt"\nimport "strings"\n\nfunc b() {\n\tfmt.Println(strings.ToUpper("b"))\n}\n',
+  ];
+  assert.equal(
+    reassembleChunks(parts, "Go"),
+    [
+      "package main",
+      'import "fmt"',
+      'import "os"',
+      'import "strings"',
+      "",
+      "func a() {\n\tfmt.Println(os.Args)\n}",
+      "",
+      'func b() {\n\tfmt.Println(strings.ToUpper("b"))\n}',
+      "",
+    ].join("\n")
+  );
+});
+
+test("reassembleChunks moves package and prologue lines to the top", () => {
+  const java = reassembleChunks(["import java.util.List;\n\nclass A {}\n", "package app;\nimport java.util.List;\n\nclass B {}\n"], "Java");
+  assert.ok(java.startsWith("package app;\nimport java.util.List;\n\nclass A {}"));
+  const php = reassembleChunks(["use App\\Models\\User;\n\nfunction a() {}\n", "<?php\nuse App\\Models\\User;\n\nfunction b() {}\n"], "PHP");
+  assert.ok(php.startsWith("<?php\nuse App\\Models\\User;\n\n"));
+});
+
+test("reassembleChunks skips parts that only carried imports", () => {
+  assert.equal(reassembleChunks(["import os\n", "import os\n\nprint(os.name)\n"], "Python"), "import os\n\nprint(os.name)\n");
+});
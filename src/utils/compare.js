@@ -0,0 +1,73 @@
+// src/utils/compare.js
+// Compare mode: the same conversion sent to several models of one provider in parallel, with
+// what's needed to judge the outputs side by side (latency, length, syntax, security).
+
+import { convertCode } from "./convert.js";
+import { validateSyntax } from "./validate.js";
+import { describeError } from "./requestPolicy.js";
+
+export const MAX_COMPARE_MODELS = 3;
+
+/**
+ * compareModelList(models)
+ * Trimmed, de-duplicated, non-empty model names, at most MAX_COMPARE_MODELS.
+ */
+export function compareModelList(models) {
+  return [...new Set(models.map((m) => m.trim()).filter(Boolean))].slice(0, MAX_COMPARE_MODELS);
+}
+
+function measure(code) {
+  return { chars: code.length, lines: code ? code.split("\n").length : 0 };
+}
+
+/**
+ * compareModels(providerFor, models, { sourceLang, targetLang, code, prompts, options, signal, onResult })
+ * Converts `code` once per model, all at once; providerFor(model) builds the provider for a
+ * model. Resolves to one result per model, in order:
+ *   { model, status: "done" | "error", code, error, durationMs, chars, lines, validation, security }
+ * A failing model doesn't fail the others. onResult(index, result) fires as each one finishes.
+ */
+export async function compareModels(providerFor, models, { sourceLang, targetLang, code, prompts, options, signal, onResult }) {
+  return Promise.all(
+    models.map(async (model, index) => {
+      const startedAt = performance.now();
+      let result;
+      try {
+        const converted = await convertCode(providerFor(model), { sourceLang, targetLang, code, prompts, options, signal });
+        result = {
+          model,
+          status: "done",
+          code: converted.code,
+          error: null,
+          durationMs: Math.round(performance.now() - startedAt),
+          ...measure(converted.code),
+          validation: validateSyntax(converted.code, targetLang),
+          security: converted.security,
+        };
+      } catch (err) {
+        result = {
+          model,
+          status: "error",
+          code: "",
+          error: signal?.aborted ? "Cancelled" : describeError(err),
+          durationMs: Math.round(performance.now() - startedAt),
+          ...measure(""),
+          validation: null,
+          security: null,
+        };
+      }
+      onResult?.(index, result);
+      return result;
+    })
+  );
+}
+
+/**
+ * fastestModel(results)
+ * Model of the quickest successful result, or null.
+ */
+export function fastestModel(results) {
+  const done = results.filter((r) => r?.status === "done");
+  if (!done.length) return null;
+  return done.reduce((best, r) => (r.durationMs < best.durationMs ? r : best)).model;
+}
@@ -0,0 +1,32 @@
+// src/utils/concurrency.js
+// Tiny promise pool so batch work doesn't hammer the provider.
+
+/**
+ * mapWithConcurrency(items, limit, worker, { signal })
+ * Runs worker(item, index) with at most `limit` in flight. Resolves to an array of
+ * { status: "fulfilled", value } | { status: "rejected", reason } in input order.
+ * Items not yet started when `signal` aborts are rejected with an AbortError.
+ */
+export async function mapWithConcurrency(items, limit, worker, { signal } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function run() {
+    while (next < items.length) {
+      const i = next++;
+      if (signal?.aborted) {
+        results[i] = { status: "rejected", reason: new DOMException("Aborted", "AbortError") };
+        continue;
+      }
+      try {
+        results[i] = { status: "fulfilled", value: await worker(items[i], i) };
+      } catch (reason) {
+        results[i] = { status: "rejected", reason };
+      }
+    }
+  }
+
+  const pool = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, run);
+  await Promise.all(pool);
+  return results;
+}
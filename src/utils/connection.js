@@ -0,0 +1,105 @@
+// src/utils/connection.js
+// Provider connection state machine. Pure reducer + helpers; hooks/useConnection.js drives it
+// with readiness checks, conversion outcomes and timers.
+//
+//   initializing --check ok--> ready <--request ok-- degraded / rate-limited
+//        |                      |  request failed (network)  -> degraded -> (repeated) offline
+//        |                      |  request failed (429/quota) -> rate-limited (until retryAt)
+//        +--check failed--> offline --auto/manual reconnect (backoff)--> ready
+
+import { classifyError } from "./requestPolicy.js";
+
+export const CONNECTION_STATES = {
+  initializing: { label: "Connecting", canConvert: false },
+  ready: { label: "Ready", canConvert: true },
+  degraded: { label: "Degraded", canConvert: true },
+  offline: { label: "Offline", canConvert: false },
+  "rate-limited": { label: "Rate limited", canConvert: false },
+};
+
+// consecutive failed requests before a degraded connection counts as offline
+const FAILURES_BEFORE_OFFLINE = 3;
+const DEFAULT_RATE_LIMIT_MS = 30_000;
+
+export const INITIAL_CONNECTION = {
+  state: "initializing",
+  checking: false,
+  attempt: 0, // failed reconnect rounds so far, drives the backoff
+  failures: 0, // consecutive failed requests
+  retryAt: null, // when the next automatic reconnect (or rate-limit cooldown) ends
+  message: "",
+  generation: 0, // set on reset; check results from an earlier generation are ignored
+};
+
+// back to a clean "ready", staying in the current generation
+const readyFrom = (status) => ({ ...INITIAL_CONNECTION, state: "ready", generation: status.generation });
+
+/**
+ * reconnectDelay(attempt, { baseMs, maxMs })
+ * Exponential backoff for automatic reconnects: 5s, 10s, 20s... capped at maxMs.
+ */
+export function reconnectDelay(attempt, { baseMs = 5000, maxMs = 120_000 } = {}) {
+  return Math.min(baseMs * 2 ** Math.max(0, attempt - 1), maxMs);
+}
+
+/**
+ * connectionReducer(status, event)
+ * Events:
+ * - { type: "reset", generation }: provider changed, start over
+ * - { type: "check" }: a readiness check started
+ * - { type: "check-result", ok, now, generation }: readiness check finished; ignored when it
+ *   belongs to an earlier generation (a slow check for the previous provider)
+ * - { type: "request-ok" }: a conversion succeeded
+ * - { type: "request-failed", error, now }: a conversion failed (not aborted)
+ * - { type: "cooldown-over" }: a rate-limit window passed
+ * - { type: "network", online, now }: browser online/offline events
+ */
+export function connectionReducer(status, event) {
+  switch (event.type) {
+    case "reset":
+      return { ...INITIAL_CONNECTION, generation: event.generation };
+
+    case "check":
+      return { ...status, checking: true, retryAt: status.state === "rate-limited" ? status.retryAt : null };
+
+    case "check-result": {
+      if (event.generation !== status.generation) return status;
+      if (event.ok) return readyFrom(status);
+      const attempt = status.attempt + 1;
+      return {
+        ...status,
+        state: "offline",
+        checking: false,
+        attempt,
+        retryAt: event.now + reconnectDelay(attempt),
+        message: "Provider not reachable",
+      };
+    }
+
+    case "request-ok":
+      return status.state === "ready" && !status.failures ? status : readyFrom(status);
+
+    case "request-failed": {
+      if (classifyError(event.error) === "rate-limit") {
+        const waitMs = event.error?.retryAfterMs > 0 ? event.error.retryAfterMs : DEFAULT_RATE_LIMIT_MS;
+        return { ...status, state: "rate-limited", retryAt: event.now + waitMs, message: "Provider rate limit reached" };
+      }
+      const failures = status.failures + 1;
+      const message = event.error?.message || String(event.error);
+      if (failures >= FAILURES_BEFORE_OFFLINE) {
+        return { ...status, state: "offline", failures, attempt: 1, retryAt: event.now + reconnectDelay(1), message };
+      }
+      return { ...status, state: "degraded", failures, message };
+    }
+
+    case "cooldown-over":
+      return status.state === "rate-limited" ? { ...status, state: "degraded", retryAt: null, message: "Recovering from rate limit" } : status;
+
+    case "network":
+      if (event.online) return status.state === "offline" ? { ...status, retryAt: event.now } : status;
+      return { ...status, state: "offline", retryAt: null, message: "Browser is offline" };
+
+    default:
+      return status;
+  }
+}
@@ -0,0 +1,107 @@
+// src/utils/connection.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { CONNECTION_STATES, INITIAL_CONNECTION, connectionReducer, reconnectDelay } from "./connection.js";
+import { ProviderError } from "./requestPolicy.js";
+
+// folds events over the reducer, starting from a reset to `generation`
+function replay(events, generation = 1) {
+  return events.reduce(connectionReducer, connectionReducer(INITIAL_CONNECTION, { type: "reset", generation }));
+}
+
+const networkError = new TypeError("Failed to fetch");
+
+test("reconnectDelay doubles from 5s and caps at the maximum", () => {
+  assert.deepEqual([1, 2, 3, 4].map((n) => reconnectDelay(n)), [5000, 10_000, 20_000, 40_000]);
+  assert.equal(reconnectDelay(0), 5000);
+  assert.equal(reconnectDelay(10), 120_000);
+  assert.equal(reconnectDelay(3, { baseMs: 100, maxMs: 300 }), 300);
+});
+
+test("a successful readiness check makes the connection ready", () => {
+  const status = replay([{ type: "check" }, { type: "check-result", ok: true, now: 0, generation: 1 }]);
+  assert.equal(status.state, "ready");
+  assert.equal(status.checking, false);
+  assert.equal(status.generation, 1);
+  assert.equal(CONNECTION_STATES[status.state].canConvert, true);
+});
+
+test("a failed check goes offline with a growing backoff", () => {
+  let status = replay([{ type: "check" }, { type: "check-result", ok: false, now: 1000, generation: 1 }]);
+  assert.deepEqual([status.state, status.attempt, status.retryAt, status.checking], ["offline", 1, 6000, false]);
+  assert.equal(CONNECTION_STATES.offline.canConvert, false);
+
+  status = [{ type: "check" }, { type: "check-result", ok: false, now: 6000, generation: 1 }].reduce(connectionReducer, status);
+  assert.deepEqual([status.attempt, status.retryAt], [2, 16_000]);
+
+  status = [{ type: "check" }, { type: "check-result", ok: true, now: 16_000, generation: 1 }].reduce(connectionReducer, status);
+  assert.deepEqual([status.state, status.attempt, status.retryAt], ["ready", 0, null]);
+});
+
+test("a check result from an earlier generation is ignored", () => {
+  // provider switched (generation 2) while the check for generation 1 was still running
+  const current = replay([{ type: "check" }], 2);
+  assert.equal(connectionReducer(current, { type: "check-result", ok: false, now: 0, generation: 1 }), current);
+  assert.equal(connectionReducer(current, { type: "check-result", ok: true, now: 0, generation: 1 }), current);
+  assert.equal(connectionReducer(current, { type: "check-result", ok: true, now: 0, generation: 2 }).state, "ready");
+});
+
+test("reset starts over in the new generation", () => {
+  const offline = replay([{ type: "check-result", ok: false, now: 0, generation: 1 }]);
+  assert.deepEqual(connectionReducer(offline, { type: "reset", generation: 2 }), { ...INITIAL_CONNECTION, generation: 2 });
+});
+
+test("failed requests degrade, then go offline after three in a row", () => {
+  const ready = replay([{ type: "check-result", ok: true, now: 0, generation: 1 }]);
+  let status = connectionReducer(ready, { type: "request-failed", error: networkError, now: 100 });
+  assert.deepEqual([status.state, status.failures, status.message], ["degraded", 1, "Failed to fetch"]);
+  assert.equal(CONNECTION_STATES.degraded.canConvert, true);
+
+  status = connectionReducer(status, { type: "request-failed", error: networkError, now: 200 });
+  status = connectionReducer(status, { type: "request-failed", error: networkError, now: 300 });
+  assert.deepEqual([status.state, status.failures, status.attempt, status.retryAt], ["offline", 3, 1, 5300]);
+});
+
+test("a successful request recovers a degraded connection and leaves a ready one alone", () => {
+  const ready = replay([{ type: "check-result", ok: true, now: 0, generation: 1 }]);
+  assert.equal(connectionReducer(ready, { type: "request-ok" }), ready);
+
+  const degraded = connectionReducer(ready, { type: "request-failed", error: networkError, now: 0 });
+  const recovered = connectionReducer(degraded, { type: "request-ok" });
+  assert.deepEqual(recovered, { ...INITIAL_CONNECTION, state: "ready", generation: 1 });
+});
+
+test("a rate limit pauses until retryAfter, then the cooldown degrades the connection", () => {
+  const ready = replay([{ type: "check-result", ok: true, now: 0, generation: 1 }]);
+  let status = connectionReducer(ready, { type: "request-failed", error: new ProviderError("rate-limit", "slow down", { retryAfterMs: 2000 }), now: 500 });
+  assert.deepEqual([status.state, status.retryAt], ["rate-limited", 2500]);
+  assert.equal(CONNECTION_STATES["rate-limited"].canConvert, false);
+
+  // a check during the cooldown keeps its end time
+  assert.equal(connectionReducer(status, { type: "check" }).retryAt, 2500);
+
+  status = connectionReducer(status, { type: "cooldown-over" });
+  assert.deepEqual([status.state, status.retryAt], ["degraded", null]);
+  assert.equal(connectionReducer(ready, { type: "cooldown-over" }), ready);
+});
+
+test("a rate limit without retryAfter waits the default 30 seconds", () => {
+  const ready = replay([{ type: "check-result", ok: true, now: 0, generation: 1 }]);
+  const status = connectionReducer(ready, { type: "request-failed", error: { status: 429, message: "Too Many Requests" }, now: 0 });
+  assert.deepEqual([status.state, status.retryAt], ["rate-limited", 30_000]);
+});
+
+test("browser offline/online events", () => {
+  const ready = replay([{ type: "check-result", ok: true, now: 0, generation: 1 }]);
+  const offline = connectionReducer(ready, { type: "network", online: false, now: 10 });
+  assert.deepEqual([offline.state, offline.retryAt, offline.message], ["offline", null, "Browser is offline"]);
+  // coming back online schedules an immediate reconnect
+  assert.equal(connectionReducer(offline, { type: "network", online: true, now: 20 }).retryAt, 20);
+  assert.equal(connectionReducer(ready, { type: "network", online: true, now: 20 }), ready);
+});
+
+test("unknown events leave the state alone", () => {
+  const ready = replay([{ type: "check-result", ok: true, now: 0, generation: 1 }]);
+  assert.equal(connectionReducer(ready, { type: "nonsense" }), ready);
+});
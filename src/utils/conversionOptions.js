@@ -0,0 +1,79 @@
+// src/utils/conversionOptions.js
+// Idiom and style options for the target language. Saved per target language in
+// settings.targetOptions and turned into prompt rules by describeOptions.
+
+import { getLanguage } from "./languages.js";
+
+// "keep" / "" always mean "no instruction": the prompt stays as it was without options
+export const DEFAULT_OPTIONS = {
+  version: "",
+  asyncStyle: "keep",
+  naming: "keep",
+  typing: "keep",
+  comments: "preserve",
+};
+
+export const NAMING_CHOICES = [
+  { value: "keep", label: "Keep names" },
+  { value: "idiomatic", label: "Idiomatic names" },
+];
+
+export const TYPING_CHOICES = [
+  { value: "keep", label: "Types as source" },
+  { value: "add", label: "Add type hints" },
+  { value: "none", label: "No types" },
+];
+
+export const COMMENT_CHOICES = [
+  { value: "preserve", label: "Keep comments" },
+  { value: "docs", label: "Doc comments only" },
+  { value: "none", label: "Drop comments" },
+];
+
+/**
+ * optionFields(lang)
+ * Which options make sense for a target language, with its version and async choices.
+ */
+export function optionFields(lang) {
+  const entry = getLanguage(lang);
+  return {
+    versions: entry?.versions ?? [],
+    asyncStyles: entry?.asyncStyles ?? [],
+    typing: Boolean(entry?.typeHints),
+  };
+}
+
+/**
+ * optionsFor(targetOptions, lang)
+ * Saved options for `lang` merged over the defaults.
+ */
+export function optionsFor(targetOptions, lang) {
+  return { ...DEFAULT_OPTIONS, ...(targetOptions?.[lang] || {}) };
+}
+
+/**
+ * describeOptions(options, targetLang)
+ * Prompt rules for the chosen options; options that don't apply to `targetLang` are ignored.
+ */
+export function describeOptions(options, targetLang) {
+  if (!options) return [];
+  const { versions, asyncStyles, typing } = optionFields(targetLang);
+  const lines = [];
+
+  if (options.version && versions.includes(options.version)) {
+    lines.push(`Target ${targetLang} ${options.version}; don't use features from later versions.`);
+  }
+  if (options.asyncStyle !== "keep" && asyncStyles.includes(options.asyncStyle)) {
+    lines.push(`Express asynchronous or concurrent code with ${options.asyncStyle}.`);
+  }
+  if (options.naming === "idiomatic") {
+    // overrides the template's "preserve function names"
+    lines.push(`Rename identifiers to ${targetLang} naming conventions (snake_case, camelCase, ... as the language expects).`);
+  }
+  if (typing && options.typing === "add") lines.push("Add type annotations to every function signature and public variable.");
+  if (typing && options.typing === "none") lines.push("Don't add type annotations.");
+  if (options.comments === "docs") lines.push("Keep only documentation comments; drop inline comments.");
+  if (options.comments === "none") lines.push("Remove all comments.");
+
+  return lines;
+}
@@ -0,0 +1,81 @@
+// src/utils/convert.js
+// Prompt building and the non-streaming conversion call shared by single and batch modes.
+
+import { extractCode } from "./response.js";
+import { scanConversion } from "./security.js";
+import { ProviderError } from "./requestPolicy.js";
+import { validateSyntax, formatErrors } from "./validate.js";
+import { DEFAULT_PROMPTS, activeTemplate, formatRules, renderTemplate, rulesFor } from "./prompts.js";
+import { describeOptions } from "./conversionOptions.js";
+
+/**
+ * buildConversionPrompt({ sourceLang, targetLang, code, prompts, options, context })
+ * The translator prompt sent to the provider: the active template from `prompts`
+ * (settings.prompts, see utils/prompts.js) with the target options and the pair's rules filled in.
+ * `context` (e.g. the chunk description from utils/chunking.js) is appended to the rules.
+ */
+export function buildConversionPrompt({ sourceLang, targetLang, code, prompts = DEFAULT_PROMPTS, options, context }) {
+  const rules =
+    formatRules([...describeOptions(options, targetLang), ...rulesFor(prompts.ruleSets, sourceLang, targetLang)], targetLang) +
+    (context ? `\n${context}\n` : "");
+  return renderTemplate(activeTemplate(prompts).body, { sourceLang, targetLang, code, rules }).trim();
+}
+
+/**
+ * convertCode(provider, { sourceLang, targetLang, code, prompts, options, context, signal })
+ * One-shot conversion. Resolves to { code, discarded, security } (see utils/response.js and
+ * scanConversion in utils/security.js) or throws on an empty reply.
+ */
+export async function convertCode(provider, { sourceLang, targetLang, code, prompts, options, context, signal }) {
+  const prompt = buildConversionPrompt({ sourceLang, targetLang, code, prompts, options, context });
+  const reply = await provider.chat(prompt, { signal });
+  if (!reply || !reply.trim()) throw new ProviderError("empty", "Empty AI response.");
+  const { code: cleaned, discarded } = extractCode(reply, targetLang);
+  const security = scanConversion({ input: code, sourceLang, output: cleaned, targetLang });
+  return { code: cleaned, discarded, security };
+}
+
+/**
+ * buildRepairPrompt({ sourceLang, targetLang, source, output, errors })
+ * Follow-up prompt that feeds parser errors back to the model.
+ */
+export function buildRepairPrompt({ sourceLang, targetLang, source, output, errors }) {
+  return `
+You translated ${sourceLang} code to ${targetLang}, but the result does not parse.
+Fix the syntax errors below and return ONLY the corrected ${targetLang} code (raw or inside a single code block).
+Keep the behavior identical to the original ${sourceLang} code.
+
+Syntax errors:
+${formatErrors(errors)}
+
+Original ${sourceLang} code:
+${source}
+
+Your ${targetLang} code:
+${output}
+      `.trim();
+}
+
+/**
+ * repairSyntax(provider, { sourceLang, targetLang, source, output, maxAttempts, signal, onAttempt })
+ * Re-prompts the model with the parser errors until the output parses or the budget runs out.
+ * Keeps the attempt with the fewest errors. onAttempt(n, errors) fires before each request.
+ * Resolves to { code, validation, attempts }.
+ */
+export async function repairSyntax(provider, { sourceLang, targetLang, source, output, maxAttempts = 1, signal, onAttempt }) {
+  let best = { code: output, validation: validateSyntax(output, targetLang) };
+  let attempts = 0;
+
+  while (best.validation.status === "invalid" && attempts < maxAttempts && !signal?.aborted) {
+    attempts++;
+    onAttempt?.(attempts, best.validation.errors);
+    const prompt = buildRepairPrompt({ sourceLang, targetLang, source, output: best.code, errors: best.validation.errors });
+    const reply = await provider.chat(prompt, { signal });
+    const { code } = extractCode(reply || "", targetLang);
+    if (!code) continue;
+    const validation = validateSyntax(code, targetLang);
+    if (validation.errors.length < best.validation.errors.length) best = { code, validation };
+  }
+
+  return { ...best, attempts };
+}
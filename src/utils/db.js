@@ -0,0 +1,76 @@
+// src/utils/db.js
+// Minimal promise wrapper around the app's IndexedDB database.
+
+const DB_NAME = "devtranspiler";
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+/**
+ * openDatabase()
+ * Opens (and upgrades) the database once per page; later calls reuse the connection.
+ */
+export function openDatabase() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains("history")) {
+        const store = db.createObjectStore("history", { keyPath: "id" });
+        store.createIndex("createdAt", "createdAt");
+      }
+      // v2: response cache (utils/cache.js)
+      if (!db.objectStoreNames.contains("cache")) {
+        const store = db.createObjectStore("cache", { keyPath: "key" });
+        store.createIndex("usedAt", "usedAt");
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  // allow a retry after a failed open
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+/**
+ * requestToPromise(request)
+ * Resolves with request.result, rejects with request.error.
+ */
+export function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * withStore(storeName, mode, fn)
+ * Runs fn(store) inside a transaction and resolves with fn's result once the
+ * transaction commits.
+ */
+export async function withStore(storeName, mode, fn) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    let result;
+    Promise.resolve(fn(tx.objectStore(storeName)))
+      .then((value) => {
+        result = value;
+      })
+      .catch((err) => {
+        tx.abort();
+        reject(err);
+      });
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error ?? new Error("Transaction aborted"));
+  });
+}
@@ -0,0 +1,58 @@
+// src/utils/detect.js
+// Offline source-language detection: weighted regex signals (from the language registry)
+// plus trial parsing with the bundled Lezer grammars for the front-runners.
+
+import { validateSyntax, canValidate } from "./validate.js";
+import { LANGUAGE_NAMES, getSignals } from "./languages.js";
+
+const MIN_CHARS = 20;
+const PARSE_CANDIDATES = 3;
+
+function signalScore(code, signals) {
+  return signals.reduce((sum, [re, weight]) => (re.test(code) ? sum + weight : sum), 0);
+}
+
+// TypeScript is a superset of JavaScript: it only competes when TS-only syntax is
+// present, and then plain JavaScript is ruled out.
+function scoreLanguage(code, lang) {
+  const tsOnly = signalScore(code, getSignals("TypeScript"));
+  if (lang === "TypeScript") return tsOnly > 0 ? tsOnly + signalScore(code, getSignals("JavaScript")) : 0;
+  if (lang === "JavaScript" && tsOnly > 0) return 0;
+  return signalScore(code, getSignals(lang));
+}
+
+// 0..3 bonus for a clean parse, scaled down by error density
+function parseBonus(code, lang) {
+  if (!canValidate(lang)) return 0;
+  const { errors } = validateSyntax(code, lang);
+  const lines = Math.max(1, code.split("\n").length);
+  return 3 * Math.max(0, 1 - (errors.length * 5) / lines);
+}
+
+/**
+ * detectLanguage(code, languages)
+ * Returns { lang, confidence (0..1), ranked: [{ lang, score }] } or null when the snippet is
+ * too short or nothing matched. `languages` limits the candidates (defaults to all known).
+ */
+export function detectLanguage(code, languages = LANGUAGE_NAMES) {
+  if (!code || code.replace(/\s/g, "").length < MIN_CHARS) return null;
+
+  const ranked = languages
+    .filter((lang) => getSignals(lang).length > 0)
+    .map((lang) => ({ lang, score: scoreLanguage(code, lang) }))
+    .sort((a, b) => b.score - a.score);
+
+  // trial-parse only the front-runners; parsing everything would be wasted work
+  for (const entry of ranked.slice(0, PARSE_CANDIDATES)) {
+    if (entry.score > 0) entry.score += parseBonus(code, entry.lang);
+  }
+  ranked.sort((a, b) => b.score - a.score);
+
+  const [top, second] = ranked;
+  if (!top || top.score <= 0) return null;
+
+  // share of the top two, damped when the evidence itself is thin
+  const share = top.score / (top.score + Math.max(0, second?.score ?? 0));
+  const strength = Math.min(1, top.score / 6);
+  return { lang: top.lang, confidence: Math.round(share * strength * 100) / 100, ranked };
+}
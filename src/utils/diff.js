@@ -0,0 +1,25 @@
+// src/utils/diff.js
+// Hunk extraction for the diff view, built on @codemirror/merge's chunking.
+
+import { Chunk } from "@codemirror/merge";
+import { Text } from "@codemirror/state";
+
+/**
+ * diffHunks(original, modified)
+ * Returns [{ original, modified, startLineA, startLineB }] for every changed region,
+ * with the full lines each side of the hunk covers.
+ */
+export function diffHunks(original = "", modified = "") {
+  const a = Text.of(original.split("\n"));
+  const b = Text.of(modified.split("\n"));
+  return Chunk.build(a, b).map((chunk) => {
+    // toA/toB may sit one past the end of the doc
+    const slice = (doc, from, to) => (to > from ? doc.sliceString(from, Math.min(to, doc.length)).replace(/\n$/, "") : "");
+    return {
+      original: slice(a, chunk.fromA, chunk.toA),
+      modified: slice(b, chunk.fromB, chunk.toB),
+      startLineA: a.lineAt(Math.min(chunk.fromA, a.length)).number,
+      startLineB: b.lineAt(Math.min(chunk.fromB, b.length)).number,
+    };
+  });
+}
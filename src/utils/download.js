@@ -0,0 +1,51 @@
+// src/utils/download.js
+// Save converted code to disk via a temporary object URL.
+
+import JSZip from "jszip";
+
+function saveBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  // give the browser a tick to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * downloadText(filename, text)
+ * Downloads a single text file.
+ */
+export function downloadText(filename, text = "") {
+  saveBlob(new Blob([text], { type: "text/plain;charset=utf-8" }), filename);
+}
+
+/**
+ * downloadZip(filename, files)
+ * Bundles [{ path, content }] into a .zip (folders preserved) and downloads it.
+ */
+export async function downloadZip(filename, files) {
+  const zip = new JSZip();
+  for (const file of files) zip.file(file.path, file.content);
+  const blob = await zip.generateAsync({ type: "blob", compression: "DEFLATE" });
+  saveBlob(blob, filename);
+}
+
+/**
+ * uniquePaths(files)
+ * Suffixes duplicate paths ("converted.py", "converted-2.py") so a zip doesn't overwrite entries.
+ */
+export function uniquePaths(files) {
+  const seen = new Map();
+  return files.map((file) => {
+    const count = (seen.get(file.path) ?? 0) + 1;
+    seen.set(file.path, count);
+    if (count === 1) return file;
+    const dot = file.path.lastIndexOf(".");
+    const path = dot > 0 ? `${file.path.slice(0, dot)}-${count}${file.path.slice(dot)}` : `${file.path}-${count}`;
+    return { ...file, path };
+  });
+}
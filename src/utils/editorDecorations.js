@@ -0,0 +1,79 @@
+// src/utils/editorDecorations.js
+// Small CodeMirror extensions for marking up the read-only/input editors.
+
+import { Decoration, EditorView, hoverTooltip } from "@codemirror/view";
+
+/**
+ * highlightLines(lines, className)
+ * Adds `className` to the given 1-based line numbers (out-of-range lines are ignored).
+ */
+export function highlightLines(lines = [], className = "cm-line-flagged") {
+  const deco = Decoration.line({ class: className });
+  return EditorView.decorations.of((view) => {
+    const doc = view.state.doc;
+    const ranges = [...new Set(lines)]
+      .filter((n) => n >= 1 && n <= doc.lines)
+      .sort((a, b) => a - b)
+      .map((n) => deco.range(doc.line(n).from));
+    return Decoration.set(ranges);
+  });
+}
+
+function lineRange(doc, from, to) {
+  return { start: doc.lineAt(from).number, end: doc.lineAt(to).number };
+}
+
+/**
+ * trackLines({ onHover, onSelect })
+ * Reports the line under the mouse (null when it leaves the editor) and the lines of the
+ * main selection, both as { start, end }. Callbacks only fire when the lines change.
+ */
+export function trackLines({ onHover, onSelect }) {
+  let hovered = null;
+  const hover = (range) => {
+    if (hovered?.start === range?.start && hovered?.end === range?.end) return;
+    hovered = range;
+    onHover?.(range);
+  };
+
+  return [
+    EditorView.domEventHandlers({
+      mousemove(event, view) {
+        const pos = view.posAtCoords({ x: event.clientX, y: event.clientY });
+        const line = pos == null ? null : view.state.doc.lineAt(pos).number;
+        hover(line ? { start: line, end: line } : null);
+      },
+      mouseleave() {
+        hover(null);
+      },
+    }),
+    EditorView.updateListener.of((update) => {
+      if (!update.selectionSet || !update.view.hasFocus) return;
+      const { from, to } = update.state.selection.main;
+      onSelect?.(lineRange(update.state.doc, from, to));
+    }),
+  ];
+}
+
+/**
+ * lineTooltips(textForLine)
+ * Hover tooltip with textForLine(lineNumber); no tooltip when it returns "".
+ */
+export function lineTooltips(textForLine) {
+  return hoverTooltip((view, pos) => {
+    const line = view.state.doc.lineAt(pos);
+    const text = textForLine(line.number);
+    if (!text) return null;
+    return {
+      pos: line.from,
+      end: line.to,
+      above: true,
+      create() {
+        const dom = document.createElement("div");
+        dom.className = "cm-line-note";
+        dom.textContent = text;
+        return { dom };
+      },
+    };
+  });
+}
@@ -0,0 +1,115 @@
+// src/utils/equivalence.js
+// Behavioral equivalence checks: call the same function in the source and the converted
+// code (through the sandbox) and compare return values.
+
+import { extractFunctions } from "./roundtrip.js";
+import { isRunnable } from "./sandbox.js";
+
+export const COMPARE_WITH_SOURCE = "source";
+
+/**
+ * parseJsonField(text, fallback)
+ * Parses a JSON text field; blank text yields `fallback`. Throws with a readable message.
+ */
+export function parseJsonField(text, fallback) {
+  if (!text || !text.trim()) return fallback;
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error(`Invalid JSON: ${text.trim().slice(0, 40)}`);
+  }
+}
+
+const normalizeName = (name) => name.replace(/_/g, "").toLowerCase();
+
+/**
+ * resolveFunctionName(name, code, lang)
+ * Finds the function in `code` that corresponds to `name`, tolerating snake_case/camelCase
+ * renames. Falls back to `name` itself when nothing better is found.
+ */
+export function resolveFunctionName(name, code, lang) {
+  const fns = extractFunctions(code, lang);
+  if (!fns) return name;
+  if (fns.some((f) => f.name === name)) return name;
+  return fns.find((f) => normalizeName(f.name) === normalizeName(name))?.name ?? name;
+}
+
+/**
+ * valuesEqual(a, b)
+ * Deep equality for JSON values; numbers compare with a small relative tolerance so
+ * float formatting differences between runtimes don't fail a test.
+ */
+export function valuesEqual(a, b) {
+  if (typeof a === "number" && typeof b === "number") {
+    return a === b || Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(a), Math.abs(b));
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((v, i) => valuesEqual(v, b[i]));
+  }
+  if (a && b && typeof a === "object" && typeof b === "object" && !Array.isArray(a) && !Array.isArray(b)) {
+    const ka = Object.keys(a);
+    const kb = Object.keys(b);
+    return ka.length === kb.length && ka.every((k) => Object.hasOwn(b, k) && valuesEqual(a[k], b[k]));
+  }
+  // JSON has no undefined; treat Python None / JS null / undefined alike
+  if (a == null && b == null) return true;
+  return a === b;
+}
+
+async function callIn(sandbox, { lang, code }, name, args, timeoutMs) {
+  const res = await sandbox.run({ lang, code, timeoutMs, call: { name, args } });
+  return res.error ? { error: res.timedOut ? "timeout" : res.error.split("\n")[0] } : { value: res.result };
+}
+
+/**
+ * runEquivalence({ cases, source, target, sandbox, timeoutMs, onResult })
+ * cases: [{ id, name, args (JSON text), expected (JSON text or COMPARE_WITH_SOURCE) }]
+ * source/target: { lang, code }
+ * Names are trimmed; in the converted code the name goes through resolveFunctionName.
+ * Calls onResult(result) as each case finishes and resolves to all results:
+ *   { id, pass, reason, sourceResult, targetResult, targetName }
+ */
+export async function runEquivalence({ cases, source, target, sandbox, timeoutMs = 5000, onResult }) {
+  const results = [];
+  for (const testCase of cases) {
+    let result;
+    try {
+      const args = parseJsonField(testCase.args, []);
+      if (!Array.isArray(args)) throw new Error("Arguments must be a JSON array");
+      const compareSource = testCase.expected === COMPARE_WITH_SOURCE;
+      const expected = compareSource ? undefined : parseJsonField(testCase.expected, null);
+      const name = testCase.name.trim();
+      const targetName = resolveFunctionName(name, target.code, target.lang);
+
+      // the source is run whenever the browser can execute it, so both columns are filled
+      if (compareSource && !isRunnable(source.lang)) throw new Error(`${source.lang} source can't be executed`);
+      const sourceResult = isRunnable(source.lang) ? await callIn(sandbox, source, name, args, timeoutMs) : null;
+      const targetResult = await callIn(sandbox, target, targetName, args, timeoutMs);
+
+      let pass;
+      let reason = "";
+      if (targetResult.error) {
+        pass = false;
+        reason = `converted: ${targetResult.error}`;
+      } else if (compareSource) {
+        if (sourceResult.error) {
+          pass = false;
+          reason = `source: ${sourceResult.error}`;
+        } else {
+          pass = valuesEqual(sourceResult.value, targetResult.value);
+          if (!pass) reason = "results differ";
+        }
+      } else {
+        pass = valuesEqual(expected, targetResult.value);
+        if (!pass) reason = "unexpected result";
+        else if (sourceResult && !sourceResult.error && !valuesEqual(expected, sourceResult.value)) reason = "source disagrees with expected";
+      }
+      result = { id: testCase.id, pass, reason, sourceResult, targetResult, targetName, expected };
+    } catch (err) {
+      result = { id: testCase.id, pass: false, reason: err?.message || String(err) };
+    }
+    results.push(result);
+    onResult?.(result);
+  }
+  return results;
+}
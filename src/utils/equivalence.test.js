@@ -0,0 +1,93 @@
+// src/utils/equivalence.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { COMPARE_WITH_SOURCE, parseJsonField, resolveFunctionName, runEquivalence, valuesEqual } from "./equivalence.js";
+
+test("valuesEqual tolerates float formatting differences only", () => {
+  assert.ok(valuesEqual(0.1 + 0.2, 0.3));
+  assert.ok(valuesEqual(1e12 + 1e-4, 1e12));
+  assert.ok(!valuesEqual(0.3, 0.31));
+  assert.ok(!valuesEqual(1, "1"));
+});
+
+test("valuesEqual treats null and undefined alike", () => {
+  assert.ok(valuesEqual(null, undefined));
+  assert.ok(valuesEqual(undefined, null));
+  assert.ok(!valuesEqual(null, 0));
+  assert.ok(!valuesEqual(undefined, ""));
+});
+
+test("valuesEqual compares nested arrays and objects deeply", () => {
+  assert.ok(valuesEqual({ a: [1, { b: 2.0000000000001 }], c: null }, { c: null, a: [1, { b: 2 }] }));
+  assert.ok(!valuesEqual({ a: [1, 2] }, { a: [1, 2, 3] }));
+  assert.ok(!valuesEqual({ a: 1 }, { a: 1, b: 2 }));
+  assert.ok(!valuesEqual({ a: 1 }, { b: 1 }));
+  assert.ok(!valuesEqual([1], { 0: 1 }));
+});
+
+test("parseJsonField falls back on blank text and explains bad JSON", () => {
+  assert.deepEqual(parseJsonField("  ", []), []);
+  assert.deepEqual(parseJsonField("[1, 2]", []), [1, 2]);
+  assert.throws(() => parseJsonField("[1,", []), /Invalid JSON: \[1,/);
+});
+
+test("resolveFunctionName follows snake_case/camelCase renames", () => {
+  const python = "def add_numbers(a, b):\n    return a + b\n";
+  assert.equal(resolveFunctionName("addNumbers", python, "Python"), "add_numbers");
+  assert.equal(resolveFunctionName("missing", python, "Python"), "missing");
+});
+
+// stands in for utils/sandbox.js: answers from a table keyed by language and function name
+function fakeSandbox(answers) {
+  const calls = [];
+  return {
+    calls,
+    async run({ lang, call }) {
+      calls.push({ lang, name: call.name, args: call.args });
+      const answer = answers[`${lang}:${call.name}`];
+      return answer ?? { error: `ReferenceError: ${call.name} is not defined` };
+    },
+  };
+}
+
+const source = { lang: "JavaScript", code: "function addNumbers(a, b) { return a + b; }" };
+const target = { lang: "Python", code: "def add_numbers(a, b):\n    return a + b\n" };
+
+test("runEquivalence trims function names before calling them", async () => {
+  const sandbox = fakeSandbox({ "JavaScript:addNumbers": { result: 3 }, "Python:add_numbers": { result: 3 } });
+  const [result] = await runEquivalence({
+    cases: [{ id: "1", name: "  addNumbers ", args: "[1, 2]", expected: COMPARE_WITH_SOURCE }],
+    source,
+    target,
+    sandbox,
+  });
+  assert.equal(result.pass, true);
+  assert.equal(result.targetName, "add_numbers");
+  assert.deepEqual(sandbox.calls.map((c) => c.name), ["addNumbers", "add_numbers"]);
+});
+
+test("runEquivalence reports differing results and bad arguments per case", async () => {
+  const sandbox = fakeSandbox({ "JavaScript:addNumbers": { result: 3 }, "Python:add_numbers": { result: 4 } });
+  const seen = [];
+  const results = await runEquivalence({
+    cases: [
+      { id: "a", name: "addNumbers", args: "[1, 2]", expected: COMPARE_WITH_SOURCE },
+      { id: "b", name: "addNumbers", args: "{}", expected: COMPARE_WITH_SOURCE },
+      { id: "c", name: "addNumbers", args: "[1, 2]", expected: "4" },
+    ],
+    source,
+    target,
+    sandbox,
+    onResult: (r) => seen.push(r.id),
+  });
+  assert.deepEqual(seen, ["a", "b", "c"]);
+  assert.deepEqual(
+    results.map((r) => [r.pass, r.reason]),
+    [
+      [false, "results differ"],
+      [false, "Arguments must be a JSON array"],
+      [true, "source disagrees with expected"],
+    ]
+  );
+});
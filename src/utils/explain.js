@@ -0,0 +1,118 @@
+// src/utils/explain.js
+// Optional second pass that asks the model how it translated the code: a list of
+// source line ranges, the target lines they became and a short rationale for each.
+
+import { extractCode } from "./response.js";
+import { ProviderError } from "./requestPolicy.js";
+
+function numbered(code) {
+  return code
+    .split("\n")
+    .map((line, i) => `${i + 1}| ${line}`)
+    .join("\n");
+}
+
+/**
+ * buildExplanationPrompt({ sourceLang, targetLang, source, output })
+ * Both listings are line-numbered so the model can refer to them; the reply must be JSON.
+ */
+export function buildExplanationPrompt({ sourceLang, targetLang, source, output }) {
+  return `You are reviewing a ${sourceLang} → ${targetLang} code conversion.
+Map each part of the source to the converted code that implements it and explain the translation decisions.
+Return ONLY JSON, no prose and no code fences, in exactly this shape:
+{"mappings":[{"source":[firstLine,lastLine],"target":[firstLine,lastLine],"note":"rationale"}]}
+
+Rules:
+- Line numbers are 1-based and refer to the numbered listings below (the "N| " prefix is not part of the code).
+- Cover every non-blank source line; a range can be one line or a whole block.
+- Prefer small ranges (a statement, a signature, a loop) over whole functions when the translation differs per statement.
+- "note" is one short sentence about why the target construct was chosen, e.g. "Java checked exception → Kotlin has none". Use "" for a direct translation.
+
+Source (${sourceLang}):
+${numbered(source)}
+
+Converted (${targetLang}):
+${numbered(output)}`;
+}
+
+// [3, 5], [3], 3, "3-5", { start, end } -> { start, end }
+function toRange(value, maxLine) {
+  let start;
+  let end;
+  if (Array.isArray(value)) [start, end = start] = value;
+  else if (typeof value === "number") start = end = value;
+  else if (typeof value === "string") [start, end = start] = value.split(/\s*[-–:]\s*/).map(Number);
+  else if (value && typeof value === "object") ({ start, end = start } = value);
+
+  start = Math.round(Number(start));
+  end = Math.round(Number(end));
+  if (!Number.isFinite(start) || !Number.isFinite(end)) return null;
+  if (end < start) [start, end] = [end, start];
+  if (end < 1 || start > maxLine) return null;
+  return { start: Math.max(1, start), end: Math.min(maxLine, end) };
+}
+
+function parseJson(text) {
+  const { code } = extractCode(text);
+  const start = code.search(/[[{]/);
+  const end = Math.max(code.lastIndexOf("}"), code.lastIndexOf("]"));
+  if (start < 0 || end < start) throw new Error("The explanation reply contained no JSON.");
+  try {
+    return JSON.parse(code.slice(start, end + 1));
+  } catch {
+    throw new Error("The explanation reply wasn't valid JSON.");
+  }
+}
+
+/**
+ * parseExplanation(text, { sourceLines, targetLines })
+ * Validated mappings [{ source: { start, end }, target: { start, end }, note }] sorted by source
+ * line. Ranges are clamped to the listings; entries that can't be placed are dropped.
+ * Throws when the reply has no usable JSON.
+ */
+export function parseExplanation(text, { sourceLines, targetLines }) {
+  const data = parseJson(text);
+  const items = Array.isArray(data) ? data : data?.mappings;
+  if (!Array.isArray(items)) throw new Error('The explanation reply had no "mappings" list.');
+
+  return items
+    .map((item) => ({
+      source: toRange(item?.source ?? item?.sourceLines, sourceLines),
+      target: toRange(item?.target ?? item?.targetLines, targetLines),
+      note: typeof item?.note === "string" ? item.note.trim() : "",
+    }))
+    .filter((m) => m.source && m.target)
+    .sort((a, b) => a.source.start - b.source.start || a.source.end - b.source.end);
+}
+
+/**
+ * explainConversion(provider, { sourceLang, targetLang, source, output, signal })
+ * Runs the explanation pass. Resolves to the parsed mappings (see parseExplanation).
+ */
+export async function explainConversion(provider, { sourceLang, targetLang, source, output, signal }) {
+  const prompt = buildExplanationPrompt({ sourceLang, targetLang, source, output });
+  const reply = await provider.chat(prompt, { signal });
+  if (!reply || !reply.trim()) throw new ProviderError("empty", "Empty AI response.");
+  return parseExplanation(reply, { sourceLines: source.split("\n").length, targetLines: output.split("\n").length });
+}
+
+/**
+ * mappingsAt(mappings, range)
+ * Mappings whose source range overlaps `range` ({ start, end } lines), narrowest first.
+ */
+export function mappingsAt(mappings, range) {
+  if (!range) return [];
+  return mappings
+    .filter((m) => m.source.start <= range.end && m.source.end >= range.start)
+    .sort((a, b) => a.source.end - a.source.start - (b.source.end - b.source.start));
+}
+
+/**
+ * linesOf(ranges)
+ * Every line number covered by a list of { start, end } ranges.
+ */
+export function linesOf(ranges) {
+  const lines = new Set();
+  for (const { start, end } of ranges) for (let n = start; n <= end; n++) lines.add(n);
+  return [...lines].sort((a, b) => a - b);
+}
@@ -0,0 +1,83 @@
+// src/utils/explain.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildExplanationPrompt, explainConversion, linesOf, mappingsAt, parseExplanation } from "./explain.js";
+import { createMockProvider } from "../providers/mock.js";
+
+const size = { sourceLines: 10, targetLines: 8 };
+
+test("parseExplanation reads a well-formed reply, sorted by source line", () => {
+  const reply = JSON.stringify({
+    mappings: [
+      { source: [4, 6], target: [3, 5], note: " Loop → comprehension " },
+      { source: [1, 2], target: [1, 1], note: "" },
+    ],
+  });
+  assert.deepEqual(parseExplanation(reply, size), [
+    { source: { start: 1, end: 2 }, target: { start: 1, end: 1 }, note: "" },
+    { source: { start: 4, end: 6 }, target: { start: 3, end: 5 }, note: "Loop → comprehension" },
+  ]);
+});
+
+test("parseExplanation accepts fences, surrounding prose, a bare list and loose range shapes", () => {
+  const reply = [
+    "Here is the mapping:",
+    "```json",
+    JSON.stringify([
+      { source: 3, target: "2-4" },
+      { sourceLines: { start: 5 }, targetLines: [6] },
+      { source: "7 – 9", target: [8, 7], note: 42 },
+    ]),
+    "```",
+  ].join("\n");
+  assert.deepEqual(parseExplanation(reply, size), [
+    { source: { start: 3, end: 3 }, target: { start: 2, end: 4 }, note: "" },
+    { source: { start: 5, end: 5 }, target: { start: 6, end: 6 }, note: "" },
+    { source: { start: 7, end: 9 }, target: { start: 7, end: 8 }, note: "" },
+  ]);
+});
+
+test("parseExplanation clamps ranges to the listings and drops what can't be placed", () => {
+  const reply = JSON.stringify({
+    mappings: [
+      { source: [0, 3], target: [7, 20], note: "clamped" },
+      { source: [11, 12], target: [1, 1], note: "past the end" },
+      { source: ["a", "b"], target: [1, 1], note: "not numbers" },
+      { source: [1, 1], note: "no target" },
+      null,
+    ],
+  });
+  assert.deepEqual(parseExplanation(reply, size), [{ source: { start: 1, end: 3 }, target: { start: 7, end: 8 }, note: "clamped" }]);
+});
+
+test("parseExplanation rejects replies without usable JSON", () => {
+  assert.throws(() => parseExplanation("Sorry, I can't help with that.", size), /contained no JSON/);
+  assert.throws(() => parseExplanation('{"mappings": [{"source": [1, 2],', size), /wasn't valid JSON/);
+  assert.throws(() => parseExplanation('{"notes": []}', size), /no "mappings" list/);
+});
+
+test("buildExplanationPrompt numbers both listings", () => {
+  const prompt = buildExplanationPrompt({ sourceLang: "Java", targetLang: "Kotlin", source: "a\nb", output: "c" });
+  assert.ok(prompt.includes("Source (Java):\n1| a\n2| b\n"));
+  assert.ok(prompt.endsWith("Converted (Kotlin):\n1| c"));
+});
+
+test("explainConversion parses the provider's reply against the real line counts", async () => {
+  const provider = createMockProvider({ respond: () => '{"mappings":[{"source":[1,9],"target":[1,9],"note":"all"}]}' });
+  const mappings = await explainConversion(provider, { sourceLang: "Go", targetLang: "Rust", source: "a\nb\nc", output: "x\ny" });
+  assert.deepEqual(mappings, [{ source: { start: 1, end: 3 }, target: { start: 1, end: 2 }, note: "all" }]);
+  await assert.rejects(
+    explainConversion(createMockProvider({ respond: () => "  " }), { sourceLang: "Go", targetLang: "Rust", source: "a", output: "x" }),
+    { name: "ProviderError" }
+  );
+});
+
+test("mappingsAt returns overlapping mappings, narrowest first; linesOf expands ranges", () => {
+  const wide = { source: { start: 1, end: 10 }, target: { start: 1, end: 8 }, note: "" };
+  const narrow = { source: { start: 4, end: 5 }, target: { start: 3, end: 3 }, note: "" };
+  const elsewhere = { source: { start: 8, end: 9 }, target: { start: 6, end: 7 }, note: "" };
+  assert.deepEqual(mappingsAt([wide, narrow, elsewhere], { start: 5, end: 5 }), [narrow, wide]);
+  assert.deepEqual(mappingsAt([wide], null), []);
+  assert.deepEqual(linesOf([{ start: 3, end: 4 }, { start: 1, end: 1 }, { start: 4, end: 5 }]), [1, 3, 4, 5]);
+});
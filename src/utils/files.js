@@ -0,0 +1,113 @@
+// src/utils/files.js
+// Reading user-supplied files: folder drops, <input webkitdirectory> selections and .zip archives.
+// Every reader resolves to a flat list of { path, content } with "/"-separated relative paths.
+
+import JSZip from "jszip";
+
+const IGNORED_DIRS = new Set(["node_modules", ".git", "dist", "build", "__pycache__", ".venv", "target"]);
+const MAX_FILE_BYTES = 1_000_000; // skip huge/binary blobs
+
+function isIgnored(path) {
+  return path.split("/").some((part) => IGNORED_DIRS.has(part));
+}
+
+function readEntryFile(entry) {
+  return new Promise((resolve, reject) => entry.file(resolve, reject));
+}
+
+function readAllDirEntries(dirEntry) {
+  const reader = dirEntry.createReader();
+  const all = [];
+  return new Promise((resolve, reject) => {
+    // readEntries returns results in batches until it yields an empty array
+    function readBatch() {
+      reader.readEntries((batch) => {
+        if (!batch.length) return resolve(all);
+        all.push(...batch);
+        readBatch();
+      }, reject);
+    }
+    readBatch();
+  });
+}
+
+async function walkEntry(entry, prefix, out) {
+  const path = prefix ? `${prefix}/${entry.name}` : entry.name;
+  if (isIgnored(path)) return;
+  if (entry.isFile) {
+    const file = await readEntryFile(entry);
+    if (file.size <= MAX_FILE_BYTES) out.push({ path, content: await file.text() });
+  } else if (entry.isDirectory) {
+    for (const child of await readAllDirEntries(entry)) {
+      await walkEntry(child, path, out);
+    }
+  }
+}
+
+/**
+ * readZip(file)
+ * Extracts text files from a .zip Blob/File.
+ */
+export async function readZip(file) {
+  const zip = await JSZip.loadAsync(file);
+  const out = [];
+  for (const entry of Object.values(zip.files)) {
+    if (entry.dir || isIgnored(entry.name)) continue;
+    const content = await entry.async("string");
+    if (content.length <= MAX_FILE_BYTES) out.push({ path: entry.name, content });
+  }
+  return out;
+}
+
+/**
+ * readFileList(fileList)
+ * Reads files picked through <input type="file" webkitdirectory multiple>.
+ * A single .zip in the selection is expanded.
+ */
+export async function readFileList(fileList) {
+  const out = [];
+  for (const file of Array.from(fileList)) {
+    if (file.name.toLowerCase().endsWith(".zip")) {
+      out.push(...(await readZip(file)));
+      continue;
+    }
+    const path = file.webkitRelativePath || file.name;
+    if (isIgnored(path) || file.size > MAX_FILE_BYTES) continue;
+    out.push({ path, content: await file.text() });
+  }
+  return out;
+}
+
+/**
+ * readDataTransfer(dataTransfer)
+ * Reads a drag-and-drop payload: folders are walked recursively, zips expanded.
+ */
+export async function readDataTransfer(dataTransfer) {
+  const entries = Array.from(dataTransfer.items ?? [])
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+
+  if (!entries.length) return readFileList(dataTransfer.files);
+
+  const out = [];
+  for (const entry of entries) {
+    if (entry.isFile && entry.name.toLowerCase().endsWith(".zip")) {
+      out.push(...(await readZip(await readEntryFile(entry))));
+    } else {
+      await walkEntry(entry, "", out);
+    }
+  }
+  return out;
+}
+
+/**
+ * stripCommonRoot(files)
+ * Drops a single top-level folder shared by every path (typical for zips and folder drops).
+ */
+export function stripCommonRoot(files) {
+  if (!files.length) return files;
+  const first = files[0].path.split("/")[0];
+  const shared = files.every((f) => f.path.includes("/") && f.path.split("/")[0] === first);
+  if (!shared) return files;
+  return files.map((f) => ({ ...f, path: f.path.slice(first.length + 1) }));
+}
@@ -0,0 +1,132 @@
+// src/utils/history.js
+// Conversion history persisted in IndexedDB (see utils/db.js).
+
+import { withStore, requestToPromise } from "./db.js";
+
+const STORE = "history";
+const EXPORT_FORMAT = "devtranspiler-history";
+
+function newId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Keep only known fields so imported files can't smuggle arbitrary data in
+function normalizeEntry(raw) {
+  return {
+    id: typeof raw.id === "string" && raw.id ? raw.id : newId(),
+    sourceLang: String(raw.sourceLang ?? ""),
+    targetLang: String(raw.targetLang ?? ""),
+    input: String(raw.input ?? ""),
+    output: String(raw.output ?? ""),
+    provider: raw.provider ? String(raw.provider) : null,
+    model: raw.model ? String(raw.model) : null,
+    createdAt: Number(raw.createdAt) || Date.now(),
+    durationMs: Number(raw.durationMs) || 0,
+    pinned: Boolean(raw.pinned),
+  };
+}
+
+/**
+ * listHistory()
+ * All entries, pinned first, then newest first.
+ */
+export async function listHistory() {
+  const all = await withStore(STORE, "readonly", (store) => requestToPromise(store.getAll()));
+  return all.sort((a, b) => Number(b.pinned) - Number(a.pinned) || b.createdAt - a.createdAt);
+}
+
+/**
+ * addHistoryEntry(entry)
+ * Stores a new run and resolves with the saved entry.
+ */
+export async function addHistoryEntry(entry) {
+  const saved = normalizeEntry({ ...entry, id: undefined });
+  await withStore(STORE, "readwrite", (store) => requestToPromise(store.put(saved)));
+  return saved;
+}
+
+/**
+ * updateHistoryEntry(id, patch)
+ * Merges `patch` into an existing entry (e.g. { pinned: true }).
+ */
+export async function updateHistoryEntry(id, patch) {
+  return withStore(STORE, "readwrite", async (store) => {
+    const current = await requestToPromise(store.get(id));
+    if (!current) return null;
+    const next = normalizeEntry({ ...current, ...patch, id });
+    await requestToPromise(store.put(next));
+    return next;
+  });
+}
+
+/**
+ * deleteHistoryEntry(id) / clearHistory()
+ */
+export function deleteHistoryEntry(id) {
+  return withStore(STORE, "readwrite", (store) => requestToPromise(store.delete(id)));
+}
+
+export function clearHistory() {
+  return withStore(STORE, "readwrite", (store) => requestToPromise(store.clear()));
+}
+
+/**
+ * clearUnpinnedHistory()
+ * Deletes every entry that isn't pinned, reading and deleting in one transaction so an entry
+ * pinned meanwhile is never lost. Resolves with the number of deleted entries.
+ */
+export function clearUnpinnedHistory() {
+  return withStore(
+    STORE,
+    "readwrite",
+    (store) =>
+      new Promise((resolve, reject) => {
+        let deleted = 0;
+        const req = store.openCursor();
+        req.onsuccess = () => {
+          const cursor = req.result;
+          if (!cursor) return resolve(deleted);
+          if (!cursor.value.pinned) {
+            cursor.delete();
+            deleted++;
+          }
+          cursor.continue();
+        };
+        req.onerror = () => reject(req.error);
+      })
+  );
+}
+
+/**
+ * exportHistory(entries)
+ * Serializes entries as a shareable JSON document.
+ */
+export function exportHistory(entries) {
+  return JSON.stringify({ format: EXPORT_FORMAT, version: 1, exportedAt: new Date().toISOString(), entries }, null, 2);
+}
+
+/**
+ * importHistory(json)
+ * Merges entries from an exported document (or a bare array). Existing ids are overwritten.
+ * Resolves with the number of imported entries; throws on malformed input.
+ */
+export async function importHistory(json) {
+  const data = typeof json === "string" ? JSON.parse(json) : json;
+  const entries = Array.isArray(data) ? data : data?.format === EXPORT_FORMAT ? data.entries : null;
+  if (!Array.isArray(entries)) throw new Error("Not a DevTranspiler history export.");
+  const normalized = entries.filter((e) => e && typeof e === "object").map(normalizeEntry);
+  await withStore(STORE, "readwrite", (store) => Promise.all(normalized.map((e) => requestToPromise(store.put(e)))));
+  return normalized.length;
+}
+
+/**
+ * matchesHistoryQuery(entry, query)
+ * Case-insensitive search across languages, model and code.
+ */
+export function matchesHistoryQuery(entry, query) {
+  const q = query.trim().toLowerCase();
+  if (!q) return true;
+  return [entry.sourceLang, entry.targetLang, entry.model, entry.input, entry.output]
+    .some((field) => (field || "").toLowerCase().includes(q));
+}
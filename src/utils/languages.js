@@ -0,0 +1,668 @@
+// src/utils/languages.js
+// Language registry: the single source of truth for every language the converter offers.
+// Selectors, example snippets, highlighting, parsers, file extensions and comment syntax
+// all come from here — adding a language is one entry in LANGUAGES.
+
+import { StreamLanguage } from "@codemirror/language";
+import { javascript, javascriptLanguage, typescriptLanguage } from "@codemirror/lang-javascript";
+import { python, pythonLanguage } from "@codemirror/lang-python";
+import { java, javaLanguage } from "@codemirror/lang-java";
+import { go, goLanguage } from "@codemirror/lang-go";
+import { cpp, cppLanguage } from "@codemirror/lang-cpp";
+import { php, phpLanguage } from "@codemirror/lang-php";
+import { html, htmlLanguage } from "@codemirror/lang-html";
+import { css, cssLanguage } from "@codemirror/lang-css";
+import { rust, rustLanguage } from "@codemirror/lang-rust";
+import { sql, MySQL, PostgreSQL, SQLite, MSSQL } from "@codemirror/lang-sql";
+import { csharp, kotlin, scala, dart } from "@codemirror/legacy-modes/mode/clike";
+import { ruby } from "@codemirror/legacy-modes/mode/ruby";
+import { swift } from "@codemirror/legacy-modes/mode/swift";
+import { lua } from "@codemirror/legacy-modes/mode/lua";
+import { r } from "@codemirror/legacy-modes/mode/r";
+import { shell } from "@codemirror/legacy-modes/mode/shell";
+
+const C_COMMENTS = { line: "//", block: ["/*", "*/"] };
+const HASH_COMMENTS = { line: "#" };
+const SQL_COMMENTS = { line: "--", block: ["/*", "*/"] };
+
+// PHP output doesn't always start with "<?php"; parse it as plain code then
+const phpTemplateParser = phpLanguage.parser;
+const phpPlainParser = phpLanguage.parser.configure({ top: "Program" });
+const phpParser = {
+  parse: (code) => (/<\?php/.test(code) ? phpTemplateParser : phpPlainParser).parse(code),
+};
+
+// TypeScript scores these on top of its own signals (see utils/detect.js)
+const JS_SIGNALS = [
+  [/\b(const|let|var)\s+\w+\s*=/, 2],
+  [/\bfunction\s*\w*\s*\(/, 2],
+  [/=>/, 1],
+  [/console\.log\(/, 2],
+  [/\brequire\(|^\s*import\s+.*\s+from\s+['"]/m, 2],
+  [/===|!==/, 1],
+];
+
+// Signals every SQL dialect shares; dialect entries add their own on top
+const SQL_SIGNALS = [
+  [/^\s*(SELECT|INSERT\s+INTO|UPDATE|DELETE\s+FROM|CREATE\s+(TABLE|INDEX|VIEW))\b/im, 3],
+  [/\bFROM\s+\w+/i, 1],
+  [/\bWHERE\b/i, 1],
+];
+
+const SQL_EXAMPLE = `CREATE TABLE users (\n  id INT PRIMARY KEY,\n  name VARCHAR(100) NOT NULL\n);\n\nSELECT name FROM users WHERE id = 1;`;
+
+function sqlEntry({ dialect, signals, ...entry }) {
+  return {
+    ...entry,
+    extensions: [".sql"],
+    comment: SQL_COMMENTS,
+    signals: [...SQL_SIGNALS, ...signals],
+    support: () => sql({ dialect }),
+    parser: dialect.language.parser,
+  };
+}
+
+/**
+ * Registry entries:
+ * - id: stable slug (CLI flags, API)          - name: display name (UI state, prompts, history)
+ * - aliases: extra lookup names               - extensions: file extensions, preferred first
+ * - comment: { line?, block? }                - example: starter snippet for the input editor
+ * - headerPattern: matches file-header lines (package, imports, includes) that must appear once per file
+ * - versions: selectable target versions, oldest first (utils/conversionOptions.js)
+ * - asyncStyles: concurrency idioms offered as the "async style" option; omitted when irrelevant
+ * - typeHints: true when type annotations are optional, enabling the "typing" option
+ * - guidance: prompt hints when converting *to* this language
+ * - signals: [regex, weight] pairs for local detection (utils/detect.js)
+ * - support(): CodeMirror extension           - parser: Lezer parser for validation/analysis, or null
+ */
+export const LANGUAGES = [
+  {
+    id: "javascript",
+    name: "JavaScript",
+    aliases: ["js", "node", "jsx"],
+    extensions: [".js", ".jsx", ".mjs", ".cjs"],
+    comment: C_COMMENTS,
+    headerPattern: /^\s*(import\s.*|(const|let|var)\s+[\w{},\s]+=\s*require\(.*|["']use strict["'];?)\s*$/,
+    example: `function helloWorld() {\n  console.log("Hello World!");\n}`,
+    versions: ["ES5", "ES2015", "ES2020", "ES2022"],
+    asyncStyles: ["async/await", "promise chains", "callbacks"],
+    typeHints: true,
+    guidance: ["Use const/let, arrow functions and template literals where the target version allows."],
+    signals: JS_SIGNALS,
+    support: () => javascript({ jsx: true }),
+    parser: javascriptLanguage.parser.configure({ dialect: "jsx" }),
+  },
+  {
+    id: "typescript",
+    name: "TypeScript",
+    aliases: ["ts", "tsx"],
+    extensions: [".ts", ".tsx", ".mts", ".cts"],
+    comment: C_COMMENTS,
+    headerPattern: /^\s*(import\s.*|(const|let|var)\s+[\w{},\s]+=\s*require\(.*|["']use strict["'];?)\s*$/,
+    example: `function helloWorld(): void {\n  console.log("Hello World!");\n}`,
+    versions: ["4.9", "5.0", "5.4"],
+    asyncStyles: ["async/await", "promise chains", "callbacks"],
+    typeHints: true,
+    guidance: ["Add explicit types to function signatures; avoid `any`."],
+    // TS-only syntax; detect.js adds the JavaScript signals when any of these match
+    signals: [
+      [/[\w)?]\s*:\s*(string|number|boolean|void|any|unknown|never)\b/, 3],
+      [/\binterface\s+\w+\s*\{/, 3],
+      [/\btype\s+\w+\s*=/, 2],
+      [/\b(public|private|protected|readonly)\s+\w+\s*[:(]/, 2],
+      [/\bas\s+(const|string|number|\w+\[\])/, 2],
+    ],
+    support: () => javascript({ typescript: true }),
+    parser: typescriptLanguage.parser,
+  },
+  {
+    id: "python",
+    name: "Python",
+    aliases: ["py", "python3"],
+    extensions: [".py"],
+    comment: HASH_COMMENTS,
+    headerPattern: /^(import\s+\S|from\s+\S+\s+import\s)/,
+    example: `def hello_world():\n    print("Hello World!")\n`,
+    versions: ["3.8", "3.10", "3.12"],
+    asyncStyles: ["asyncio", "threads", "blocking"],
+    typeHints: true,
+    guidance: ["Follow PEP 8 naming and layout.", "Raise exceptions rather than returning error codes."],
+    signals: [
+      [/^\s*def\s+\w+\s*\(.*\)\s*(->\s*[\w[\], ]+)?:\s*$/m, 3],
+      [/^\s*(import\s+\w+|from\s+[\w.]+\s+import\s)/m, 2],
+      [/\bprint\(/, 1],
+      [/^\s*(if|elif|else|for|while|class|try|except|with)\b.*:\s*$/m, 2],
+      [/\bself\b/, 1],
+      [/\b(None|True|False)\b/, 1],
+    ],
+    support: () => python(),
+    parser: pythonLanguage.parser,
+  },
+  {
+    id: "java",
+    name: "Java",
+    aliases: [],
+    extensions: [".java"],
+    comment: C_COMMENTS,
+    headerPattern: /^\s*(package|import)\s+[\w.*]+\s*;/,
+    example: `public class Main {\n  public static void main(String[] args) {\n    System.out.println("Hello World!");\n  }\n}`,
+    versions: ["8", "11", "17", "21"],
+    asyncStyles: ["CompletableFuture", "virtual threads", "blocking"],
+    guidance: ["Wrap top-level code in a public class; one public class per file."],
+    signals: [
+      [/\bpublic\s+(static\s+)?(final\s+)?(class|void|int|String|boolean)\b/, 3],
+      [/System\.out\.print(ln)?\(/, 3],
+      [/\bString\[\]\s+\w+/, 3],
+      [/^\s*import\s+java\./m, 3],
+      [/@Override\b/, 2],
+      [/^\s*package\s+[\w.]+;/m, 3],
+    ],
+    support: () => java(),
+    parser: javaLanguage.parser,
+  },
+  {
+    id: "cpp",
+    name: "C++",
+    aliases: ["c++", "cxx", "cc"],
+    extensions: [".cpp", ".cc", ".cxx", ".hpp", ".hh"],
+    comment: C_COMMENTS,
+    headerPattern: /^\s*(#\s*include\b|using\s+namespace\s+[\w:]+\s*;)/,
+    example: `#include <iostream>\nint main() {\n  std::cout << "Hello World!" << std::endl;\n  return 0;\n}`,
+    versions: ["C++11", "C++14", "C++17", "C++20"],
+    asyncStyles: ["std::async/futures", "threads", "blocking"],
+    guidance: ["Prefer RAII, std::string, std::vector and smart pointers over raw memory."],
+    signals: [
+      [/#include\s*[<"][\w./]+[>"]/, 3],
+      [/\bstd::/, 3],
+      [/\bcout\s*<</, 3],
+      [/\bint\s+main\s*\(/, 2],
+      [/\btemplate\s*</, 2],
+      [/\bnullptr\b/, 2],
+    ],
+    support: () => cpp(),
+    parser: cppLanguage.parser,
+  },
+  {
+    id: "c",
+    name: "C",
+    aliases: [],
+    extensions: [".c", ".h"],
+    comment: C_COMMENTS,
+    headerPattern: /^\s*#\s*include\b/,
+    example: `#include <stdio.h>\n\nint main(void) {\n  printf("Hello World!\\n");\n  return 0;\n}`,
+    versions: ["C89", "C99", "C11", "C17"],
+    guidance: [
+      "Use only the standard library.",
+      "Manage memory explicitly: free everything you malloc and check allocation results.",
+      "Emulate classes with structs plus functions taking a pointer to the struct.",
+    ],
+    signals: [
+      [/#include\s*<(stdio|stdlib|string|stdint|stdbool)\.h>/, 4],
+      [/\bprintf\s*\(/, 2],
+      [/\b(malloc|calloc|free)\s*\(/, 2],
+      [/\bint\s+main\s*\(\s*(void)?\s*\)/, 2],
+      [/\bstruct\s+\w+\s*\{/, 1],
+    ],
+    support: () => cpp(),
+    // the C++ grammar accepts (nearly all) C
+    parser: cppLanguage.parser,
+  },
+  {
+    id: "csharp",
+    name: "C#",
+    aliases: ["c#", "cs"],
+    extensions: [".cs"],
+    comment: C_COMMENTS,
+    headerPattern: /^\s*(using\s+[\w.=\s]+;|namespace\s+[\w.]+\s*;)/,
+    example: `using System;\nclass Program {\n  static void Main() {\n    Console.WriteLine("Hello World!");\n  }\n}`,
+    versions: ["7.3", "10", "12"],
+    asyncStyles: ["async/await", "blocking"],
+    guidance: ["Use PascalCase for methods and properties; prefer properties over getter methods."],
+    signals: [
+      [/^\s*using\s+System(\.\w+)*;/m, 3],
+      [/Console\.Write(Line)?\(/, 3],
+      [/\bnamespace\s+[\w.]+/, 2],
+      [/\bstatic\s+(async\s+)?\w+\s+Main\s*\(/, 3],
+      [/\{\s*get;\s*(set;)?\s*\}/, 3],
+    ],
+    support: () => StreamLanguage.define(csharp),
+    parser: null,
+  },
+  {
+    id: "ruby",
+    name: "Ruby",
+    aliases: ["rb"],
+    extensions: [".rb"],
+    comment: HASH_COMMENTS,
+    headerPattern: /^\s*require(_relative)?\s/,
+    example: `def hello_world\n  puts "Hello World!"\nend`,
+    versions: ["2.7", "3.3"],
+    asyncStyles: ["threads", "fibers", "blocking"],
+    guidance: ["Use snake_case and idiomatic blocks/iterators instead of index loops."],
+    signals: [
+      [/^\s*def\s+\w+[?!]?(\s*\(.*\))?\s*$/m, 2],
+      [/^\s*end\s*$/m, 2],
+      [/\bputs\b/, 2],
+      [/\.each(_with_index)?\s+do\s*\|/, 3],
+      [/^\s*require(_relative)?\s+['"]/m, 2],
+      [/:\w+\s*=>/, 1],
+    ],
+    support: () => StreamLanguage.define(ruby),
+    parser: null,
+  },
+  {
+    id: "go",
+    name: "Go",
+    aliases: ["golang"],
+    extensions: [".go"],
+    comment: C_COMMENTS,
+    headerPattern: /^\s*(package\s+\w+|import\s*(\(|"|[\w.]+\s+"))/,
+    example: `package main\n\nimport "fmt"\n\nfunc main() {\n    fmt.Println("Hello World!")\n}\n`,
+    versions: ["1.18", "1.22"],
+    asyncStyles: ["goroutines + channels", "blocking"],
+    guidance: ["Return errors as values instead of panicking; format as gofmt would."],
+    signals: [
+      [/^\s*package\s+\w+\s*$/m, 4],
+      [/\bfunc\s+(\(\w+\s+\*?\w+\)\s*)?\w+\s*\(/, 3],
+      [/:=/, 2],
+      [/\bfmt\.\w+\(/, 3],
+      [/^\s*import\s+\(/m, 2],
+    ],
+    support: () => go(),
+    parser: goLanguage.parser,
+  },
+  {
+    id: "rust",
+    name: "Rust",
+    aliases: ["rs"],
+    extensions: [".rs"],
+    comment: C_COMMENTS,
+    headerPattern: /^\s*(use\s|extern\s+crate\s|mod\s+\w+\s*;)/,
+    example: `fn main() {\n    let name = "World";\n    println!("Hello {}!", name);\n}`,
+    versions: ["2018", "2021"],
+    asyncStyles: ["async/await (tokio)", "threads", "blocking"],
+    guidance: [
+      "Use Result and Option instead of exceptions and null; propagate errors with `?`.",
+      "Borrow instead of cloning where lifetimes allow; no `unsafe`.",
+      "Use only the standard library unless the source clearly needs a crate.",
+    ],
+    signals: [
+      [/\bfn\s+\w+\s*(<[^>]*>)?\s*\(/, 3],
+      [/\blet\s+mut\s+\w+/, 3],
+      [/\b\w+!\s*\(/, 2],
+      [/\b(impl|pub\s+fn|use\s+std::)/, 3],
+      [/->\s*(Result|Option)</, 2],
+    ],
+    support: () => rust(),
+    parser: rustLanguage.parser,
+  },
+  {
+    id: "php",
+    name: "PHP",
+    aliases: [],
+    extensions: [".php"],
+    comment: C_COMMENTS,
+    headerPattern: /^\s*(<\?php|declare\s*\(|namespace\s+[\w\\]+\s*;|use\s+[\w\\]+|(require|include)(_once)?\b)/,
+    example: `<?php\necho "Hello World!";\n?>`,
+    versions: ["7.4", "8.1", "8.3"],
+    typeHints: true,
+    guidance: ["Use declare(strict_types=1) and typed parameters."],
+    signals: [
+      [/<\?php/, 5],
+      [/\$\w+\s*=/, 2],
+      [/\becho\b/, 1],
+      [/\bfunction\s+\w+\s*\(\s*\$/, 3],
+    ],
+    support: () => php(),
+    parser: phpParser,
+  },
+  {
+    id: "swift",
+    name: "Swift",
+    aliases: [],
+    extensions: [".swift"],
+    comment: C_COMMENTS,
+    headerPattern: /^\s*import\s+\w+/,
+    example: `import Foundation\nprint("Hello World!")`,
+    versions: ["5.5", "5.9"],
+    asyncStyles: ["async/await", "completion handlers"],
+    guidance: ["Prefer let over var, optionals over sentinel values, and structs for plain data."],
+    signals: [
+      [/\bfunc\s+\w+\s*\(.*\)\s*(->\s*\w+\??)?\s*\{/, 2],
+      [/\b(let|var)\s+\w+\s*:\s*[A-Z]\w*/, 1],
+      [/^\s*import\s+(Foundation|UIKit|SwiftUI)\b/m, 6],
+      [/\b(guard|if)\s+let\b/, 3],
+    ],
+    support: () => StreamLanguage.define(swift),
+    parser: null,
+  },
+  {
+    id: "kotlin",
+    name: "Kotlin",
+    aliases: ["kt"],
+    extensions: [".kt", ".kts"],
+    comment: C_COMMENTS,
+    headerPattern: /^\s*(package|import)\s+[\w.*]+/,
+    example: `fun main() {\n  println("Hello World!")\n}`,
+    versions: ["1.9", "2.0"],
+    asyncStyles: ["coroutines", "CompletableFuture", "blocking"],
+    guidance: ["Use null-safe types instead of platform nulls; prefer immutable collections."],
+    signals: [
+      [/\bfun\s+\w+\s*\(/, 3],
+      [/\bval\s+\w+/, 2],
+      [/\bprintln\(/, 1],
+      [/\bdata\s+class\b/, 3],
+      [/\bwhen\s*\(/, 1],
+    ],
+    support: () => StreamLanguage.define(kotlin),
+    parser: null,
+  },
+  {
+    id: "scala",
+    name: "Scala",
+    aliases: ["sc"],
+    extensions: [".scala", ".sc"],
+    comment: C_COMMENTS,
+    headerPattern: /^\s*(package|import)\s+[\w.{}*,\s]+$/,
+    example: `object Main {\n  def main(args: Array[String]): Unit = {\n    println("Hello World!")\n  }\n}`,
+    versions: ["2.13", "3"],
+    asyncStyles: ["Future", "blocking"],
+    guidance: ["Prefer immutable vals, case classes, Option and pattern matching."],
+    signals: [
+      [/\bobject\s+\w+\s*(extends\s+\w+\s*)?\{/, 3],
+      [/\bdef\s+\w+\s*(\[.*\])?\(.*\)\s*:\s*\w+/, 3],
+      [/\bcase\s+class\b/, 3],
+      [/:\s*Unit\b|Array\[String\]/, 3],
+      [/\bval\s+\w+/, 1],
+    ],
+    support: () => StreamLanguage.define(scala),
+    parser: null,
+  },
+  {
+    id: "dart",
+    name: "Dart",
+    aliases: [],
+    extensions: [".dart"],
+    comment: C_COMMENTS,
+    headerPattern: /^\s*(import|export|part|library)\s+['\w]/,
+    example: `void main() {\n  var name = 'World';\n  print('Hello $name!');\n}`,
+    versions: ["2.19", "3"],
+    asyncStyles: ["async/await", "then() chains"],
+    guidance: ["Use sound null safety, final for values that don't change, and async/await with Future."],
+    signals: [
+      [/\bvoid\s+main\s*\(\s*\)/, 3],
+      [/^\s*import\s+'package:/m, 4],
+      [/\bfinal\s+\w+\s*=/, 1],
+      [/\bFuture<\w+>/, 2],
+      [/'\$\w+|\$\{/, 1],
+    ],
+    support: () => StreamLanguage.define(dart),
+    parser: null,
+  },
+  {
+    id: "lua",
+    name: "Lua",
+    aliases: [],
+    extensions: [".lua"],
+    comment: { line: "--", block: ["--[[", "]]"] },
+    headerPattern: /^\s*local\s+\w+\s*=\s*require\b/,
+    example: `local function hello_world()\n  print("Hello World!")\nend\n\nhello_world()`,
+    versions: ["5.1", "5.4", "LuaJIT"],
+    asyncStyles: ["coroutines", "blocking"],
+    guidance: [
+      "Use local variables and tables for objects/modules.",
+      "Lua arrays are 1-based: adjust index arithmetic and loop bounds.",
+    ],
+    signals: [
+      [/\blocal\s+(function\s+)?\w+/, 3],
+      [/^\s*end\s*$/m, 1],
+      [/\bthen\b/, 2],
+      [/\bfunction\s+[\w.:]+\s*\(/, 1],
+      [/~=|\.\./, 1],
+    ],
+    support: () => StreamLanguage.define(lua),
+    parser: null,
+  },
+  {
+    id: "r",
+    name: "R",
+    aliases: ["rlang"],
+    extensions: [".r"],
+    comment: HASH_COMMENTS,
+    headerPattern: /^\s*(library|require)\(/,
+    example: `hello_world <- function() {\n  print("Hello World!")\n}\n\nhello_world()`,
+    versions: ["4.1", "4.4"],
+    guidance: [
+      "Use <- for assignment and vectorised operations instead of explicit loops where natural.",
+      "R vectors are 1-based: adjust index arithmetic.",
+    ],
+    signals: [
+      [/\w+\s*<-\s*function\s*\(/, 4],
+      [/\w\s*<-\s*/, 2],
+      [/\b(library|require)\(\w+\)/, 2],
+      [/\bc\(/, 1],
+      [/\bdata\.frame\(/, 2],
+    ],
+    support: () => StreamLanguage.define(r),
+    parser: null,
+  },
+  {
+    id: "bash",
+    name: "Bash",
+    aliases: ["sh", "shell", "zsh"],
+    extensions: [".sh", ".bash"],
+    comment: HASH_COMMENTS,
+    headerPattern: /^(#!|\s*set\s+-[a-z]+|\s*(source|\.)\s+\S)/,
+    example: `#!/usr/bin/env bash\nset -euo pipefail\n\nhello_world() {\n  echo "Hello World!"\n}\n\nhello_world`,
+    versions: ["3.2", "5"],
+    guidance: [
+      "Start with `#!/usr/bin/env bash` and `set -euo pipefail`.",
+      'Quote every variable expansion ("$var") and use functions for reusable logic.',
+    ],
+    signals: [
+      [/^#!.*\b(ba|z)?sh\b/, 5],
+      [/\bset\s+-[euxo]+/, 3],
+      [/\$\{?\w+\}?/, 1],
+      [/\bfi\b|\bdone\b|\besac\b/, 3],
+      [/^\s*echo\s+/m, 1],
+    ],
+    support: () => StreamLanguage.define(shell),
+    parser: null,
+  },
+  sqlEntry({
+    id: "mysql",
+    name: "MySQL",
+    aliases: ["mariadb", "sql"],
+    dialect: MySQL,
+    example: `CREATE TABLE users (\n  id INT AUTO_INCREMENT PRIMARY KEY,\n  name VARCHAR(100) NOT NULL\n);\n\nINSERT INTO users (name) VALUES ('Ada')\n  ON DUPLICATE KEY UPDATE name = VALUES(name);`,
+    versions: ["5.7", "8.0"],
+    guidance: ["Use MySQL syntax: backtick identifiers, AUTO_INCREMENT, ON DUPLICATE KEY UPDATE, LIMIT n."],
+    signals: [
+      [/`\w+`/, 2],
+      [/\bAUTO_INCREMENT\b/i, 3],
+      [/\bON\s+DUPLICATE\s+KEY\b/i, 3],
+      [/\bENGINE\s*=/i, 3],
+    ],
+  }),
+  sqlEntry({
+    id: "postgresql",
+    name: "PostgreSQL",
+    aliases: ["postgres", "psql", "pgsql"],
+    dialect: PostgreSQL,
+    example: `CREATE TABLE users (\n  id SERIAL PRIMARY KEY,\n  name TEXT NOT NULL\n);\n\nINSERT INTO users (name) VALUES ('Ada')\n  ON CONFLICT (id) DO UPDATE SET name = EXCLUDED.name\n  RETURNING id;`,
+    versions: ["12", "16"],
+    guidance: [
+      'Use PostgreSQL syntax: double-quoted identifiers (not backticks), GENERATED ... AS IDENTITY or SERIAL instead of AUTO_INCREMENT.',
+      "Use ON CONFLICT instead of ON DUPLICATE KEY UPDATE, || for string concatenation and ILIKE for case-insensitive matching.",
+    ],
+    signals: [
+      [/\bSERIAL\b|\bGENERATED\s+(ALWAYS|BY\s+DEFAULT)\s+AS\s+IDENTITY\b/i, 3],
+      [/\bON\s+CONFLICT\b/i, 3],
+      [/\bRETURNING\b/i, 2],
+      [/::\w+/, 2],
+      [/\bILIKE\b/i, 2],
+    ],
+  }),
+  sqlEntry({
+    id: "sqlite",
+    name: "SQLite",
+    aliases: ["sqlite3"],
+    dialect: SQLite,
+    example: `CREATE TABLE users (\n  id INTEGER PRIMARY KEY AUTOINCREMENT,\n  name TEXT NOT NULL\n);\n\nINSERT OR REPLACE INTO users (id, name) VALUES (1, 'Ada');`,
+    versions: ["3.35"],
+    guidance: ["Use SQLite syntax: INTEGER PRIMARY KEY [AUTOINCREMENT], INSERT OR REPLACE / ON CONFLICT, and SQLite's type affinities."],
+    signals: [
+      [/\bAUTOINCREMENT\b/i, 3],
+      [/\bINSERT\s+OR\s+(REPLACE|IGNORE)\b/i, 3],
+      [/\bPRAGMA\b/i, 3],
+    ],
+  }),
+  sqlEntry({
+    id: "mssql",
+    name: "SQL Server",
+    aliases: ["mssql", "t-sql", "tsql"],
+    dialect: MSSQL,
+    example: `CREATE TABLE users (\n  id INT IDENTITY(1,1) PRIMARY KEY,\n  name NVARCHAR(100) NOT NULL\n);\n\nSELECT TOP 10 name FROM users WHERE id = 1;`,
+    versions: ["2016", "2022"],
+    guidance: ["Use T-SQL syntax: [bracketed] identifiers, IDENTITY(1,1), TOP n / OFFSET-FETCH, MERGE for upserts."],
+    signals: [
+      [/\bIDENTITY\s*\(\s*\d+\s*,\s*\d+\s*\)/i, 3],
+      [/\bSELECT\s+TOP\s+\d+/i, 3],
+      [/\bNVARCHAR\b|\bGO\s*$/im, 2],
+      [/\[\w+\]/, 1],
+    ],
+  }),
+  {
+    id: "html",
+    name: "HTML",
+    aliases: ["htm"],
+    extensions: [".html", ".htm"],
+    comment: { block: ["<!--", "-->"] },
+    example: `<!doctype html>\n<html>\n  <body>\n    <h1>Hello World!</h1>\n  </body>\n</html>`,
+    signals: [
+      [/<!doctype\s+html>/i, 5],
+      [/<(html|head|body|div|span|p|a|ul|li|h[1-6])[\s>]/i, 3],
+      [/<\/\w+>/, 1],
+    ],
+    support: () => html(),
+    parser: htmlLanguage.parser,
+  },
+  {
+    id: "css",
+    name: "CSS",
+    aliases: [],
+    extensions: [".css"],
+    comment: { block: ["/*", "*/"] },
+    headerPattern: /^\s*@(import|charset)\b/,
+    example: `body {\n  background: #111;\n  color: #fff;\n}`,
+    signals: [
+      [/^\s*[.#]?[\w-]+((\s*[,>+~]\s*|[^\S\n]+)[.#]?[\w-]+)*\s*\{/m, 1],
+      [/^\s*[\w-]+\s*:\s*[^;{}]+;\s*$/m, 1],
+      [/@media\b|@import\b|@keyframes\b/, 3],
+      [/\b(color|margin|padding|background|display|font-size)\s*:/, 2],
+    ],
+    support: () => css(),
+    parser: cssLanguage.parser,
+  },
+];
+
+export const LANGUAGE_NAMES = LANGUAGES.map((l) => l.name);
+
+const LOOKUP = new Map();
+for (const lang of LANGUAGES) {
+  for (const key of [lang.id, lang.name, ...lang.aliases]) LOOKUP.set(key.toLowerCase(), lang);
+}
+
+/**
+ * getLanguage(nameOrId)
+ * Registry entry by display name, id or alias (exact, case-insensitive), or null.
+ */
+export function getLanguage(nameOrId) {
+  return LOOKUP.get(String(nameOrId ?? "").trim().toLowerCase()) ?? null;
+}
+
+/**
+ * getLanguageExtension(lang)
+ * CodeMirror language support for a language; plain text when unknown.
+ */
+export function getLanguageExtension(lang) {
+  return getLanguage(lang)?.support() ?? [];
+}
+
+/**
+ * getLanguageParser(lang)
+ * The Lezer parser for a language, or null when none is bundled.
+ */
+export function getLanguageParser(lang) {
+  return getLanguage(lang)?.parser ?? null;
+}
+
+/**
+ * getExample(lang)
+ * Starter snippet for the input editor ("" when unknown).
+ */
+export function getExample(lang) {
+  return getLanguage(lang)?.example ?? "";
+}
+
+/**
+ * getGuidance(lang)
+ * Prompt hints for converting into `lang` (empty when none).
+ */
+export function getGuidance(lang) {
+  return getLanguage(lang)?.guidance ?? [];
+}
+
+/**
+ * getSignals(lang)
+ * Detection signals ([regex, weight] pairs) for `lang`.
+ */
+export function getSignals(lang) {
+  return getLanguage(lang)?.signals ?? [];
+}
+
+/**
+ * formatComment(lang, text)
+ * Wraps `text` in the language's comment syntax, e.g. "# text" for Python.
+ */
+export function formatComment(lang, text) {
+  const comment = getLanguage(lang)?.comment ?? C_COMMENTS;
+  if (comment.line) return `${comment.line} ${text}`;
+  return `${comment.block[0]} ${text} ${comment.block[1]}`;
+}
+
+/**
+ * extensionFor(lang)
+ * Preferred file extension for a language, e.g. "Python" -> ".py". Unknown -> ".txt".
+ */
+export function extensionFor(lang) {
+  return getLanguage(lang)?.extensions[0] ?? ".txt";
+}
+
+/**
+ * extensionOf(path)
+ * Lower-cased extension including the dot ("" when there is none).
+ */
+export function extensionOf(path = "") {
+  const name = path.split("/").pop();
+  const dot = name.lastIndexOf(".");
+  return dot > 0 ? name.slice(dot).toLowerCase() : "";
+}
+
+/**
+ * isSourceFileFor(path, lang)
+ * True when the path's extension belongs to `lang`.
+ */
+export function isSourceFileFor(path, lang) {
+  return (getLanguage(lang)?.extensions ?? []).includes(extensionOf(path));
+}
+
+/**
+ * replaceExtension(path, lang)
+ * Swaps the file extension for the preferred one of `lang`.
+ */
+export function replaceExtension(path, lang) {
+  const ext = extensionOf(path);
+  const base = ext ? path.slice(0, -ext.length) : path;
+  return base + extensionFor(lang);
+}
@@ -0,0 +1,79 @@
+// src/utils/project.js
+// Path mapping and import rewriting for multi-file conversions.
+
+import { replaceExtension } from "./languages.js";
+
+function dirname(path) {
+  const i = path.lastIndexOf("/");
+  return i < 0 ? "" : path.slice(0, i);
+}
+
+// Resolve "./a/../b" style specifiers against a directory (no leading slash in results)
+function resolvePath(dir, specifier) {
+  const parts = dir ? dir.split("/") : [];
+  for (const seg of specifier.split("/")) {
+    if (seg === "" || seg === ".") continue;
+    if (seg === "..") parts.pop();
+    else parts.push(seg);
+  }
+  return parts.join("/");
+}
+
+function relativePath(fromDir, to) {
+  const from = fromDir ? fromDir.split("/") : [];
+  const target = to.split("/");
+  let i = 0;
+  while (i < from.length && i < target.length - 1 && from[i] === target[i]) i++;
+  const up = from.length - i;
+  const rest = target.slice(i).join("/");
+  return up === 0 ? `./${rest}` : "../".repeat(up) + rest;
+}
+
+// "src/a.jsx" -> "src/a_jsx"; the stem used when two inputs only differ by extension
+function extensionStem(path) {
+  const dot = path.lastIndexOf(".");
+  return dot > path.lastIndexOf("/") + 1 ? path.slice(0, dot) + "_" + path.slice(dot + 1) : path;
+}
+
+/**
+ * mapOutputPaths(paths, targetLang)
+ * Returns a Map of source path -> converted path (same folders, target-language extension).
+ * Inputs that would land on the same path ("a.js" and "a.jsx" -> "a.ts") never overwrite each
+ * other: the first keeps the plain name, later ones keep their old extension in the name
+ * ("a_jsx.ts", then "a_jsx_2.ts" if even that is taken).
+ */
+export function mapOutputPaths(paths, targetLang) {
+  const natural = paths.map((p) => replaceExtension(p, targetLang));
+  const reserved = new Set(natural);
+  const taken = new Set();
+  return new Map(
+    paths.map((p, i) => {
+      let out = natural[i];
+      if (taken.has(out)) {
+        const base = extensionStem(p);
+        out = replaceExtension(base, targetLang);
+        for (let n = 2; taken.has(out) || reserved.has(out); n++) {
+          out = replaceExtension(`${base}_${n}`, targetLang);
+        }
+      }
+      taken.add(out);
+      return [p, out];
+    })
+  );
+}
+
+/**
+ * rewriteImportPaths(code, fromPath, pathMap)
+ * Rewrites quoted relative specifiers ("./x.js", '../lib/y.py') in converted code so they
+ * point at the converted files. Specifiers that don't name a project file are left alone,
+ * as are extensionless ones (those keep resolving after conversion).
+ */
+export function rewriteImportPaths(code, fromPath, pathMap) {
+  const srcDir = dirname(fromPath);
+  const outDir = dirname(pathMap.get(fromPath) ?? fromPath);
+  return code.replace(/(["'])(\.{1,2}\/[^"'\n]+)\1/g, (match, quote, spec) => {
+    const target = pathMap.get(resolvePath(srcDir, spec));
+    if (!target) return match;
+    return quote + relativePath(outDir, target) + quote;
+  });
+}
@@ -0,0 +1,69 @@
+// src/utils/project.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { mapOutputPaths, rewriteImportPaths } from "./project.js";
+
+test("mapOutputPaths keeps folders and swaps the extension", () => {
+  const map = mapOutputPaths(["index.js", "lib/util.js", "README"], "Python");
+  assert.deepEqual([...map], [
+    ["index.js", "index.py"],
+    ["lib/util.js", "lib/util.py"],
+    ["README", "README.py"],
+  ]);
+});
+
+test("mapOutputPaths never maps two inputs to the same output", () => {
+  const map = mapOutputPaths(["src/a.js", "src/a.jsx", "src/a.mjs"], "TypeScript");
+  assert.equal(map.get("src/a.js"), "src/a.ts");
+  assert.equal(map.get("src/a.jsx"), "src/a_jsx.ts");
+  assert.equal(map.get("src/a.mjs"), "src/a_mjs.ts");
+  assert.equal(new Set(map.values()).size, 3);
+});
+
+test("a disambiguated name does not take a path another input maps to", () => {
+  const map = mapOutputPaths(["a.js", "a.jsx", "a_jsx.js"], "TypeScript");
+  assert.equal(map.get("a.js"), "a.ts");
+  assert.equal(map.get("a_jsx.js"), "a_jsx.ts");
+  assert.equal(map.get("a.jsx"), "a_jsx_2.ts");
+});
+
+test("the same file name in different folders is not a collision", () => {
+  const map = mapOutputPaths(["a/index.js", "b/index.js"], "Python");
+  assert.deepEqual([...map.values()], ["a/index.py", "b/index.py"]);
+});
+
+test("rewriteImportPaths points relative imports at the converted files", () => {
+  const map = mapOutputPaths(["src/main.js", "src/lib/util.js", "shared/config.js"], "TypeScript");
+  const code = [
+    'import { x } from "./lib/util.js";',
+    "import cfg from '../shared/config.js';",
+    'import React from "react";',
+    'import { y } from "./lib/util";',
+  ].join("\n");
+  assert.equal(
+    rewriteImportPaths(code, "src/main.js", map),
+    [
+      'import { x } from "./lib/util.ts";',
+      "import cfg from '../shared/config.ts';",
+      'import React from "react";',
+      'import { y } from "./lib/util";',
+    ].join("\n")
+  );
+});
+
+test("rewriteImportPaths leaves specifiers that name no project file alone", () => {
+  const map = mapOutputPaths(["main.js"], "TypeScript");
+  const code = 'import data from "./data.json";';
+  assert.equal(rewriteImportPaths(code, "main.js", map), code);
+});
+
+test("rewriteImportPaths follows a disambiguated target", () => {
+  const map = mapOutputPaths(["a.js", "a.jsx", "main.js"], "TypeScript");
+  assert.equal(rewriteImportPaths('import A from "./a.jsx";', "main.js", map), 'import A from "./a_jsx.ts";');
+});
+
+test("rewriteImportPaths resolves ../ from nested folders", () => {
+  const map = mapOutputPaths(["app/views/page.js", "app/models/user.js"], "Python");
+  assert.equal(rewriteImportPaths('from "../models/user.js"', "app/views/page.js", map), 'from "../models/user.py"');
+});
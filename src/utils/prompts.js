@@ -0,0 +1,165 @@
+// src/utils/prompts.js
+// Prompt templates and per-language-pair conversion rules. Both live in settings
+// (see utils/settings.js) and can be shared between teammates as JSON "packs".
+
+import { getGuidance, getLanguage } from "./languages.js";
+
+const PACK_FORMAT = "devtranspiler-prompts";
+
+// Matches any language in a rule set's sourceLang/targetLang
+export const ANY_LANGUAGE = "*";
+
+export const TEMPLATE_VARIABLES = ["sourceLang", "targetLang", "code", "rules"];
+
+export const DEFAULT_TEMPLATE = {
+  id: "default",
+  name: "Default",
+  body: `You are a precise code translator. Convert the following {{sourceLang}} code to {{targetLang}}.
+Return ONLY the converted code (raw or inside a single code block). No extra explanations.
+Preserve logic, function names, and comments where possible.
+{{rules}}
+Source code:
+{{code}}`,
+};
+
+export const DEFAULT_RULE_SETS = [
+  {
+    id: "java-kotlin",
+    sourceLang: "Java",
+    targetLang: "Kotlin",
+    rules: ["Use data classes for plain value holders.", "Prefer val over var.", "Replace getters/setters with properties."],
+  },
+  {
+    id: "javascript-typescript",
+    sourceLang: "JavaScript",
+    targetLang: "TypeScript",
+    rules: ["Assume strict mode.", "Never use `any`; infer or declare precise types."],
+  },
+];
+
+// `templates` holds user templates only; the built-in one always comes from code
+export const DEFAULT_PROMPTS = {
+  activeTemplate: DEFAULT_TEMPLATE.id,
+  templates: [],
+  ruleSets: DEFAULT_RULE_SETS,
+};
+
+export function newPromptId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * renderTemplate(body, vars)
+ * Replaces {{name}} placeholders; unknown placeholders are left as-is so typos stay visible.
+ */
+export function renderTemplate(body, vars) {
+  return body.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+}
+
+function languageMatches(pattern, lang) {
+  if (pattern === ANY_LANGUAGE) return true;
+  const a = getLanguage(pattern);
+  return a ? a === getLanguage(lang) : pattern === lang;
+}
+
+/**
+ * rulesFor(ruleSets, sourceLang, targetLang)
+ * Every rule whose set matches the pair, wildcard sets first, duplicates dropped.
+ */
+export function rulesFor(ruleSets = [], sourceLang, targetLang) {
+  const matching = ruleSets
+    .filter((set) => set.enabled !== false)
+    .filter((set) => languageMatches(set.sourceLang, sourceLang) && languageMatches(set.targetLang, targetLang))
+    .sort((a, b) => specificity(a) - specificity(b));
+  const rules = matching.flatMap((set) => set.rules.map((rule) => rule.trim())).filter(Boolean);
+  return [...new Set(rules)];
+}
+
+function specificity(set) {
+  return Number(set.sourceLang !== ANY_LANGUAGE) + Number(set.targetLang !== ANY_LANGUAGE);
+}
+
+/**
+ * formatRules(rules, targetLang)
+ * The {{rules}} block: pair rules plus the registry's guidance for the target language.
+ * Empty string when there is nothing to say.
+ */
+export function formatRules(rules, targetLang) {
+  const lines = [...rules, ...getGuidance(targetLang)];
+  if (!lines.length) return "";
+  return `\nConversion rules:\n${lines.map((rule) => `- ${rule}`).join("\n")}\n`;
+}
+
+/**
+ * activeTemplate(prompts)
+ * The selected template, falling back to the built-in one.
+ */
+export function activeTemplate(prompts) {
+  return prompts?.templates?.find((t) => t.id === prompts.activeTemplate) ?? DEFAULT_TEMPLATE;
+}
+
+// Keep only known fields so imported packs can't smuggle arbitrary data in
+function normalizeTemplate(raw) {
+  return {
+    id: typeof raw.id === "string" && raw.id ? raw.id : newPromptId("template"),
+    name: String(raw.name ?? "Untitled"),
+    body: String(raw.body ?? ""),
+  };
+}
+
+function normalizeRuleSet(raw) {
+  const rules = Array.isArray(raw.rules) ? raw.rules : String(raw.rules ?? "").split("\n");
+  return {
+    id: typeof raw.id === "string" && raw.id ? raw.id : newPromptId("rules"),
+    sourceLang: String(raw.sourceLang || ANY_LANGUAGE),
+    targetLang: String(raw.targetLang || ANY_LANGUAGE),
+    rules: rules.map((r) => String(r).trim()).filter(Boolean),
+    ...(raw.enabled === false ? { enabled: false } : {}),
+  };
+}
+
+/**
+ * exportPromptPack(prompts)
+ * Serializes templates and rule sets as a shareable JSON document.
+ */
+export function exportPromptPack(prompts) {
+  return JSON.stringify(
+    {
+      format: PACK_FORMAT,
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      templates: prompts.templates,
+      ruleSets: prompts.ruleSets,
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * importPromptPack(prompts, json)
+ * Merges a pack into the current prompt settings; entries with the same id are replaced.
+ * Returns { prompts, templates, ruleSets } (the counts imported); throws on malformed input.
+ */
+export function importPromptPack(prompts, json) {
+  const data = typeof json === "string" ? JSON.parse(json) : json;
+  if (data?.format !== PACK_FORMAT) throw new Error("Not a DevTranspiler prompt pack.");
+
+  const templates = (Array.isArray(data.templates) ? data.templates : [])
+    .filter((t) => t && typeof t === "object" && t.id !== DEFAULT_TEMPLATE.id)
+    .map(normalizeTemplate);
+  const ruleSets = (Array.isArray(data.ruleSets) ? data.ruleSets : [])
+    .filter((r) => r && typeof r === "object")
+    .map(normalizeRuleSet);
+
+  const merge = (current, incoming) => [...current.filter((c) => !incoming.some((i) => i.id === c.id)), ...incoming];
+  return {
+    prompts: {
+      ...prompts,
+      templates: merge(prompts.templates, templates),
+      ruleSets: merge(prompts.ruleSets, ruleSets),
+    },
+    templates: templates.length,
+    ruleSets: ruleSets.length,
+  };
+}
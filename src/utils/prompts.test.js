@@ -0,0 +1,123 @@
+// src/utils/prompts.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  ANY_LANGUAGE,
+  DEFAULT_PROMPTS,
+  DEFAULT_TEMPLATE,
+  activeTemplate,
+  exportPromptPack,
+  formatRules,
+  importPromptPack,
+  renderTemplate,
+  rulesFor,
+} from "./prompts.js";
+import { buildConversionPrompt } from "./convert.js";
+import { getGuidance } from "./languages.js";
+
+test("renderTemplate fills every occurrence and tolerates spaces inside the braces", () => {
+  assert.equal(renderTemplate("{{a}} and {{ a }} then {{b}}", { a: 1, b: "two" }), "1 and 1 then two");
+});
+
+test("renderTemplate leaves unknown placeholders visible", () => {
+  assert.equal(renderTemplate("{{sourceLang}} {{sourcelang}} {{nope}}", { sourceLang: "Go" }), "Go {{sourcelang}} {{nope}}");
+});
+
+test("renderTemplate inserts values literally, without re-expanding them", () => {
+  assert.equal(renderTemplate("{{code}}", { code: "x = '{{rules}}'; y = '$&'", rules: "R" }), "x = '{{rules}}'; y = '$&'");
+});
+
+const ruleSets = [
+  { id: "exact", sourceLang: "Java", targetLang: "Kotlin", rules: ["Prefer val over var.", "  Use data classes. "] },
+  { id: "any-to-kotlin", sourceLang: ANY_LANGUAGE, targetLang: "Kotlin", rules: ["Prefer val over var.", "Use expression bodies."] },
+  { id: "off", sourceLang: "Java", targetLang: "Kotlin", rules: ["Disabled rule."], enabled: false },
+  { id: "other", sourceLang: "Java", targetLang: "Python", rules: ["Follow PEP 8."] },
+];
+
+test("rulesFor puts wildcard sets first, drops duplicates and skips disabled sets", () => {
+  assert.deepEqual(rulesFor(ruleSets, "Java", "Kotlin"), ["Prefer val over var.", "Use expression bodies.", "Use data classes."]);
+  assert.deepEqual(rulesFor(ruleSets, "Go", "Kotlin"), ["Prefer val over var.", "Use expression bodies."]);
+  assert.deepEqual(rulesFor(undefined, "Java", "Kotlin"), []);
+});
+
+test("rulesFor matches languages by registry alias", () => {
+  const sets = [{ id: "js-ts", sourceLang: "js", targetLang: "ts", rules: ["No any."] }];
+  assert.deepEqual(rulesFor(sets, "JavaScript", "TypeScript"), ["No any."]);
+});
+
+test("formatRules lists pair rules before the target's guidance", () => {
+  const text = formatRules(["Rule one."], "Python");
+  const lines = text.trim().split("\n");
+  assert.equal(lines[0], "Conversion rules:");
+  assert.equal(lines[1], "- Rule one.");
+  assert.deepEqual(lines.slice(2), getGuidance("Python").map((g) => `- ${g}`));
+  assert.equal(formatRules([], "NoSuchLanguage"), "");
+});
+
+test("activeTemplate falls back to the built-in template", () => {
+  const custom = { id: "mine", name: "Mine", body: "{{code}}" };
+  assert.equal(activeTemplate({ activeTemplate: "mine", templates: [custom] }), custom);
+  assert.equal(activeTemplate({ activeTemplate: "gone", templates: [custom] }), DEFAULT_TEMPLATE);
+  assert.equal(activeTemplate(undefined), DEFAULT_TEMPLATE);
+});
+
+test("buildConversionPrompt renders the active template with options, rules and context", () => {
+  const prompts = {
+    activeTemplate: "short",
+    templates: [{ id: "short", name: "Short", body: "{{sourceLang}} -> {{targetLang}}\n{{rules}}\n{{code}}" }],
+    ruleSets: [{ id: "r", sourceLang: "Java", targetLang: "Kotlin", rules: ["Prefer val over var."] }],
+  };
+  const prompt = buildConversionPrompt({
+    sourceLang: "Java",
+    targetLang: "Kotlin",
+    code: "class A {}",
+    prompts,
+    options: { comments: "none" },
+    context: "This is chunk 2 of 3.",
+  });
+  assert.ok(prompt.startsWith("Java -> Kotlin\n\nConversion rules:\n- Remove all comments.\n- Prefer val over var.\n"));
+  assert.ok(prompt.includes("\nThis is chunk 2 of 3.\n"));
+  assert.ok(prompt.endsWith("class A {}"));
+});
+
+test("buildConversionPrompt uses the default template when no prompts are given", () => {
+  const prompt = buildConversionPrompt({ sourceLang: "JavaScript", targetLang: "Python", code: "let x = 1;" });
+  assert.ok(prompt.startsWith("You are a precise code translator. Convert the following JavaScript code to Python."));
+  assert.ok(prompt.endsWith("Source code:\nlet x = 1;"));
+  assert.ok(!prompt.includes("{{"));
+});
+
+test("a prompt pack survives export and import", () => {
+  const prompts = {
+    ...DEFAULT_PROMPTS,
+    templates: [{ id: "mine", name: "Mine", body: "{{code}}" }],
+  };
+  const { prompts: imported, templates, ruleSets: count } = importPromptPack(DEFAULT_PROMPTS, exportPromptPack(prompts));
+  assert.equal(templates, 1);
+  assert.equal(count, DEFAULT_PROMPTS.ruleSets.length);
+  assert.deepEqual(imported.templates, prompts.templates);
+  // same ids replace rather than duplicate
+  assert.deepEqual(imported.ruleSets.map((r) => r.id), DEFAULT_PROMPTS.ruleSets.map((r) => r.id));
+});
+
+test("importPromptPack normalizes entries and refuses other documents", () => {
+  const pack = {
+    format: "devtranspiler-prompts",
+    templates: [{ id: DEFAULT_TEMPLATE.id, body: "hijack" }, { name: "No id", body: "{{code}}", extra: true }],
+    ruleSets: [{ rules: "one\n\n two ", enabled: false }, null],
+  };
+  const { prompts, templates, ruleSets } = importPromptPack(DEFAULT_PROMPTS, pack);
+  assert.equal(templates, 1);
+  assert.equal(ruleSets, 1);
+  const template = prompts.templates[0];
+  assert.deepEqual(Object.keys(template).sort(), ["body", "id", "name"]);
+  assert.equal(template.name, "No id");
+  const added = prompts.ruleSets.at(-1);
+  assert.deepEqual(added.rules, ["one", "two"]);
+  assert.equal(added.sourceLang, ANY_LANGUAGE);
+  assert.equal(added.enabled, false);
+
+  assert.throws(() => importPromptPack(DEFAULT_PROMPTS, { templates: [] }), /Not a DevTranspiler prompt pack/);
+  assert.throws(() => importPromptPack(DEFAULT_PROMPTS, "{not json"), SyntaxError);
+});
@@ -0,0 +1,230 @@
+// src/utils/requestPolicy.js
+// Timeouts, retries with jittered backoff and error classification for provider requests.
+// withRequestPolicy wraps a provider so every chat/stream call gets the same policy, whoever
+// makes it (single conversion, chunks, batch, round-trip, CLI, API server).
+
+import { promiseWithTimeout } from "./async.js";
+
+export const DEFAULT_REQUEST_POLICY = {
+  timeoutSec: 60, // per attempt; for streams, the longest wait for the next chunk
+  retries: 2, // extra attempts for retryable errors
+  baseDelayMs: 1000,
+  maxDelayMs: 15_000,
+};
+
+/**
+ * ProviderError
+ * Error with a `kind` (see ERROR_MESSAGES) plus optional HTTP `status` and `retryAfterMs`.
+ */
+export class ProviderError extends Error {
+  constructor(kind, message, { status, retryAfterMs, cause } = {}) {
+    super(message, { cause });
+    this.name = "ProviderError";
+    this.kind = kind;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+const ERROR_MESSAGES = {
+  "rate-limit": "The provider is rate limiting requests. Wait a moment and try again.",
+  auth: "The provider rejected the request — check the API key or sign in again.",
+  network: "Couldn't reach the provider — check the server URL and your connection.",
+  timeout: "The provider took too long to answer.",
+  server: "The provider had an internal error.",
+  empty: "The model returned an empty response.",
+  aborted: "Cancelled.",
+};
+
+const RETRYABLE = new Set(["rate-limit", "network", "timeout", "server", "empty"]);
+
+/**
+ * classifyError(err)
+ * One of "aborted" | "rate-limit" | "auth" | "network" | "timeout" | "server" | "empty" | "unknown".
+ * Works on ProviderError, HTTP status codes and the wording providers and fetch use.
+ */
+export function classifyError(err) {
+  if (!err) return "unknown";
+  if (err.name === "AbortError") return "aborted";
+  if (err instanceof ProviderError) return err.kind;
+
+  const status = Number(err.status ?? err.statusCode ?? err.response?.status);
+  const text = `${err.code ?? ""} ${err.message ?? ""} ${err.error?.message ?? ""} ${typeof err === "string" ? err : ""}`;
+  if (status === 429 || /\b429\b|rate.?limit|too many requests|quota/i.test(text)) return "rate-limit";
+  if (status === 401 || status === 403 || /\b40[13]\b|unauthori[sz]ed|forbidden|invalid api key|authentication|not signed in/i.test(text)) return "auth";
+  if (status === 408 || /^timeout$|timed? ?out/i.test(err.message ?? "")) return "timeout";
+  if (status >= 500 || /\b5\d\d\b/.test(err.message ?? "")) return "server";
+  if (err instanceof TypeError || /network|fetch failed|failed to fetch|load failed|ECONN\w*|ENOTFOUND|EAI_AGAIN|socket hang up/i.test(text)) return "network";
+  if (/empty (ai )?response/i.test(text)) return "empty";
+  return "unknown";
+}
+
+/**
+ * errorKindForStatus(status)
+ * classifyError for a bare HTTP status, for adapters building a ProviderError.
+ */
+export function errorKindForStatus(status) {
+  return classifyError({ status });
+}
+
+/**
+ * isRetryable(err)
+ */
+export function isRetryable(err) {
+  return RETRYABLE.has(classifyError(err));
+}
+
+/**
+ * describeError(err)
+ * User-facing message: a fixed sentence per error kind, the raw message otherwise.
+ */
+export function describeError(err) {
+  const kind = classifyError(err);
+  if (kind === "timeout" && err?.timeoutMs) return `The provider didn't answer within ${Math.round(err.timeoutMs / 1000)}s.`;
+  return ERROR_MESSAGES[kind] ?? (err?.message || String(err));
+}
+
+/**
+ * backoffDelay(attempt, { baseDelayMs, maxDelayMs }, random)
+ * Jittered exponential backoff: somewhere between half and all of base * 2^attempt (capped),
+ * so parallel requests that failed together don't retry together.
+ */
+export function backoffDelay(attempt, { baseDelayMs = DEFAULT_REQUEST_POLICY.baseDelayMs, maxDelayMs = DEFAULT_REQUEST_POLICY.maxDelayMs } = {}, random = Math.random) {
+  const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(cap / 2 + (random() * cap) / 2);
+}
+
+function abortableSleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new DOMException("Aborted", "AbortError"));
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DOMException("Aborted", "AbortError"));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * withRetries(run, { retries, baseDelayMs, maxDelayMs, signal, onRetry })
+ * Calls run(attempt) until it resolves, a non-retryable error occurs, retries run out or
+ * `signal` aborts. Rate-limit errors wait at least their retryAfterMs.
+ * onRetry({ attempt, retries, error, delayMs }) fires before each wait.
+ */
+export async function withRetries(run, { retries = DEFAULT_REQUEST_POLICY.retries, signal, onRetry, ...delays } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await run(attempt);
+    } catch (error) {
+      if (signal?.aborted || attempt >= retries || !isRetryable(error)) throw error;
+      const delayMs = Math.max(backoffDelay(attempt, delays), error.retryAfterMs ?? 0);
+      onRetry?.({ attempt: attempt + 1, retries, error, delayMs });
+      await abortableSleep(delayMs, signal);
+    }
+  }
+}
+
+function timeoutError(timeoutMs, cause) {
+  const err = new ProviderError("timeout", `No answer within ${Math.round(timeoutMs / 1000)}s.`, { cause });
+  err.timeoutMs = timeoutMs;
+  return err;
+}
+
+// promiseWithTimeout with the timeout turned into a ProviderError
+async function raceTimeout(promise, timeoutMs) {
+  try {
+    return await promiseWithTimeout(promise, timeoutMs);
+  } catch (err) {
+    throw err?.message === "timeout" ? timeoutError(timeoutMs, err) : err;
+  }
+}
+
+// runs start(signal) with its own AbortController, aborted on timeout or when `parent` aborts
+// during the attempt, so a timed-out request is really dropped
+async function withAttemptSignal(start, timeoutMs, parent) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  if (parent?.aborted) controller.abort();
+  parent?.addEventListener("abort", onAbort, { once: true });
+  try {
+    return await raceTimeout(start(controller.signal), timeoutMs);
+  } catch (err) {
+    controller.abort();
+    throw err;
+  } finally {
+    parent?.removeEventListener("abort", onAbort);
+  }
+}
+
+// closing an iterator whose next() is still pending would wait for it, so don't await
+function close(iterator) {
+  Promise.resolve(iterator.return?.()).catch(() => {});
+}
+
+/**
+ * withRequestPolicy(provider, { timeoutSec, retries, baseDelayMs, maxDelayMs, onRetry })
+ * Same provider surface; chat() gets a per-attempt timeout and retries (empty replies count
+ * as retryable failures), stream() an idle timeout between chunks and retries until the first
+ * chunk arrives (after that a failure is final, since partial output is already shown).
+ */
+export function withRequestPolicy(provider, policy = {}) {
+  const { timeoutSec, onRetry, ...retryOptions } = { ...DEFAULT_REQUEST_POLICY, ...policy };
+  const timeoutMs = timeoutSec * 1000;
+
+  return {
+    ...provider,
+
+    chat(prompt, { signal, ...rest } = {}) {
+      return withRetries(
+        () =>
+          withAttemptSignal(
+            async (attemptSignal) => {
+              const reply = await provider.chat(prompt, { ...rest, signal: attemptSignal });
+              if (!reply || !String(reply).trim()) throw new ProviderError("empty", "Empty AI response.");
+              return reply;
+            },
+            timeoutMs,
+            signal
+          ),
+        { ...retryOptions, signal, onRetry }
+      );
+    },
+
+    async *stream(prompt, { signal, ...rest } = {}) {
+      // an attempt counts as started once its first chunk arrives; its controller stays linked
+      // to `signal` for the whole stream so Stop still cancels the underlying request
+      const open = async () => {
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        if (signal?.aborted) controller.abort();
+        signal?.addEventListener("abort", onAbort, { once: true });
+        const iterator = provider.stream(prompt, { ...rest, signal: controller.signal })[Symbol.asyncIterator]();
+        const release = () => {
+          controller.abort();
+          close(iterator);
+          signal?.removeEventListener("abort", onAbort);
+        };
+        try {
+          return { iterator, release, first: await raceTimeout(iterator.next(), timeoutMs) };
+        } catch (err) {
+          release();
+          throw err;
+        }
+      };
+
+      const { iterator, release, first } = await withRetries(open, { ...retryOptions, signal, onRetry });
+      try {
+        for (let step = first; !step.done; step = await raceTimeout(iterator.next(), timeoutMs)) {
+          if (signal?.aborted) return;
+          yield step.value;
+        }
+      } finally {
+        release();
+      }
+    },
+  };
+}
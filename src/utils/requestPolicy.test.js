@@ -0,0 +1,192 @@
+// src/utils/requestPolicy.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { ProviderError, backoffDelay, classifyError, describeError, isRetryable, withRequestPolicy, withRetries } from "./requestPolicy.js";
+import { sleep } from "./async.js";
+
+// fast policy for tests: 50 ms timeouts, 1 ms backoff
+const FAST = { timeoutSec: 0.05, baseDelayMs: 1, maxDelayMs: 1 };
+
+const networkError = () => new TypeError("fetch failed");
+
+// a provider whose chat() runs the next scripted step per call
+function scriptedProvider(steps) {
+  const calls = [];
+  return {
+    calls,
+    id: "scripted",
+    label: "Scripted",
+    model: "m",
+    async chat(prompt, { signal } = {}) {
+      calls.push({ signal });
+      return steps[Math.min(calls.length - 1, steps.length - 1)](signal);
+    },
+  };
+}
+
+// resolves never, but rejects once the signal aborts, like fetch
+const hang = (signal) =>
+  new Promise((_, reject) => signal.addEventListener("abort", () => reject(new DOMException("Aborted", "AbortError"))));
+
+test("classifyError and isRetryable sort errors by kind", () => {
+  assert.equal(classifyError(new ProviderError("auth", "no")), "auth");
+  assert.equal(classifyError({ status: 429 }), "rate-limit");
+  assert.equal(classifyError({ status: 503 }), "server");
+  assert.equal(classifyError(networkError()), "network");
+  assert.equal(classifyError(new DOMException("Aborted", "AbortError")), "aborted");
+  assert.equal(classifyError(new Error("timeout")), "timeout");
+  assert.ok(isRetryable({ status: 429 }) && isRetryable(networkError()) && isRetryable({ status: 500 }));
+  assert.ok(!isRetryable({ status: 401 }) && !isRetryable(new DOMException("Aborted", "AbortError")));
+});
+
+test("describeError names the timeout it hit", () => {
+  const err = new ProviderError("timeout", "x");
+  err.timeoutMs = 30_000;
+  assert.equal(describeError(err), "The provider didn't answer within 30s.");
+  assert.equal(describeError(new Error("something odd")), "something odd");
+});
+
+test("backoffDelay jitters between half and all of the capped exponential delay", () => {
+  assert.equal(backoffDelay(0, { baseDelayMs: 1000, maxDelayMs: 15_000 }, () => 0), 500);
+  assert.equal(backoffDelay(0, { baseDelayMs: 1000, maxDelayMs: 15_000 }, () => 1), 1000);
+  assert.equal(backoffDelay(3, { baseDelayMs: 1000, maxDelayMs: 15_000 }, () => 0.5), 6000);
+  assert.equal(backoffDelay(10, { baseDelayMs: 1000, maxDelayMs: 15_000 }, () => 1), 15_000);
+});
+
+test("withRetries retries retryable errors and reports each retry", async () => {
+  const retries = [];
+  let calls = 0;
+  const result = await withRetries(
+    async (attempt) => {
+      calls++;
+      if (attempt < 2) throw networkError();
+      return "ok";
+    },
+    { retries: 2, baseDelayMs: 1, maxDelayMs: 1, onRetry: ({ attempt, retries: total }) => retries.push(`${attempt}/${total}`) }
+  );
+  assert.equal(result, "ok");
+  assert.equal(calls, 3);
+  assert.deepEqual(retries, ["1/2", "2/2"]);
+});
+
+test("withRetries gives up when retries run out or the error isn't retryable", async () => {
+  let calls = 0;
+  await assert.rejects(
+    withRetries(async () => {
+      calls++;
+      throw networkError();
+    }, { retries: 1, baseDelayMs: 1, maxDelayMs: 1 }),
+    TypeError
+  );
+  assert.equal(calls, 2);
+
+  calls = 0;
+  await assert.rejects(
+    withRetries(async () => {
+      calls++;
+      throw new ProviderError("auth", "bad key");
+    }, { retries: 3, baseDelayMs: 1 }),
+    { kind: "auth" }
+  );
+  assert.equal(calls, 1);
+});
+
+test("withRetries waits at least a rate limit's retryAfter", async () => {
+  const delays = [];
+  let calls = 0;
+  await withRetries(
+    async () => {
+      if (calls++ === 0) throw new ProviderError("rate-limit", "slow down", { retryAfterMs: 30 });
+      return "ok";
+    },
+    { retries: 1, baseDelayMs: 1, maxDelayMs: 1, onRetry: ({ delayMs }) => delays.push(delayMs) }
+  );
+  assert.deepEqual(delays, [30]);
+});
+
+test("withRetries doesn't retry once the signal is aborted, even during the backoff", async () => {
+  const controller = new AbortController();
+  let calls = 0;
+  await assert.rejects(
+    withRetries(async () => {
+      calls++;
+      controller.abort();
+      throw networkError();
+    }, { retries: 3, baseDelayMs: 1, signal: controller.signal }),
+    TypeError
+  );
+  assert.equal(calls, 1);
+
+  const waiting = new AbortController();
+  const started = Date.now();
+  const pending = withRetries(
+    async () => {
+      throw networkError();
+    },
+    { retries: 3, baseDelayMs: 60_000, maxDelayMs: 60_000, signal: waiting.signal }
+  );
+  setTimeout(() => waiting.abort(), 10);
+  await assert.rejects(pending, { name: "AbortError" });
+  assert.ok(Date.now() - started < 1000);
+});
+
+test("chat times out per attempt, aborts the timed-out request and retries", async () => {
+  const provider = scriptedProvider([hang, () => "converted"]);
+  const retries = [];
+  const wrapped = withRequestPolicy(provider, { ...FAST, retries: 1, onRetry: ({ error }) => retries.push(classifyError(error)) });
+  assert.equal(await wrapped.chat("prompt"), "converted");
+  assert.equal(provider.calls.length, 2);
+  assert.equal(provider.calls[0].signal.aborted, true);
+  assert.deepEqual(retries, ["timeout"]);
+});
+
+test("chat rejects with a timeout ProviderError once retries are used up", async () => {
+  const wrapped = withRequestPolicy(scriptedProvider([hang]), { ...FAST, retries: 0 });
+  await assert.rejects(wrapped.chat("prompt"), (err) => {
+    assert.equal(err.kind, "timeout");
+    assert.equal(err.timeoutMs, 50);
+    return true;
+  });
+});
+
+test("chat treats an empty reply as a retryable failure", async () => {
+  const provider = scriptedProvider([() => "  ", () => "code"]);
+  assert.equal(await withRequestPolicy(provider, { ...FAST, retries: 1 }).chat("prompt"), "code");
+  assert.equal(provider.calls.length, 2);
+});
+
+test("chat passes Stop through to the request and doesn't retry it", async () => {
+  const provider = scriptedProvider([hang]);
+  const controller = new AbortController();
+  const pending = withRequestPolicy(provider, { ...FAST, timeoutSec: 60, retries: 3 }).chat("prompt", { signal: controller.signal });
+  await sleep(5);
+  controller.abort();
+  await assert.rejects(pending, { name: "AbortError" });
+  assert.equal(provider.calls.length, 1);
+  assert.equal(provider.calls[0].signal.aborted, true);
+});
+
+test("stream retries until the first chunk, then times out without retrying", async () => {
+  let opened = 0;
+  const provider = {
+    id: "s",
+    async *stream(prompt, { signal }) {
+      opened++;
+      if (opened === 1) throw networkError();
+      yield "a";
+      yield "b";
+      await hang(signal);
+    },
+  };
+  const chunks = [];
+  const wrapped = withRequestPolicy(provider, { ...FAST, retries: 2 });
+  await assert.rejects(
+    (async () => {
+      for await (const chunk of wrapped.stream("prompt")) chunks.push(chunk);
+    })(),
+    { kind: "timeout" }
+  );
+  assert.deepEqual(chunks, ["a", "b"]);
+  assert.equal(opened, 2);
+});
@@ -0,0 +1,193 @@
+// src/utils/response.js
+// Turns whatever a provider returned into the code we show: first the reply text (many
+// response shapes), then the one fenced block that is the answer. Everything dropped on the
+// way is reported so prose leaking into the output doesn't go unnoticed.
+
+import { getLanguage } from "./languages.js";
+
+// Tool/function-call arguments usually carry the code under one of these keys
+const CODE_KEYS = ["code", "content", "text", "output", "result"];
+
+function codeFromArguments(args) {
+  let value = args;
+  if (typeof value === "string") {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      return value;
+    }
+  }
+  if (typeof value === "string") return value;
+  if (!value || typeof value !== "object") return "";
+  for (const key of CODE_KEYS) if (typeof value[key] === "string") return value[key];
+  return Object.values(value).find((v) => typeof v === "string") ?? "";
+}
+
+const isToolPart = (part) => part?.type === "tool_use" || part?.type === "tool_call";
+
+// One content part: "text", { type: "text", text }, { type: "tool_use", input }, { text: { value } }, ...
+function partText(part) {
+  if (typeof part === "string") return part;
+  if (!part || typeof part !== "object") return "";
+  if (isToolPart(part)) return codeFromArguments(part.input ?? part.arguments);
+  if (typeof part.text === "string") return part.text;
+  if (typeof part.text?.value === "string") return part.text.value;
+  if (part.content !== undefined) return contentText(part.content);
+  return "";
+}
+
+// When the model answered through a tool call, the surrounding text is commentary
+function contentText(content) {
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) {
+    const parts = content.some(isToolPart) ? content.filter(isToolPart) : content;
+    return parts.map(partText).filter(Boolean).join("\n");
+  }
+  return partText(content);
+}
+
+function messageText(message) {
+  if (!message) return "";
+  const calls = message.tool_calls ?? (message.function_call ? [{ function: message.function_call }] : []);
+  const fromCalls = calls.map((call) => codeFromArguments(call.function?.arguments ?? call.arguments)).filter(Boolean).join("\n");
+  return fromCalls || contentText(message.content);
+}
+
+/**
+ * extractReplyText(res)
+ * Reply text from a provider response: plain strings, { text }, Puter's { message } (object or
+ * array), OpenAI chat completions (content, content-part arrays, tool_calls, function_call),
+ * OpenAI Responses-style { output: [...] } and Anthropic { content: [...] } incl. tool_use.
+ */
+export function extractReplyText(res) {
+  if (res == null) return "";
+  if (typeof res === "string") return res;
+  if (Array.isArray(res)) return res.map((item) => (item?.role || item?.content !== undefined ? messageText(item) : partText(item))).filter(Boolean).join("\n");
+  if (Array.isArray(res.choices)) {
+    const choice = res.choices[0];
+    return choice ? messageText(choice.message) || (typeof choice.text === "string" ? choice.text : "") : "";
+  }
+  if (res.message) return Array.isArray(res.message) ? extractReplyText(res.message) : messageText(res.message);
+  if (Array.isArray(res.output)) return extractReplyText(res.output);
+  if (typeof res.output_text === "string") return res.output_text;
+  if (res.content !== undefined) return contentText(res.content);
+  if (typeof res.text === "string") return res.text;
+  return "";
+}
+
+// Splits text into prose and fenced blocks (``` or ~~~, closing fence at least as long).
+// An unclosed last fence (truncated reply) runs to the end.
+function segment(text) {
+  const segments = [];
+  let prose = [];
+  let block = null;
+
+  for (const line of text.split("\n")) {
+    if (block) {
+      const close = /^\s*(`{3,}|~{3,})\s*$/.exec(line);
+      if (close && close[1][0] === block.fence[0] && close[1].length >= block.fence.length) {
+        segments.push({ kind: "block", lang: block.lang, text: block.lines.join("\n") });
+        block = null;
+      } else {
+        block.lines.push(line);
+      }
+      continue;
+    }
+    const open = /^\s*(`{3,}|~{3,})\s*([^\s`]*)/.exec(line);
+    if (open) {
+      if (prose.length) segments.push({ kind: "prose", text: prose.join("\n") });
+      prose = [];
+      block = { fence: open[1], lang: open[2].toLowerCase(), lines: [] };
+    } else {
+      prose.push(line);
+    }
+  }
+  if (block) segments.push({ kind: "block", lang: block.lang, text: block.lines.join("\n") });
+  if (prose.length) segments.push({ kind: "prose", text: prose.join("\n") });
+  return segments;
+}
+
+const INTRO = /^(here('s| is| are)|sure|certainly|okay|ok,|below|the following|this is|i('ve| have))\b.*[:.!]\s*$/i;
+const HEADING = /^(\*\*)?(explanation|notes?|changes|key (changes|differences)|usage)\b.*:?(\*\*)?\s*:?\s*$/i;
+const SENTENCE = /^(\d+\.\s+|[-*]\s+)?[A-Z][^;{}=<>]*\s\S+\s[^;{}=<>]*[.!?:]$/;
+
+// No fences: drop an intro line ("Here's the code:") and a trailing prose paragraph
+function trimUnfencedProse(text) {
+  const lines = text.split("\n");
+  const dropped = [];
+
+  while (lines.length && (!lines[0].trim() || INTRO.test(lines[0].trim()))) {
+    const line = lines.shift();
+    if (line.trim()) dropped.push(line);
+  }
+
+  const heading = lines.findIndex((line) => HEADING.test(line.trim()));
+  if (heading > 0 && !lines[heading - 1].trim()) dropped.push(...lines.splice(heading));
+
+  // trailing paragraphs made only of unindented sentences
+  for (;;) {
+    while (lines.length && !lines.at(-1).trim()) lines.pop();
+    let start = lines.length;
+    while (start > 0 && lines[start - 1].trim() && SENTENCE.test(lines[start - 1])) start--;
+    if (start === lines.length || start === 0 || lines[start - 1].trim()) break;
+    dropped.push(...lines.splice(start));
+  }
+
+  return { code: lines.join("\n").trim(), prose: dropped.join("\n").trim() };
+}
+
+function matchesTarget(tag, targetLang) {
+  const target = getLanguage(targetLang);
+  return Boolean(tag && target && getLanguage(tag) === target);
+}
+
+/**
+ * extractCode(text, targetLang)
+ * Picks the answer out of a reply: the longest fenced block tagged with the target language,
+ * else the longest untagged block, else the longest block; unfenced replies lose intro/outro
+ * prose. Returns { code, discarded: [{ kind: "block" | "prose", lang?, text }] }.
+ */
+export function extractCode(text = "", targetLang) {
+  if (typeof text !== "string") return { code: "", discarded: [] };
+  const segments = segment(text);
+  const blocks = segments.filter((s) => s.kind === "block");
+
+  if (!blocks.length) {
+    const { code, prose } = trimUnfencedProse(text);
+    return { code, discarded: prose ? [{ kind: "prose", text: prose }] : [] };
+  }
+
+  const tagged = blocks.filter((b) => matchesTarget(b.lang, targetLang));
+  const untagged = blocks.filter((b) => !b.lang);
+  const pool = tagged.length ? tagged : untagged.length ? untagged : blocks;
+  const chosen = pool.reduce((best, b) => (b.text.trim().length > best.text.trim().length ? b : best));
+
+  const discarded = segments
+    .filter((s) => s !== chosen && s.text.trim())
+    .map((s) => (s.kind === "block" ? { kind: "block", lang: s.lang || null, text: s.text } : { kind: "prose", text: s.text.trim() }));
+  return { code: chosen.text.trim(), discarded };
+}
+
+/**
+ * normalizeResponse(res, targetLang)
+ * extractReplyText + extractCode. Returns { text, code, discarded }.
+ */
+export function normalizeResponse(res, targetLang) {
+  const text = extractReplyText(res);
+  return { text, ...extractCode(text, targetLang) };
+}
+
+/**
+ * describeDiscarded(discarded)
+ * Short summary for the UI, e.g. "1 extra code block and 3 lines of prose", or "" when nothing.
+ */
+export function describeDiscarded(discarded = []) {
+  const blocks = discarded.filter((d) => d.kind === "block").length;
+  const proseLines = discarded.filter((d) => d.kind === "prose").reduce((n, d) => n + d.text.split("\n").filter((l) => l.trim()).length, 0);
+  return [
+    blocks ? `${blocks} extra code block${blocks === 1 ? "" : "s"}` : "",
+    proseLines ? `${proseLines} line${proseLines === 1 ? "" : "s"} of prose` : "",
+  ]
+    .filter(Boolean)
+    .join(" and ");
+}
@@ -0,0 +1,150 @@
+// src/utils/response.test.js
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { describeDiscarded, extractCode, extractReplyText, normalizeResponse } from "./response.js";
+
+const FENCE = "```";
+
+describe("extractReplyText", () => {
+  test("plain strings, { text } and Puter's { message }", () => {
+    assert.equal(extractReplyText("x = 1"), "x = 1");
+    assert.equal(extractReplyText({ text: "x = 1" }), "x = 1");
+    assert.equal(extractReplyText({ message: { role: "assistant", content: "x = 1" } }), "x = 1");
+    assert.equal(extractReplyText(null), "");
+    assert.equal(extractReplyText({ unexpected: true }), "");
+  });
+
+  test("chat completions with string content", () => {
+    assert.equal(extractReplyText({ choices: [{ message: { role: "assistant", content: "x = 1" } }] }), "x = 1");
+    assert.equal(extractReplyText({ choices: [{ text: "legacy" }] }), "legacy");
+    assert.equal(extractReplyText({ choices: [] }), "");
+  });
+
+  test("content-part arrays", () => {
+    const res = {
+      choices: [{ message: { content: [{ type: "text", text: "line 1" }, "line 2", { type: "text", text: { value: "line 3" } }] } }],
+    };
+    assert.equal(extractReplyText(res), "line 1\nline 2\nline 3");
+  });
+
+  test("tool_calls: code from the JSON arguments", () => {
+    const res = {
+      choices: [
+        {
+          message: {
+            content: null,
+            tool_calls: [{ type: "function", function: { name: "emit_code", arguments: JSON.stringify({ code: "print(1)" }) } }],
+          },
+        },
+      ],
+    };
+    assert.equal(extractReplyText(res), "print(1)");
+  });
+
+  test("tool_calls: non-JSON arguments are used as they are", () => {
+    const res = { choices: [{ message: { tool_calls: [{ function: { arguments: "print(1)" } }] } }] };
+    assert.equal(extractReplyText(res), "print(1)");
+  });
+
+  test("legacy function_call wins over content", () => {
+    const res = {
+      choices: [{ message: { content: "Calling the tool.", function_call: { name: "emit", arguments: '{"content":"print(2)"}' } } }],
+    };
+    assert.equal(extractReplyText(res), "print(2)");
+  });
+
+  test("Anthropic content blocks, text only", () => {
+    const res = { content: [{ type: "text", text: "part one" }, { type: "text", text: "part two" }] };
+    assert.equal(extractReplyText(res), "part one\npart two");
+  });
+
+  test("Anthropic tool_use blocks replace the surrounding commentary", () => {
+    const res = {
+      content: [
+        { type: "text", text: "I'll return the code through the tool." },
+        { type: "tool_use", id: "t1", name: "emit_code", input: { code: "fn main() {}" } },
+      ],
+    };
+    assert.equal(extractReplyText(res), "fn main() {}");
+  });
+
+  test("Responses API output items", () => {
+    const res = {
+      output: [
+        { type: "reasoning", summary: [] },
+        { type: "message", role: "assistant", content: [{ type: "output_text", text: "x = 1" }] },
+      ],
+    };
+    assert.equal(extractReplyText(res), "x = 1");
+    assert.equal(extractReplyText({ output_text: "y = 2" }), "y = 2");
+  });
+});
+
+describe("extractCode", () => {
+  test("prefers the block tagged with the target language", () => {
+    const reply = [`${FENCE}javascript`, "console.log(1); // much longer than the answer", FENCE, "", `${FENCE}python`, "print(1)", FENCE].join("\n");
+    const { code, discarded } = extractCode(reply, "Python");
+    assert.equal(code, "print(1)");
+    assert.deepEqual(discarded, [{ kind: "block", lang: "javascript", text: "console.log(1); // much longer than the answer" }]);
+  });
+
+  test("matches tags by alias", () => {
+    const reply = [`${FENCE}py`, "print(1)", FENCE, `${FENCE}bash`, "python main.py", FENCE].join("\n");
+    assert.equal(extractCode(reply, "Python").code, "print(1)");
+  });
+
+  test("falls back to an untagged block over blocks in other languages", () => {
+    const reply = [`${FENCE}bash`, "pip install nothing-needed --quiet", FENCE, FENCE, "print(1)", FENCE].join("\n");
+    const { code, discarded } = extractCode(reply, "Python");
+    assert.equal(code, "print(1)");
+    assert.equal(discarded.length, 1);
+    assert.equal(discarded[0].lang, "bash");
+  });
+
+  test("falls back to the longest block when none is tagged for the target", () => {
+    const reply = [`${FENCE}js`, "a()", FENCE, `${FENCE}ts`, "a(); b();", FENCE].join("\n");
+    assert.equal(extractCode(reply, "Python").code, "a(); b();");
+  });
+
+  test("reports prose around a fenced block as discarded", () => {
+    const reply = ["Here is the converted code:", "", FENCE + "python", "print(1)", FENCE, "", "This prints one."].join("\n");
+    const { code, discarded } = extractCode(reply, "Python");
+    assert.equal(code, "print(1)");
+    assert.deepEqual(discarded, [
+      { kind: "prose", text: "Here is the converted code:" },
+      { kind: "prose", text: "This prints one." },
+    ]);
+    assert.equal(describeDiscarded(discarded), "2 lines of prose");
+  });
+
+  test("trims intro and outro prose from unfenced replies", () => {
+    const reply = ["Sure! Here's the Python version:", "def add(a, b):", "    return a + b", "", "The function returns the sum of both arguments."].join("\n");
+    const { code, discarded } = extractCode(reply, "Python");
+    assert.equal(code, "def add(a, b):\n    return a + b");
+    assert.deepEqual(discarded, [{ kind: "prose", text: "Sure! Here's the Python version:\nThe function returns the sum of both arguments." }]);
+  });
+
+  test("drops an explanation section after unfenced code", () => {
+    const reply = ["x = 1", "", "Explanation:", "- x is one"].join("\n");
+    assert.equal(extractCode(reply, "Python").code, "x = 1");
+  });
+
+  test("keeps an unclosed last fence (truncated reply)", () => {
+    assert.equal(extractCode([FENCE + "python", "def f():", "    return 1"].join("\n"), "Python").code, "def f():\n    return 1");
+  });
+
+  test("longer closing fences and tildes", () => {
+    const reply = ["~~~python", "s = '```'", "~~~~"].join("\n");
+    assert.equal(extractCode(reply, "Python").code, "s = '```'");
+  });
+
+  test("non-string input", () => {
+    assert.deepEqual(extractCode(undefined, "Python"), { code: "", discarded: [] });
+  });
+});
+
+test("normalizeResponse combines both steps", () => {
+  const res = { choices: [{ message: { content: `${FENCE}python\nprint(1)\n${FENCE}` } }] };
+  assert.deepEqual(normalizeResponse(res, "Python"), { text: `${FENCE}python\nprint(1)\n${FENCE}`, code: "print(1)", discarded: [] });
+});
@@ -0,0 +1,223 @@
+// src/utils/roundtrip.js
+// Structural comparison of original code and its A → B → A round-trip.
+// Works on Lezer parse trees when the language has a bundled grammar and falls
+// back to a plain lexer otherwise.
+
+import { getLanguageParser } from "./languages.js";
+
+const FUNCTION_NODES = new Set([
+  "FunctionDeclaration",
+  "FunctionDefinition",
+  "MethodDeclaration",
+  "FunctionDecl",
+  "MethodDecl",
+  "FunctionItem", // Rust
+]);
+const NAME_NODES = new Set([
+  "VariableDefinition",
+  "VariableName",
+  "PropertyDefinition",
+  "Definition",
+  "DefName",
+  "FieldName",
+  "Name",
+  "Identifier",
+  "FieldIdentifier",
+  "BoundIdentifier", // Rust
+]);
+const PARAM_LIST_NODES = new Set(["ParamList", "FormalParameters", "Parameters", "ParameterList"]);
+const PARAM_NODES = new Set([
+  "VariableDefinition",
+  "VariableName",
+  "FormalParameter",
+  "Parameter",
+  "SpreadParameter",
+  "ParameterDeclaration",
+]);
+// Python's self/cls; Rust's self is a SelfParameter node, which PARAM_NODES already skips
+const IMPLICIT_PARAMS = new Set(["self", "cls"]);
+
+// beyond this many tokens an exact LCS gets too slow; use bigram Dice instead
+const MAX_LCS_TOKENS = 4000;
+
+function leafToken(type, text) {
+  if (/Comment/.test(type)) return null;
+  if (/String|Char|Template/.test(type)) return "str";
+  if (/Number|Integer|Float|Literal$/.test(type) && /^[\d.]/.test(text)) return "num";
+  if (/Name|Definition|Identifier/.test(type)) return "id";
+  return text.trim() || null;
+}
+
+function lexFallback(code) {
+  const re = /\/\/[^\n]*|#[^\n]*|\/\*[\s\S]*?\*\/|"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|\d[\w.]*|[A-Za-z_$][\w$]*|\S/g;
+  const out = [];
+  for (const m of code.matchAll(re)) {
+    const t = m[0];
+    if (/^(\/\/|#|\/\*)/.test(t)) continue;
+    if (/^["']/.test(t)) out.push("str");
+    else if (/^\d/.test(t)) out.push("num");
+    else if (/^[A-Za-z_$]/.test(t)) out.push(/^[a-z]+$/.test(t) ? t : "id"); // keep likely keywords
+    else out.push(t);
+  }
+  return out;
+}
+
+/**
+ * normalizedTokens(code, lang)
+ * Token stream with identifiers, strings and numbers collapsed to placeholders
+ * and comments dropped, so renames and literal edits don't dominate the score.
+ */
+export function normalizedTokens(code, lang) {
+  const parser = getLanguageParser(lang);
+  if (!parser) return lexFallback(code);
+  const tokens = [];
+  const cursor = parser.parse(code).cursor();
+  do {
+    if (cursor.firstChild()) {
+      cursor.parent();
+      continue;
+    }
+    const token = leafToken(cursor.name, code.slice(cursor.from, cursor.to));
+    if (token) tokens.push(token);
+  } while (cursor.next());
+  return tokens;
+}
+
+function lcsLength(a, b) {
+  let prev = new Array(b.length + 1).fill(0);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = new Array(b.length + 1).fill(0);
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = a[i - 1] === b[j - 1] ? prev[j - 1] + 1 : Math.max(prev[j], cur[j - 1]);
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function bigramDice(a, b) {
+  const grams = (arr) => {
+    const m = new Map();
+    for (let i = 0; i < arr.length - 1; i++) {
+      const k = arr[i] + "\u0000" + arr[i + 1];
+      m.set(k, (m.get(k) ?? 0) + 1);
+    }
+    return m;
+  };
+  const ga = grams(a);
+  const gb = grams(b);
+  let shared = 0;
+  for (const [k, n] of ga) shared += Math.min(n, gb.get(k) ?? 0);
+  const total = Math.max(0, a.length - 1) + Math.max(0, b.length - 1);
+  return total ? (2 * shared) / total : 1;
+}
+
+/**
+ * tokenSimilarity(a, b)
+ * 0..1 similarity of two token arrays (LCS ratio, or bigram Dice for very long inputs).
+ */
+export function tokenSimilarity(a, b) {
+  if (!a.length && !b.length) return 1;
+  if (a.length > MAX_LCS_TOKENS || b.length > MAX_LCS_TOKENS) return bigramDice(a, b);
+  return (2 * lcsLength(a, b)) / (a.length + b.length);
+}
+
+function lineOf(code, pos) {
+  let line = 1;
+  for (let i = 0; i < pos; i++) if (code.charCodeAt(i) === 10) line++;
+  return line;
+}
+
+function countParams(node, code) {
+  let count = 0;
+  for (let c = node.firstChild; c; c = c.nextSibling) {
+    if (!PARAM_NODES.has(c.name)) continue;
+    if (IMPLICIT_PARAMS.has(code.slice(c.from, c.to))) continue;
+    count++;
+  }
+  return count;
+}
+
+function describeFunction(node, code, nameNode) {
+  let params = null;
+  for (let c = node.firstChild; c; c = c.nextSibling) {
+    if (PARAM_LIST_NODES.has(c.name)) params = c; // the last list wins (Go receivers come first)
+  }
+  const name = nameNode ? code.slice(nameNode.from, nameNode.to) : null;
+  if (!name) return null;
+  return { name, params: params ? countParams(params, code) : 0, line: lineOf(code, node.from) };
+}
+
+/**
+ * extractFunctions(code, lang)
+ * [{ name, params, line }] for function/method declarations, plus
+ * `const f = (...) =>` style definitions. Null when the language has no parser.
+ */
+export function extractFunctions(code, lang) {
+  const parser = getLanguageParser(lang);
+  if (!parser) return null;
+  const out = [];
+  parser.parse(code).iterate({
+    enter(ref) {
+      const node = ref.node;
+      if (FUNCTION_NODES.has(ref.name)) {
+        // C/C++ keep the name and parameters inside a FunctionDeclarator
+        const sig = node.getChild("FunctionDeclarator") ?? node;
+        let nameNode = null;
+        for (let c = sig.firstChild; c && !nameNode; c = c.nextSibling) {
+          if (NAME_NODES.has(c.name)) nameNode = c;
+        }
+        const fn = describeFunction(sig, code, nameNode);
+        if (fn) out.push({ ...fn, line: lineOf(code, node.from) });
+      } else if (ref.name === "VariableDeclaration") {
+        const nameNode = node.getChild("VariableDefinition");
+        const fnNode = node.getChild("ArrowFunction") ?? node.getChild("FunctionExpression");
+        if (nameNode && fnNode) {
+          const fn = describeFunction(fnNode, code, nameNode);
+          if (fn) out.push({ ...fn, line: lineOf(code, node.from) });
+        }
+      }
+    },
+  });
+  return out;
+}
+
+const normalizeName = (name) => name.replace(/_/g, "").toLowerCase();
+
+/**
+ * compareFunctions(original, roundTrip)
+ * Classifies every original function as "ok", "renamed" (only case/underscores differ),
+ * "signature" (parameter count changed) or "missing".
+ */
+export function compareFunctions(original, roundTrip) {
+  const exact = new Map(roundTrip.map((f) => [f.name, f]));
+  const loose = new Map(roundTrip.map((f) => [normalizeName(f.name), f]));
+  return original.map((fn) => {
+    const match = exact.get(fn.name) ?? loose.get(normalizeName(fn.name));
+    if (!match) return { ...fn, status: "missing" };
+    if (match.params !== fn.params) return { ...fn, status: "signature", roundTripParams: match.params, roundTripName: match.name };
+    if (match.name !== fn.name) return { ...fn, status: "renamed", roundTripName: match.name };
+    return { ...fn, status: "ok" };
+  });
+}
+
+/**
+ * verifyRoundTrip(original, roundTrip, lang)
+ * Returns { score (0-100), structure (0-1), functions: [...] | null, survival (0-1) | null }.
+ * The score weighs token structure 70% and function survival 30% when functions are known.
+ */
+export function verifyRoundTrip(original, roundTrip, lang) {
+  const structure = tokenSimilarity(normalizedTokens(original, lang), normalizedTokens(roundTrip, lang));
+  const before = extractFunctions(original, lang);
+  const after = extractFunctions(roundTrip, lang);
+
+  let functions = null;
+  let survival = null;
+  if (before && after) {
+    functions = compareFunctions(before, after);
+    survival = functions.length ? functions.filter((f) => f.status === "ok").length / functions.length : 1;
+  }
+
+  const score = survival === null ? structure : 0.7 * structure + 0.3 * survival;
+  return { score: Math.round(score * 100), structure, functions, survival };
+}
@@ -0,0 +1,59 @@
+// src/utils/roundtrip.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { extractFunctions, verifyRoundTrip } from "./roundtrip.js";
+
+test("extractFunctions finds JavaScript declarations and arrow functions", () => {
+  const fns = extractFunctions("function add(a, b) { return a + b; }\nconst twice = (x) => x * 2;", "JavaScript");
+  assert.deepEqual(
+    fns.map(({ name, params }) => ({ name, params })),
+    [
+      { name: "add", params: 2 },
+      { name: "twice", params: 1 },
+    ]
+  );
+});
+
+test("extractFunctions skips Python's self", () => {
+  const fns = extractFunctions("class A:\n    def get(self, key):\n        return key\n", "Python");
+  assert.deepEqual(fns.map(({ name, params }) => ({ name, params })), [{ name: "get", params: 1 }]);
+});
+
+test("extractFunctions finds Rust functions and methods, without self", () => {
+  const code = `fn add(a: i32, b: i32) -> i32 { a + b }
+impl S {
+    fn get(&self, k: u8) -> u8 { k }
+    fn new() -> Self { S }
+}
+fn sum((x, y): (i32, i32), mut z: i32) -> i32 { x + y + z }`;
+  assert.deepEqual(
+    extractFunctions(code, "Rust").map(({ name, params, line }) => ({ name, params, line })),
+    [
+      { name: "add", params: 2, line: 1 },
+      { name: "get", params: 1, line: 3 },
+      { name: "new", params: 0, line: 4 },
+      { name: "sum", params: 2, line: 6 },
+    ]
+  );
+});
+
+test("verifyRoundTrip reports a Rust function lost in the round-trip", () => {
+  const original = "fn add(a: i32, b: i32) -> i32 { a + b }\nfn neg(a: i32) -> i32 { -a }\n";
+  const roundTrip = "fn add(a: i32, b: i32) -> i32 { a + b }\n";
+  const report = verifyRoundTrip(original, roundTrip, "Rust");
+  assert.equal(report.survival, 0.5);
+  assert.deepEqual(
+    report.functions.map((f) => [f.name, f.status]),
+    [
+      ["add", "ok"],
+      ["neg", "missing"],
+    ]
+  );
+});
+
+test("verifyRoundTrip flags a changed parameter count", () => {
+  const report = verifyRoundTrip("function f(a, b) {}", "function f(a) {}", "JavaScript");
+  assert.equal(report.functions[0].status, "signature");
+  assert.equal(report.functions[0].roundTripParams, 1);
+});
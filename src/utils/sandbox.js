@@ -0,0 +1,146 @@
+// src/utils/sandbox.js
+// Runs JavaScript, TypeScript and Python in an isolated iframe (public/sandbox/runner.html).
+// The frame is sandboxed with "allow-scripts" only, so it has an opaque origin and
+// cannot reach the app's DOM, storage or cookies. Pyodide is served from /pyodide/
+// by the app itself (see vite.config.js), never from a CDN.
+
+import { transform } from "sucrase";
+
+// allowance for the first Pyodide download before the parent gives up on the frame
+const LOAD_GRACE_MS = 60_000;
+
+export const RUNNABLE_LANGUAGES = {
+  JavaScript: "javascript",
+  TypeScript: "typescript",
+  Python: "python",
+};
+
+/**
+ * isRunnable(lang)
+ * True for languages the sandbox can execute.
+ */
+export function isRunnable(lang) {
+  return Boolean(RUNNABLE_LANGUAGES[lang]);
+}
+
+// ES module syntax can't run inside a function body; drop `export` keywords
+function stripExports(code) {
+  return code.replace(/^(\s*)export\s+(default\s+)?(?=(async\s+)?(function|class|const|let|var)\b)/gm, "$1");
+}
+
+/**
+ * prepareCode(lang, code)
+ * Returns { language, code } ready for the runner (TypeScript is transpiled here).
+ */
+export function prepareCode(lang, code) {
+  const kind = RUNNABLE_LANGUAGES[lang];
+  if (!kind) throw new Error(`${lang} can't be executed in the browser sandbox.`);
+  if (kind === "python") return { language: "python", code };
+  const js = kind === "typescript" ? transform(code, { transforms: ["typescript"], disableESTransforms: true }).code : code;
+  return { language: "javascript", code: stripExports(js) };
+}
+
+/**
+ * createSandbox()
+ * Returns { run, dispose }.
+ * run({ lang, code, timeoutMs, call, onOutput }) resolves to
+ *   { stdout, stderr, result, error, timedOut, durationMs }
+ * - call ({ name, args }): optionally invoke a function defined by the code and return its JSON result
+ * - onOutput (fn): ({ stream: "stdout" | "stderr", text }) => void, for live console updates
+ * Runs are queued; a timed-out run tears the frame down and the next run starts fresh.
+ */
+export function createSandbox() {
+  let frame = null;
+  let ready = null;
+  let queue = Promise.resolve();
+  let nextId = 1;
+
+  function dispose() {
+    frame?.remove();
+    frame = null;
+    ready = null;
+  }
+
+  function ensureFrame() {
+    if (ready) return ready;
+    frame = document.createElement("iframe");
+    frame.setAttribute("sandbox", "allow-scripts");
+    frame.setAttribute("aria-hidden", "true");
+    frame.style.display = "none";
+    // resolved here, not at import, so the pure helpers load outside Vite (node --test)
+    frame.src = `${import.meta.env.BASE_URL}sandbox/runner.html`;
+    const current = frame;
+    ready = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error("Sandbox failed to load")), 10_000);
+      function onMessage(e) {
+        if (e.source !== current.contentWindow || e.data?.source !== "devtranspiler-sandbox") return;
+        if (e.data.type === "ready") {
+          clearTimeout(timer);
+          window.removeEventListener("message", onMessage);
+          resolve(current);
+        }
+      }
+      window.addEventListener("message", onMessage);
+    });
+    document.body.appendChild(frame);
+    return ready;
+  }
+
+  async function execute({ lang, code, timeoutMs = 5000, call, onOutput }) {
+    const job = prepareCode(lang, code);
+    const target = await ensureFrame();
+    const id = nextId++;
+    const out = { stdout: "", stderr: "", result: undefined, error: null, timedOut: false, durationMs: 0 };
+
+    return new Promise((resolve) => {
+      const backstop = setTimeout(() => {
+        cleanup();
+        dispose();
+        resolve({ ...out, timedOut: true, error: `Timed out after ${timeoutMs} ms` });
+      }, timeoutMs + LOAD_GRACE_MS);
+
+      function cleanup() {
+        clearTimeout(backstop);
+        window.removeEventListener("message", onMessage);
+      }
+
+      function onMessage(e) {
+        const msg = e.data;
+        if (e.source !== target.contentWindow || msg?.source !== "devtranspiler-sandbox" || msg.id !== id) return;
+        if (msg.type === "stdout" || msg.type === "stderr") {
+          out[msg.type] += msg.text;
+          onOutput?.({ stream: msg.type, text: msg.text });
+        } else if (msg.type === "loading") {
+          onOutput?.({ stream: "info", text: "Loading Python runtime...\n" });
+        } else if (msg.type === "done") {
+          cleanup();
+          // a timed-out worker was terminated inside the frame; start clean next time
+          if (msg.timedOut) dispose();
+          resolve({ ...out, result: msg.result, error: msg.error ?? null, timedOut: Boolean(msg.timedOut), durationMs: msg.durationMs ?? 0 });
+        }
+      }
+
+      window.addEventListener("message", onMessage);
+      target.contentWindow.postMessage(
+        {
+          type: "run",
+          id,
+          language: job.language,
+          code: job.code,
+          call,
+          timeoutMs,
+          pyodideBase: new URL(`${import.meta.env.BASE_URL}pyodide/`, window.location.href).href,
+        },
+        "*"
+      );
+    });
+  }
+
+  function run(options) {
+    const result = queue.then(() => execute(options));
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  return { run, dispose };
+}
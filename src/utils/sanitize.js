@@ -1,5 +1,6 @@
 // src/utils/sanitize.js
-// Small utility helpers for cleaning up AI model responses and basic guards.
+// Small utility helpers for cleaning up AI model responses.
+// Security checks on the output live in utils/security.js.
 
 /**
  * stripFences(text)
@@ -23,22 +24,58 @@ export function stripFences(text = "") {
 }
 
 /**
- * hasDangerousShell(text)
- * Quick heuristic to detect obviously dangerous shell commands in the converted output.
- * This is NOT foolproof — only a lightweight warning for the UI.
+ * truncateOutput(text, maxLen = 200000, comment)
+ * Truncates output for display while returning a truncated notice.
+ * `comment` formats the notice for the output language (defaults to a // comment).
  */
-export function hasDangerousShell(text = "") {
-  if (typeof text !== "string") return false;
-  const dangerous = /(?:rm\s+-rf|sudo\b|mkfs\b|dd\s+if=|:(){:|forkbomb|chmod\s+777|curl\s+--|wget\s+--)/i;
-  return dangerous.test(text);
+export function truncateOutput(text = "", maxLen = 200000, comment = (note) => `// ${note}`) {
+  if (typeof text !== "string") return "";
+  if (text.length <= maxLen) return text;
+  return text.slice(0, maxLen) + "\n\n" + comment("...truncated (full output available for download) ...");
 }
 
 /**
- * truncateOutput(text, maxLen = 200000)
- * Truncates output for display while returning a truncated notice.
+ * createFenceStripper()
+ * Incremental counterpart of stripFences for streamed replies.
+ * - push(chunk): appends a chunk and returns the code visible so far
+ *   (prose before the first fence, the fence lines and anything after the
+ *   closing fence are hidden; a half-received ``` is held back)
+ * - end(): returns the final text, identical to stripFences(fullText)
  */
-export function truncateOutput(text = "", maxLen = 200000) {
-  if (typeof text !== "string") return "";
-  if (text.length <= maxLen) return text;
-  return text.slice(0, maxLen) + "\n\n// ...truncated (full output available for download) ...";
+export function createFenceStripper() {
+  let buffer = "";
+  let scanned = 0; // offset up to which we know no fence starts
+  let codeStart = -1; // offset just after the opening fence line
+  let codeEnd = -1; // offset of the closing fence (first block only while streaming)
+
+  function visible() {
+    if (codeStart < 0) {
+      const fence = buffer.indexOf("```", Math.max(0, scanned - 2));
+      if (fence < 0) {
+        scanned = buffer.length;
+        // no fence yet: show raw text, holding back a trailing partial backtick run
+        const trimmed = buffer.replace(/`{1,2}$/, "");
+        return trimmed.trimStart().startsWith("`") ? "" : trimmed.trimStart();
+      }
+      const nl = buffer.indexOf("\n", fence);
+      if (nl < 0) return "";
+      codeStart = nl + 1;
+    }
+    if (codeEnd < 0) {
+      const close = buffer.indexOf("```", codeStart);
+      if (close >= 0) codeEnd = close;
+    }
+    const body = codeEnd >= 0 ? buffer.slice(codeStart, codeEnd) : buffer.slice(codeStart);
+    return codeEnd >= 0 ? body.trimEnd() : body.replace(/`{1,2}$/, "");
+  }
+
+  return {
+    push(chunk = "") {
+      buffer += chunk;
+      return visible();
+    },
+    end() {
+      return stripFences(buffer);
+    },
+  };
 }
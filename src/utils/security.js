@@ -0,0 +1,242 @@
+// src/utils/security.js
+// Rule-based scanner for converted code: shell/process execution, eval and reflection,
+// unsafe deserialization, file deletion, and the network/filesystem capabilities a
+// translation might quietly introduce. Findings are heuristics for review, not a verdict.
+
+import { linter } from "@codemirror/lint";
+
+export const SEVERITIES = ["high", "medium", "low"];
+
+const LINT_SEVERITY = { high: "error", medium: "warning", low: "info" };
+
+const JS = ["JavaScript", "TypeScript"];
+const JVM = ["Java", "Kotlin", "Scala"];
+const C_FAMILY = ["C", "C++"];
+const SQL = ["MySQL", "PostgreSQL", "SQLite", "SQL Server"];
+const ANY = null;
+
+// capability: what the flagged code can do; languages: null = every language
+const RULES = [
+  // --- any language (shell snippets end up in strings, scripts and comments alike) ---
+  { id: "rm-recursive", languages: ANY, capability: "filesystem", severity: "high", message: "Recursive file deletion (rm -r)", pattern: /\brm\s+(?:-{1,2}[\w-]+\s+)*(?:-[a-zA-Z]*[rR][a-zA-Z]*\b|--recursive\b)/ },
+  { id: "destructive-command", languages: ANY, capability: "shell", severity: "high", message: "Destructive system command", pattern: /\b(?:mkfs(?:\.\w+)?\b|dd\s+if=|chmod\s+(?:-R\s+)?777\b|sudo\s+\w)|:\(\)\s*\{\s*:\s*\|\s*:\s*&\s*\}\s*;\s*:/ },
+  { id: "pipe-to-shell", languages: ANY, capability: "network", severity: "high", message: "Downloads a script and pipes it to a shell", pattern: /\b(?:curl|wget)\b[^\n|]*\|\s*(?:sudo\s+)?(?:ba|z)?sh\b/ },
+  { id: "decode-and-run", languages: ANY, capability: "eval", severity: "high", message: "Executes a base64-decoded payload", pattern: /\b(?:eval|exec|Function|system)\s*\(.*\b(?:atob|b64decode|base64_decode|FromBase64String|decodeBase64)\b/ },
+  { id: "base64-decode", languages: ANY, capability: "obfuscation", severity: "medium", message: "Decodes base64 data (possible hidden payload)", pattern: /\b(?:atob|b64decode|base64_decode|FromBase64String|getDecoder\(\)\.decode)\s*\(|\bbase64\s+(?:-d|--decode)\b/ },
+  { id: "encoded-literal", languages: ANY, capability: "obfuscation", severity: "low", message: "Long encoded string literal", pattern: /["'][A-Za-z0-9+/]{120,}={0,2}["']/ },
+
+  // --- JavaScript / TypeScript ---
+  { id: "js-child-process", languages: JS, capability: "process", severity: "high", message: "Spawns processes via child_process", pattern: /\b(?:require\(\s*["'](?:node:)?child_process["']\)|from\s+["'](?:node:)?child_process["']|child_process\.\w+|(?:execSync|spawnSync|execFileSync)\s*\()/ },
+  { id: "js-eval", languages: JS, capability: "eval", severity: "high", message: "Evaluates code from a string", pattern: /\beval\s*\(|\bnew\s+Function\s*\(|\bset(?:Timeout|Interval)\s*\(\s*["'`]/ },
+  { id: "js-deserialize", languages: JS, capability: "deserialization", severity: "high", message: "Unsafe deserialization", pattern: /\bunserialize\s*\(|\bnode-serialize\b/ },
+  { id: "js-delete", languages: JS, capability: "filesystem", severity: "medium", message: "Deletes files", pattern: /\bfs(?:\.promises)?\.(?:rm|rmdir|unlink)(?:Sync)?\s*\(|\brimraf\b/ },
+  { id: "js-network", languages: JS, capability: "network", severity: "low", message: "Network access", pattern: /\bfetch\s*\(|\bXMLHttpRequest\b|\bnew\s+WebSocket\s*\(|\baxios\b|(?:require\(\s*|from\s+)["'](?:node:)?(?:http|https|net|dgram)["']/ },
+  { id: "js-filesystem", languages: JS, capability: "filesystem", severity: "low", message: "Filesystem access", pattern: /(?:require\(\s*|from\s+)["'](?:node:)?fs(?:\/promises)?["']|\bfs\.\w+\s*\(/ },
+
+  // --- Python ---
+  { id: "py-shell", languages: ["Python"], capability: "process", severity: "high", message: "Runs shell commands", pattern: /\bos\.(?:system|popen|exec\w*|spawn\w*)\s*\(|\bshell\s*=\s*True\b|\bpty\.spawn\s*\(/ },
+  { id: "py-subprocess", languages: ["Python"], capability: "process", severity: "medium", message: "Spawns processes", pattern: /\bsubprocess\.\w+\s*\(/ },
+  { id: "py-eval", languages: ["Python"], capability: "eval", severity: "high", message: "Evaluates code from a string", pattern: /(?<![.\w])(?:eval|exec|compile)\s*\(|\b__import__\s*\(/ },
+  { id: "py-deserialize", languages: ["Python"], capability: "deserialization", severity: "high", message: "Unsafe deserialization", pattern: /\b(?:pickle|cPickle|dill|marshal|shelve)\.loads?\s*\(|\byaml\.load\s*\((?![^)]*SafeLoader)/ },
+  { id: "py-delete", languages: ["Python"], capability: "filesystem", severity: "medium", message: "Deletes files", pattern: /\b(?:os\.(?:remove|unlink|rmdir|removedirs)|shutil\.rmtree)\s*\(|\.unlink\s*\(\s*\)/ },
+  { id: "py-network", languages: ["Python"], capability: "network", severity: "low", message: "Network access", pattern: /^\s*(?:import|from)\s+(?:requests|httpx|urllib|urllib3|aiohttp|socket|http\.client|ftplib|smtplib)\b|\burlopen\s*\(|\b(?:requests|httpx)\.\w+\s*\(/m },
+  { id: "py-filesystem", languages: ["Python"], capability: "filesystem", severity: "low", message: "Filesystem access", pattern: /(?<![.\w])open\s*\(|\.(?:write|read)_(?:text|bytes)\s*\(/ },
+
+  // --- JVM ---
+  { id: "jvm-exec", languages: JVM, capability: "process", severity: "high", message: "Spawns processes", pattern: /\bRuntime\.getRuntime\(\)\.exec\s*\(|\bProcessBuilder\s*\(|"[^"]*"\.(?:!!|runCommand)/ },
+  { id: "jvm-deserialize", languages: JVM, capability: "deserialization", severity: "high", message: "Unsafe Java deserialization", pattern: /\bObjectInputStream\s*\(|\.readObject\s*\(|\bXMLDecoder\b/ },
+  { id: "jvm-reflection", languages: JVM, capability: "eval", severity: "medium", message: "Reflection or script evaluation", pattern: /\bClass\.forName\s*\(|\.getDeclared(?:Method|Field)\s*\(|\.setAccessible\s*\(\s*true|\bScriptEngineManager\b/ },
+  { id: "jvm-delete", languages: JVM, capability: "filesystem", severity: "medium", message: "Deletes files", pattern: /\bFiles\.delete(?:IfExists)?\s*\(|\bdeleteRecursively\s*\(|\bFile\s*\([^)]*\)\.delete\s*\(/ },
+  { id: "jvm-network", languages: JVM, capability: "network", severity: "low", message: "Network access", pattern: /\b(?:URL|Socket|ServerSocket)\s*\(|\bHttpClient\b|\bHttpURLConnection\b|\bOkHttpClient\b/ },
+  { id: "jvm-filesystem", languages: JVM, capability: "filesystem", severity: "low", message: "Filesystem access", pattern: /\bFile(?:Writer|OutputStream|InputStream|Reader)?\s*\(|\bFiles\.\w+\s*\(|\bPaths\.get\s*\(/ },
+
+  // --- C# ---
+  { id: "cs-process", languages: ["C#"], capability: "process", severity: "high", message: "Spawns processes", pattern: /\bProcess\.Start\s*\(|\bProcessStartInfo\b/ },
+  { id: "cs-deserialize", languages: ["C#"], capability: "deserialization", severity: "high", message: "Unsafe deserialization", pattern: /\b(?:BinaryFormatter|NetDataContractSerializer|LosFormatter|SoapFormatter)\b|TypeNameHandling\.(?:All|Auto|Objects)/ },
+  { id: "cs-reflection", languages: ["C#"], capability: "eval", severity: "medium", message: "Dynamic code loading", pattern: /\bAssembly\.Load\w*\s*\(|\bActivator\.CreateInstance\s*\(|\bCSharpCodeProvider\b/ },
+  { id: "cs-delete", languages: ["C#"], capability: "filesystem", severity: "medium", message: "Deletes files", pattern: /\b(?:File|Directory)\.Delete\s*\(/ },
+  { id: "cs-network", languages: ["C#"], capability: "network", severity: "low", message: "Network access", pattern: /\b(?:HttpClient|WebClient|TcpClient|UdpClient|Socket)\b/ },
+  { id: "cs-filesystem", languages: ["C#"], capability: "filesystem", severity: "low", message: "Filesystem access", pattern: /\bFile\.\w+\s*\(|\b(?:StreamWriter|StreamReader|FileStream)\b/ },
+
+  // --- Go ---
+  { id: "go-exec", languages: ["Go"], capability: "process", severity: "high", message: "Spawns processes", pattern: /\bexec\.Command(?:Context)?\s*\(|\bsyscall\.Exec\s*\(/ },
+  { id: "go-delete", languages: ["Go"], capability: "filesystem", severity: "medium", message: "Deletes files", pattern: /\bos\.Remove(?:All)?\s*\(/ },
+  { id: "go-network", languages: ["Go"], capability: "network", severity: "low", message: "Network access", pattern: /\bhttp\.(?:Get|Post|Head|NewRequest\w*|ListenAndServe\w*)\s*\(|\bnet\.(?:Dial|Listen)\w*\s*\(/ },
+  { id: "go-filesystem", languages: ["Go"], capability: "filesystem", severity: "low", message: "Filesystem access", pattern: /\bos\.(?:Create|OpenFile|WriteFile|ReadFile|Open|ReadDir)\s*\(|\bioutil\.\w+\s*\(/ },
+
+  // --- Rust ---
+  { id: "rs-command", languages: ["Rust"], capability: "process", severity: "high", message: "Spawns processes", pattern: /\bCommand::new\s*\(/ },
+  { id: "rs-unsafe", languages: ["Rust"], capability: "memory", severity: "medium", message: "unsafe block", pattern: /\bunsafe\s*(?:fn\b|\{|impl\b)/ },
+  { id: "rs-delete", languages: ["Rust"], capability: "filesystem", severity: "medium", message: "Deletes files", pattern: /\bremove_(?:file|dir|dir_all)\s*\(/ },
+  { id: "rs-network", languages: ["Rust"], capability: "network", severity: "low", message: "Network access", pattern: /\b(?:TcpStream|TcpListener|UdpSocket)::|\breqwest::/ },
+  { id: "rs-filesystem", languages: ["Rust"], capability: "filesystem", severity: "low", message: "Filesystem access", pattern: /\bstd::fs\b|\bFile::(?:create|open)\s*\(|\bfs::\w+\s*\(/ },
+
+  // --- C / C++ ---
+  { id: "c-exec", languages: C_FAMILY, capability: "process", severity: "high", message: "Runs shell commands or spawns processes", pattern: /\b(?:system|popen|execl|execlp|execle|execv|execvp|execve|fork)\s*\(/ },
+  { id: "c-unsafe-string", languages: C_FAMILY, capability: "memory", severity: "medium", message: "Unbounded string function", pattern: /\b(?:gets|strcpy|strcat|sprintf)\s*\(/ },
+  { id: "c-delete", languages: C_FAMILY, capability: "filesystem", severity: "medium", message: "Deletes files", pattern: /\b(?:remove|unlink|rmdir)\s*\(|\bstd::filesystem::remove(?:_all)?\s*\(/ },
+  { id: "c-network", languages: C_FAMILY, capability: "network", severity: "low", message: "Network access", pattern: /\bsocket\s*\(\s*(?:AF|PF)_|\bcurl_easy_\w+\s*\(/ },
+  { id: "c-filesystem", languages: C_FAMILY, capability: "filesystem", severity: "low", message: "Filesystem access", pattern: /\bfopen\s*\(|\bstd::[io]?fstream\b/ },
+
+  // --- PHP ---
+  { id: "php-exec", languages: ["PHP"], capability: "process", severity: "high", message: "Runs shell commands", pattern: /\b(?:exec|shell_exec|system|passthru|popen|proc_open|pcntl_exec)\s*\(|`[^`\n]*\$[^`\n]*`/ },
+  { id: "php-eval", languages: ["PHP"], capability: "eval", severity: "high", message: "Evaluates code from a string", pattern: /\b(?:eval|assert|create_function)\s*\(|preg_replace\s*\(\s*["'][^"']*\/e["']/ },
+  { id: "php-deserialize", languages: ["PHP"], capability: "deserialization", severity: "high", message: "Unsafe deserialization", pattern: /\bunserialize\s*\(/ },
+  { id: "php-delete", languages: ["PHP"], capability: "filesystem", severity: "medium", message: "Deletes files", pattern: /\b(?:unlink|rmdir)\s*\(/ },
+  { id: "php-network", languages: ["PHP"], capability: "network", severity: "low", message: "Network access", pattern: /\b(?:curl_init|fsockopen|stream_socket_client)\s*\(|\bfile_get_contents\s*\(\s*["']https?:/ },
+  { id: "php-filesystem", languages: ["PHP"], capability: "filesystem", severity: "low", message: "Filesystem access", pattern: /\b(?:fopen|file_put_contents|file_get_contents|fwrite)\s*\(/ },
+
+  // --- Ruby ---
+  { id: "rb-exec", languages: ["Ruby"], capability: "process", severity: "high", message: "Runs shell commands", pattern: /\b(?:system|exec|spawn)\s*[(\s"']|\bIO\.popen\b|\bOpen3\.\w+|`[^`\n]+`|%x[({[]/ },
+  { id: "rb-eval", languages: ["Ruby"], capability: "eval", severity: "high", message: "Evaluates code from a string", pattern: /\b(?:eval|instance_eval|class_eval|module_eval)\b/ },
+  { id: "rb-deserialize", languages: ["Ruby"], capability: "deserialization", severity: "high", message: "Unsafe deserialization", pattern: /\bMarshal\.load\b|\bYAML\.load\s*\(/ },
+  { id: "rb-delete", languages: ["Ruby"], capability: "filesystem", severity: "medium", message: "Deletes files", pattern: /\bFileUtils\.rm\w*|\bFile\.delete\b/ },
+  { id: "rb-network", languages: ["Ruby"], capability: "network", severity: "low", message: "Network access", pattern: /\bNet::HTTP\b|\bopen-uri\b|\bURI\.open\b|\bTCPSocket\b/ },
+  { id: "rb-filesystem", languages: ["Ruby"], capability: "filesystem", severity: "low", message: "Filesystem access", pattern: /\bFile\.(?:open|write|read)\b|\bIO\.write\b/ },
+
+  // --- Swift / Dart / Lua / R ---
+  { id: "swift-process", languages: ["Swift"], capability: "process", severity: "high", message: "Spawns processes", pattern: /\bProcess\s*\(\s*\)|\bNSTask\b/ },
+  { id: "swift-network", languages: ["Swift"], capability: "network", severity: "low", message: "Network access", pattern: /\bURLSession\b|\bNWConnection\b/ },
+  { id: "swift-filesystem", languages: ["Swift"], capability: "filesystem", severity: "low", message: "Filesystem access", pattern: /\bFileManager\b|\bFileHandle\b/ },
+  { id: "dart-process", languages: ["Dart"], capability: "process", severity: "high", message: "Spawns processes", pattern: /\bProcess\.(?:run|start|runSync)\s*\(/ },
+  { id: "dart-network", languages: ["Dart"], capability: "network", severity: "low", message: "Network access", pattern: /\bHttpClient\s*\(|\bhttp\.(?:get|post)\s*\(|\bSocket\.connect\s*\(/ },
+  { id: "dart-filesystem", languages: ["Dart"], capability: "filesystem", severity: "low", message: "Filesystem access", pattern: /\bFile\s*\(|\bDirectory\s*\(/ },
+  { id: "lua-exec", languages: ["Lua"], capability: "process", severity: "high", message: "Runs shell commands", pattern: /\bos\.execute\s*\(|\bio\.popen\s*\(/ },
+  { id: "lua-eval", languages: ["Lua"], capability: "eval", severity: "high", message: "Evaluates code from a string", pattern: /\b(?:loadstring|load|dofile)\s*\(/ },
+  { id: "lua-delete", languages: ["Lua"], capability: "filesystem", severity: "medium", message: "Deletes files", pattern: /\bos\.remove\s*\(/ },
+  { id: "lua-filesystem", languages: ["Lua"], capability: "filesystem", severity: "low", message: "Filesystem access", pattern: /\bio\.(?:open|lines)\s*\(/ },
+  { id: "r-exec", languages: ["R"], capability: "process", severity: "high", message: "Runs shell commands", pattern: /\b(?:system2?|shell)\s*\(/ },
+  { id: "r-eval", languages: ["R"], capability: "eval", severity: "high", message: "Evaluates code from a string", pattern: /\beval\s*\(\s*parse\s*\(/ },
+  { id: "r-deserialize", languages: ["R"], capability: "deserialization", severity: "medium", message: "Loads serialized R objects", pattern: /\b(?:readRDS|load|unserialize)\s*\(/ },
+  { id: "r-delete", languages: ["R"], capability: "filesystem", severity: "medium", message: "Deletes files", pattern: /\b(?:file\.remove|unlink)\s*\(/ },
+  { id: "r-network", languages: ["R"], capability: "network", severity: "low", message: "Network access", pattern: /\b(?:download\.file|url|httr::\w+|GET|POST)\s*\(/ },
+
+  // --- Bash ---
+  { id: "sh-eval", languages: ["Bash"], capability: "eval", severity: "high", message: "Evaluates a constructed command", pattern: /^\s*eval\s/m },
+  { id: "sh-device-write", languages: ["Bash"], capability: "filesystem", severity: "high", message: "Writes to a raw device", pattern: />\s*\/dev\/(?:sd|nvme|hd)\w*/ },
+  { id: "sh-network", languages: ["Bash"], capability: "network", severity: "low", message: "Network access", pattern: /\b(?:curl|wget|nc|ssh|scp)\s/ },
+
+  // --- SQL ---
+  { id: "sql-drop", languages: SQL, capability: "data", severity: "high", message: "Destructive statement", pattern: /\b(?:DROP\s+(?:TABLE|DATABASE|SCHEMA)|TRUNCATE\s+(?:TABLE\s+)?\w)/i },
+  { id: "sql-delete-all", languages: SQL, capability: "data", severity: "medium", message: "DELETE/UPDATE without WHERE", pattern: /\b(?:DELETE\s+FROM|UPDATE)\s+[\w."`[\]]+(?:\s+SET\b(?:(?!\bWHERE\b)[^;])*)?\s*;/i },
+  { id: "sql-shell", languages: SQL, capability: "process", severity: "high", message: "Runs OS commands from the database", pattern: /\bxp_cmdshell\b|\bCOPY\b[^;]*\bPROGRAM\b/i },
+  { id: "sql-file", languages: SQL, capability: "filesystem", severity: "medium", message: "Reads or writes server files", pattern: /\bLOAD_FILE\s*\(|\bINTO\s+(?:OUT|DUMP)FILE\b|\bpg_read_file\s*\(/i },
+  { id: "sql-grant-all", languages: SQL, capability: "privileges", severity: "medium", message: "Grants all privileges", pattern: /\bGRANT\s+ALL\b/i },
+];
+
+function lineStarts(code) {
+  const starts = [0];
+  for (let i = 0; i < code.length; i++) if (code[i] === "\n") starts.push(i + 1);
+  return starts;
+}
+
+function lineAt(starts, pos) {
+  let lo = 0;
+  let hi = starts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (starts[mid] <= pos) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo + 1;
+}
+
+function rulesFor(lang) {
+  return RULES.filter((rule) => rule.languages === ANY || !lang || rule.languages.includes(lang));
+}
+
+/**
+ * scanCode(code, lang)
+ * Findings sorted by position: [{ ruleId, severity, capability, message, from, to, line, endLine }].
+ * One finding per rule and line. `lang` undefined runs every rule.
+ */
+export function scanCode(code = "", lang) {
+  if (typeof code !== "string" || !code) return [];
+  const starts = lineStarts(code);
+  const findings = [];
+
+  for (const rule of rulesFor(lang)) {
+    const re = new RegExp(rule.pattern.source, rule.pattern.flags.includes("g") ? rule.pattern.flags : rule.pattern.flags + "g");
+    const seenLines = new Set();
+    for (const match of code.matchAll(re)) {
+      const from = match.index;
+      const to = from + Math.max(1, match[0].length);
+      const line = lineAt(starts, from);
+      if (seenLines.has(line)) continue;
+      seenLines.add(line);
+      findings.push({
+        ruleId: rule.id,
+        severity: rule.severity,
+        capability: rule.capability,
+        message: rule.message,
+        from,
+        to: Math.min(to, code.length),
+        line,
+        endLine: lineAt(starts, Math.min(to, code.length) - 1),
+      });
+    }
+  }
+
+  return findings.sort((a, b) => a.from - b.from || SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
+
+/**
+ * capabilitiesOf(findings)
+ * Sorted, de-duplicated capability names.
+ */
+export function capabilitiesOf(findings) {
+  return [...new Set(findings.map((f) => f.capability))].sort();
+}
+
+/**
+ * scanConversion({ input, sourceLang, output, targetLang })
+ * Scans the output and marks findings whose capability the input never used.
+ * Returns { findings, introduced: [capability], counts: { high, medium, low } }.
+ */
+export function scanConversion({ input, sourceLang, output, targetLang }) {
+  const baseline = new Set(capabilitiesOf(scanCode(input, sourceLang)));
+  return summarize(scanCode(output, targetLang), baseline);
+}
+
+function summarize(rawFindings, baseline) {
+  const findings = rawFindings.map((f) => ({ ...f, introduced: !baseline.has(f.capability) }));
+  const counts = Object.fromEntries(SEVERITIES.map((s) => [s, findings.filter((f) => f.severity === s).length]));
+  const introduced = capabilitiesOf(findings.filter((f) => f.introduced));
+  return { findings, introduced, counts };
+}
+
+/**
+ * securityLinter(lang, baselineCapabilities)
+ * CodeMirror extension rendering scanCode findings as diagnostics. Capabilities missing from
+ * `baselineCapabilities` (what the input already did) are called out as introduced.
+ */
+export function securityLinter(lang, baselineCapabilities = []) {
+  const baseline = new Set(baselineCapabilities);
+  return linter(
+    (view) =>
+      summarize(scanCode(view.state.doc.toString(), lang), baseline).findings.map((f) => ({
+        from: f.from,
+        to: f.to,
+        severity: LINT_SEVERITY[f.severity],
+        source: "security",
+        message: f.introduced ? `${f.message} — introduces ${f.capability} access the input didn't have` : f.message,
+      })),
+    { delay: 400 }
+  );
+}
+
+/**
+ * describeScan(scan)
+ * Short summary for toasts and status lines, e.g. "2 high-severity findings; introduces network access",
+ * or "" when nothing medium or above was found and no capability was introduced.
+ */
+export function describeScan({ counts, introduced }) {
+  const severe = counts.high ? `${counts.high} high-severity` : counts.medium ? `${counts.medium} medium-severity` : "";
+  const n = counts.high || counts.medium;
+  return [
+    severe ? `${severe} finding${n === 1 ? "" : "s"}` : "",
+    introduced.length ? `introduces ${introduced.join(", ")} access` : "",
+  ]
+    .filter(Boolean)
+    .join("; ");
+}
@@ -0,0 +1,39 @@
+// src/utils/security.test.js
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { describeScan, scanCode, scanConversion } from "./security.js";
+
+const ruleIds = (code, lang) => scanCode(code, lang).map((f) => f.ruleId);
+
+describe("sql-delete-all", () => {
+  test("flags DELETE and UPDATE without WHERE", () => {
+    assert.deepEqual(ruleIds("DELETE FROM users;", "PostgreSQL"), ["sql-delete-all"]);
+    assert.deepEqual(ruleIds("UPDATE users SET name = 'x';", "MySQL"), ["sql-delete-all"]);
+    assert.deepEqual(ruleIds("update users\nset name = 'x',\n    age = 3;", "SQLite"), ["sql-delete-all"]);
+  });
+
+  test("does not flag statements with a WHERE clause", () => {
+    assert.deepEqual(ruleIds("UPDATE users SET name='x' WHERE id=1;", "PostgreSQL"), []);
+    assert.deepEqual(ruleIds("update users set name = 'x'\nwhere id = 1;", "MySQL"), []);
+    assert.deepEqual(ruleIds("DELETE FROM users WHERE id = 1;", "SQLite"), []);
+  });
+
+  test("judges each statement on its own", () => {
+    const code = "UPDATE a SET x = 1 WHERE id = 2;\nUPDATE b SET y = 3;";
+    assert.deepEqual(scanCode(code, "PostgreSQL").map((f) => [f.ruleId, f.line]), [["sql-delete-all", 2]]);
+  });
+});
+
+test("findings carry severity, capability and line", () => {
+  const [finding] = scanCode("x = 1\neval(user_input)\n", "Python");
+  assert.equal(finding.severity, "high");
+  assert.equal(finding.capability, "eval");
+  assert.equal(finding.line, 2);
+});
+
+test("scanConversion reports capabilities the output adds", () => {
+  const scan = scanConversion({ input: "print(1)", sourceLang: "Python", output: "import requests\nrequests.get(url)\n", targetLang: "Python" });
+  assert.deepEqual(scan.introduced, ["network"]);
+  assert.match(describeScan(scan), /introduces network access/);
+});
@@ -0,0 +1,64 @@
+// src/utils/settings.js
+// Persisted user settings (localStorage). Falls back to defaults when storage is unavailable.
+
+import { DEFAULT_PROMPTS } from "./prompts.js";
+
+const STORAGE_KEY = "devtranspiler:settings";
+
+export const DEFAULT_SETTINGS = {
+  provider: "puter",
+  allowPing: false, // readiness check may send a "ping" chat request (spends tokens); keep off in production
+  verifyRoundTrip: false,
+  explainConversion: false, // run the explanation pass (utils/explain.js) after each conversion
+  testCases: [],
+  repairRetries: 1,
+  chunkChars: 12_000, // inputs longer than this are converted in parts; 0 = never
+  autoDetect: "suggest", // "off" | "suggest" | "auto"
+  requests: { timeoutSec: 60, retries: 2 }, // per-request policy (see utils/requestPolicy.js)
+  // per-provider config, passed to createProvider; model "" = the provider's default
+  puter: { model: "" },
+  openai: {
+    baseUrl: "http://localhost:11434/v1",
+    apiKey: "",
+    model: "llama3.1",
+  },
+  mock: { model: "mock" },
+  compareModels: {}, // { [providerId]: [model, ...] } last used in compare mode
+  prompts: DEFAULT_PROMPTS,
+  cache: { enabled: true, maxEntries: 200, maxMB: 20 },
+  targetOptions: {}, // { [targetLang]: options } (see utils/conversionOptions.js)
+};
+
+/**
+ * loadSettings()
+ * Reads settings from localStorage and shallow-merges them (one level deep) over the defaults.
+ */
+export function loadSettings() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return DEFAULT_SETTINGS;
+    const saved = JSON.parse(raw);
+    const merged = { ...DEFAULT_SETTINGS, ...saved };
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+      const def = DEFAULT_SETTINGS[key];
+      if (def && typeof def === "object" && !Array.isArray(def)) {
+        merged[key] = { ...def, ...(saved[key] || {}) };
+      }
+    }
+    return merged;
+  } catch {
+    return DEFAULT_SETTINGS;
+  }
+}
+
+/**
+ * saveSettings(settings)
+ * Persists settings; storage errors (private mode, quota) are logged and ignored.
+ */
+export function saveSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn("Could not save settings", err);
+  }
+}
@@ -0,0 +1,85 @@
+// src/utils/validate.js
+// Syntax validation of model output with the bundled Lezer grammars.
+
+import { linter } from "@codemirror/lint";
+import { getLanguageParser } from "./languages.js";
+
+const MAX_ERRORS = 20;
+
+function lineCol(code, pos) {
+  let line = 1;
+  let last = -1;
+  for (let i = 0; i < pos; i++) {
+    if (code.charCodeAt(i) === 10) {
+      line++;
+      last = i;
+    }
+  }
+  return { line, column: pos - last };
+}
+
+function describe(code, from, to) {
+  const text = code.slice(from, Math.max(to, from + 1)).split("\n")[0].trim();
+  if (to > from && text) return `Unexpected "${text.slice(0, 30)}"`;
+  return text ? `Missing or unexpected token before "${text.slice(0, 30)}"` : "Unexpected end of input";
+}
+
+/**
+ * canValidate(lang)
+ * True when a trustworthy grammar is bundled for `lang`.
+ */
+export function canValidate(lang) {
+  return Boolean(getLanguageParser(lang));
+}
+
+/**
+ * validateSyntax(code, lang)
+ * Returns { status: "valid" | "invalid" | "unvalidated", errors: [{ from, to, line, column, message }] }.
+ * Lezer recovers from errors by inserting error nodes; each one becomes an entry.
+ */
+export function validateSyntax(code, lang) {
+  if (!canValidate(lang)) return { status: "unvalidated", errors: [] };
+  const errors = [];
+  getLanguageParser(lang)
+    .parse(code)
+    .iterate({
+      enter(node) {
+        if (errors.length >= MAX_ERRORS) return false;
+        if (!node.type.isError) return undefined;
+        // adjacent error nodes usually describe the same problem
+        const prev = errors[errors.length - 1];
+        if (prev && node.from <= prev.to) return false;
+        errors.push({ from: node.from, to: node.to, ...lineCol(code, node.from), message: describe(code, node.from, node.to) });
+        return false;
+      },
+    });
+  return { status: errors.length ? "invalid" : "valid", errors };
+}
+
+/**
+ * syntaxLinter(lang)
+ * CodeMirror extension that shows validateSyntax errors as diagnostics.
+ */
+export function syntaxLinter(lang) {
+  return linter(
+    (view) => {
+      const code = view.state.doc.toString();
+      return validateSyntax(code, lang).errors.map((e) => ({
+        from: e.from,
+        to: Math.min(Math.max(e.to, e.from + 1), code.length),
+        severity: "error",
+        source: `${lang} syntax`,
+        message: e.message,
+      }));
+    },
+    { delay: 300 }
+  );
+}
+
+/**
+ * formatErrors(errors)
+ * One "line L:C message" row per error, for prompts and toasts.
+ */
+export function formatErrors(errors) {
+  return errors.map((e) => `line ${e.line}:${e.column} ${e.message}`).join("\n");
+}
@@ -1,7 +1,48 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 import tailwindcss from "@tailwindcss/vite";
+import { readFileSync, existsSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+
+// Pyodide runtime files served from /pyodide/ for the Run panel's Python sandbox
+const PYODIDE_DIR = fileURLToPath(new URL("./node_modules/pyodide/", import.meta.url));
+const PYODIDE_FILES = ["pyodide.js", "pyodide.mjs", "pyodide.asm.mjs", "pyodide.asm.wasm", "python_stdlib.zip", "pyodide-lock.json"];
+const CONTENT_TYPES = { ".js": "text/javascript", ".mjs": "text/javascript", ".wasm": "application/wasm", ".zip": "application/zip", ".json": "application/json" };
+
+// The sandbox iframe has an opaque origin, so its requests for /pyodide/* are cross-origin.
+function allowSandboxFetch(server) {
+  server.middlewares.use("/pyodide", (req, res, next) => {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    next();
+  });
+}
+
+function pyodidePlugin() {
+  return {
+    name: "devtranspiler-pyodide",
+    configureServer(server) {
+      allowSandboxFetch(server);
+      server.middlewares.use("/pyodide", (req, res, next) => {
+        const name = decodeURIComponent((req.url || "").split("?")[0]).replace(/^\//, "");
+        if (!PYODIDE_FILES.includes(name) || !existsSync(PYODIDE_DIR + name)) return next();
+        const ext = name.slice(name.lastIndexOf("."));
+        res.setHeader("Content-Type", CONTENT_TYPES[ext] || "application/octet-stream");
+        res.end(readFileSync(PYODIDE_DIR + name));
+      });
+    },
+    configurePreviewServer(server) {
+      allowSandboxFetch(server);
+    },
+    generateBundle() {
+      for (const name of PYODIDE_FILES) {
+        if (!existsSync(PYODIDE_DIR + name)) continue;
+        this.emitFile({ type: "asset", fileName: `pyodide/${name}`, source: readFileSync(PYODIDE_DIR + name) });
+      }
+    },
+  };
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(), tailwindcss()],
+  plugins: [react(), tailwindcss(), pyodidePlugin()],
 });